@@ -0,0 +1,350 @@
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const { ethers } = require("ethers");
+const JobQueue = require("../executor/JobQueue");
+
+// Import contract ABIs
+const AgentFactoryABI = require("../artifacts/contracts/AgentFactory.sol/AgentFactory.json").abi;
+const AgentABI = require("../artifacts/contracts/Agent.sol/Agent.json").abi;
+
+const factoryInterface = new ethers.Interface(AgentFactoryABI);
+const agentInterface = new ethers.Interface(AgentABI);
+
+// Agent events published to subscribers
+const AGENT_EVENTS = [
+  "GoalUpdated",
+  "ResponseUpdated",
+  "MemoryStored",
+  "MemoryDeleted",
+  "ExecutionRecorded",
+  "AgentActivated",
+  "AgentDeactivated",
+  "ExecutorAuthorized",
+  "ExecutorRevoked",
+  "ScheduleUpdated",
+  "ModelConfigUpdated",
+  "DailyTokenLimitUpdated",
+  "PromptConfigUpdated",
+  "OwnershipTransferred",
+  "ActionPermissionUpdated",
+  "SpendingLimitsUpdated",
+  "ActionExecuted",
+  "AutonomousActionsUpdated",
+  "ActionProposed",
+  "ProposalApproved",
+  "ProposalRejected",
+  "CreditsDeposited",
+  "CreditsWithdrawn",
+  "ExecutionFeeCharged",
+  "MaxExecutionFeeUpdated"
+];
+
+const ACTIVITY_TYPES = ["AgentCreated", ...AGENT_EVENTS, "JobUpdated"];
+
+/**
+ * Live feed of agent activity, for the API's event stream.
+ *
+ * Polls new blocks for AgentFactory and Agent events, and the executor's job
+ * queue file for job status changes, and emits each as an "activity" event:
+ * `{ id, type, agent, owner, blockNumber, transactionHash, timestamp, data }`.
+ * Events are published as soon as they are mined and are not rolled back on
+ * reorgs. The most recent activities are buffered so that reconnecting
+ * clients can catch up from the last id they saw.
+ */
+class ActivityFeed extends EventEmitter {
+  constructor({
+    provider,
+    factory,
+    queueFile = JobQueue.getDefaultFile(),
+    pollInterval = (parseInt(process.env.STREAM_POLL_INTERVAL) || 2) * 1000,
+    blockRange = 2000,
+    bufferSize = 500
+  }) {
+    super();
+    this.setMaxListeners(0); // One listener per connected client
+
+    this.provider = provider;
+    this.factory = factory;
+    this.queueFile = queueFile;
+    this.pollInterval = pollInterval;
+    this.blockRange = blockRange;
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    this.owners = new Map(); // lowercase address -> owner, or null for contracts that aren't agents
+    this.jobVersions = new Map(); // job id -> updatedAt
+    this.jobsMtime = 0;
+    this.lastBlock = null;
+    this.isRunning = false;
+    this.isSyncing = false;
+    this.timer = null;
+    this.topics = [
+      factoryInterface.getEvent("AgentCreated").topicHash,
+      ...AGENT_EVENTS.map(name => agentInterface.getEvent(name).topicHash)
+    ];
+  }
+
+  // Start publishing activity from the current block and job queue state
+  async start() {
+    this.factoryAddress = (await this.factory.getAddress()).toLowerCase();
+    this.lastBlock = await this.provider.getBlockNumber();
+    await this.readJobs(false);
+
+    this.isRunning = true;
+    this.timer = setTimeout(() => this.poll(), this.pollInterval);
+    console.log(`📡 Streaming agent activity from block ${this.lastBlock}`);
+  }
+
+  async poll() {
+    try {
+      await this.sync();
+    } catch (error) {
+      console.error("❌ Error while polling agent activity:", error.message);
+    }
+
+    if (this.isRunning) {
+      this.timer = setTimeout(() => this.poll(), this.pollInterval);
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.timer);
+  }
+
+  async sync() {
+    if (this.isSyncing) {
+      return;
+    }
+
+    this.isSyncing = true;
+
+    try {
+      await this.readBlocks();
+      await this.readJobs(true);
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  async readBlocks() {
+    const head = await this.provider.getBlockNumber();
+
+    while (this.lastBlock < head) {
+      const fromBlock = this.lastBlock + 1;
+      const toBlock = Math.min(fromBlock + this.blockRange - 1, head);
+      const logs = await this.provider.getLogs({ fromBlock, toBlock, topics: [this.topics] });
+
+      for (const log of logs) {
+        const activity = await this.fromLog(log);
+
+        if (activity) {
+          this.publish(activity);
+        }
+      }
+
+      this.lastBlock = toBlock;
+    }
+  }
+
+  // Publish jobs whose state changed since the last read (or just record them)
+  async readJobs(publish) {
+    if (!fs.existsSync(this.queueFile)) {
+      return;
+    }
+
+    const mtime = fs.statSync(this.queueFile).mtimeMs;
+
+    if (mtime === this.jobsMtime) {
+      return;
+    }
+
+    this.jobsMtime = mtime;
+    const jobs = Object.values(JobQueue.readJobs(this.queueFile)).sort((a, b) => a.updatedAt - b.updatedAt);
+
+    for (const job of jobs) {
+      if (this.jobVersions.get(job.id) === job.updatedAt) {
+        continue;
+      }
+
+      this.jobVersions.set(job.id, job.updatedAt);
+
+      if (publish) {
+        await this.publishJob(job);
+      }
+    }
+  }
+
+  async publishJob(job) {
+    try {
+      const owner = await this.getOwner(job.agentAddress);
+
+      this.publish({
+        id: `job-${job.id}-${job.updatedAt}`,
+        type: "JobUpdated",
+        agent: ethers.getAddress(job.agentAddress),
+        owner,
+        blockNumber: null,
+        transactionHash: job.txHash,
+        timestamp: Math.floor(job.updatedAt / 1000),
+        data: {
+          jobId: job.id,
+          executionCount: job.executionCount,
+          status: job.status,
+          attempts: job.attempts,
+          maxAttempts: job.maxAttempts,
+          nextAttemptAt: job.nextAttemptAt,
+          lastError: job.lastError
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Could not publish job ${job.id}:`, error.message);
+    }
+  }
+
+  async fromLog(log) {
+    if (log.address.toLowerCase() === this.factoryAddress) {
+      const parsed = factoryInterface.parseLog(log);
+
+      if (parsed?.name !== "AgentCreated") {
+        return null;
+      }
+
+      this.owners.set(parsed.args.agent.toLowerCase(), parsed.args.owner);
+      return toActivity(parsed, log, parsed.args.agent, parsed.args.owner);
+    }
+
+    // Events with the same signature from contracts that are not our agents are ignored
+    const owner = await this.getOwner(log.address);
+
+    if (!owner) {
+      return null;
+    }
+
+    const parsed = agentInterface.parseLog(log);
+
+    if (parsed.name === "OwnershipTransferred") {
+      this.owners.set(log.address.toLowerCase(), parsed.args.newOwner);
+      return toActivity(parsed, log, log.address, parsed.args.newOwner);
+    }
+
+    return toActivity(parsed, log, log.address, owner);
+  }
+
+  // Current owner of an agent (cached and kept up to date from events), or null if it isn't one
+  async getOwner(address) {
+    const key = address.toLowerCase();
+
+    if (!this.owners.has(key)) {
+      const isAgent = await this.factory.isValidAgent(address);
+      const owner = isAgent ? await new ethers.Contract(address, AgentABI, this.provider).owner() : null;
+      this.owners.set(key, owner);
+    }
+
+    return this.owners.get(key);
+  }
+
+  publish(activity) {
+    this.buffer.push(activity);
+
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.emit("activity", activity);
+  }
+
+  // Buffered activities after the one with the given id (none if it is no longer buffered)
+  since(lastEventId) {
+    const index = this.buffer.findIndex(activity => activity.id === lastEventId);
+    return index >= 0 ? this.buffer.slice(index + 1) : [];
+  }
+}
+
+function toActivity({ name, fragment, args }, log, agent, owner) {
+  const data = {};
+
+  fragment.inputs.forEach((input, i) => {
+    if (input.name !== "timestamp") {
+      data[input.name] = toJSONValue(args[i]);
+    }
+  });
+
+  return {
+    id: `${log.blockNumber}-${log.index}`,
+    type: name,
+    agent: ethers.getAddress(agent),
+    owner,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    timestamp: Number(args.timestamp),
+    data
+  };
+}
+
+function toJSONValue(value) {
+  if (typeof value === "bigint") {
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toJSONValue);
+  }
+
+  return value;
+}
+
+/**
+ * Parse event stream query parameters into a filter. Returns `{ filter }`, or
+ * `{ error }` with a message for the first invalid parameter.
+ *
+ * - agent: agent address
+ * - owner: owner address (ownership transfers match both the old and new owner)
+ * - types: comma-separated activity types (see ACTIVITY_TYPES)
+ */
+function parseActivityFilter(params = {}) {
+  const filter = {};
+
+  for (const name of ["agent", "owner"]) {
+    if (params[name] !== undefined) {
+      if (!ethers.isAddress(params[name])) {
+        return { error: `${name} must be an address` };
+      }
+      filter[name] = params[name].toLowerCase();
+    }
+  }
+
+  if (params.types !== undefined) {
+    const types = String(params.types).split(",").map(type => type.trim()).filter(Boolean);
+    const unknown = types.find(type => !ACTIVITY_TYPES.includes(type));
+
+    if (unknown) {
+      return { error: `Unknown activity type: ${unknown}. Valid types: ${ACTIVITY_TYPES.join(", ")}` };
+    }
+    filter.types = types;
+  }
+
+  return { filter };
+}
+
+function matchesActivity(activity, filter) {
+  if (filter.agent && activity.agent.toLowerCase() !== filter.agent) {
+    return false;
+  }
+
+  if (filter.owner) {
+    const owners = [activity.owner, activity.data.previousOwner].filter(Boolean).map(owner => owner.toLowerCase());
+
+    if (!owners.includes(filter.owner)) {
+      return false;
+    }
+  }
+
+  return !filter.types || filter.types.includes(activity.type);
+}
+
+module.exports = {
+  ActivityFeed,
+  ACTIVITY_TYPES,
+  parseActivityFilter,
+  matchesActivity
+};
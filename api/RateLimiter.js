@@ -0,0 +1,44 @@
+/**
+ * In-memory rate limit for costly API requests, such as those that embed text
+ * with a paid provider. Each key (a caller address) may use at most `limit`
+ * units in any rolling `window`: one per request by default, or a cost such as
+ * the bytes a request stores. Counts are lost on restart.
+ */
+class RateLimiter {
+  constructor({
+    limit = parseInt(process.env.EMBEDDING_RATE_LIMIT) || 30,
+    window = 60 * 1000
+  } = {}) {
+    this.limit = limit;
+    this.window = window;
+    this.requests = new Map(); // lowercase key -> recent requests as { timestamp, cost }
+  }
+
+  // Count a request; returns the ms until enough of the limit frees up for it, or 0 if this one is allowed.
+  // Costs above the limit are never allowed, so check them first
+  consume(key, now = Date.now(), cost = 1) {
+    const id = key.toLowerCase();
+    const requests = (this.requests.get(id) || []).filter(request => request.timestamp > now - this.window);
+    let excess = requests.reduce((used, request) => used + request.cost, 0) + cost - this.limit;
+
+    if (excess > 0) {
+      this.requests.set(id, requests);
+
+      // Wait for the oldest requests to leave the window until the cost fits
+      for (const request of requests) {
+        excess -= request.cost;
+
+        if (excess <= 0) {
+          return request.timestamp + this.window - now;
+        }
+      }
+
+      return this.window;
+    }
+
+    this.requests.set(id, [...requests, { timestamp: now, cost }]);
+    return 0;
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_QUOTA_FILE = path.join(__dirname, "../data/relay-quota.json");
+
+/**
+ * File-backed per-signer quota for the gasless relayer.
+ *
+ * Each relayed intent is charged to the address that signed it (the owner of
+ * the new agent for CreateAgent). A signer may have at most `limit` intents
+ * relayed in any rolling `window`.
+ */
+class RelayQuota {
+  constructor({
+    file = process.env.RELAY_QUOTA_FILE || DEFAULT_QUOTA_FILE,
+    limit = parseInt(process.env.RELAY_DAILY_QUOTA) || 20,
+    window = 24 * 60 * 60 * 1000
+  } = {}) {
+    this.file = file;
+    this.limit = limit;
+    this.window = window;
+    this.usage = {}; // lowercase signer -> timestamps of relayed intents
+
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    this.usage = data.usage || {};
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ usage: this.usage }, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // Timestamps within the current window, dropping older ones
+  recent(signer, now = Date.now()) {
+    const key = signer.toLowerCase();
+    const timestamps = (this.usage[key] || []).filter(timestamp => timestamp > now - this.window);
+
+    if (timestamps.length > 0) {
+      this.usage[key] = timestamps;
+    } else {
+      delete this.usage[key];
+    }
+
+    return timestamps;
+  }
+
+  getUsage(signer, now = Date.now()) {
+    const timestamps = this.recent(signer, now);
+
+    return {
+      signer,
+      used: timestamps.length,
+      limit: this.limit,
+      remaining: Math.max(this.limit - timestamps.length, 0),
+      resetsAt: timestamps.length > 0 ? timestamps[0] + this.window : null
+    };
+  }
+
+  // Charge one intent to the signer; returns false if the quota is used up
+  consume(signer, now = Date.now()) {
+    const timestamps = this.recent(signer, now);
+
+    if (timestamps.length >= this.limit) {
+      return false;
+    }
+
+    this.usage[signer.toLowerCase()] = [...timestamps, now];
+    this.save();
+
+    return true;
+  }
+
+  // Undo a charge for an intent that was never sent (e.g. it failed gas estimation)
+  release(signer, timestamp) {
+    const key = signer.toLowerCase();
+    const index = (this.usage[key] || []).indexOf(timestamp);
+
+    if (index >= 0) {
+      this.usage[key].splice(index, 1);
+      this.save();
+    }
+  }
+}
+
+module.exports = RelayQuota;
@@ -0,0 +1,426 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const path = require("path");
+const axios = require("axios");
+
+const DEFAULT_WEBHOOKS_FILE = path.join(__dirname, "../data/webhooks.json");
+
+// Activity types (see ActivityFeed) that can trigger webhooks
+const WEBHOOK_EVENTS = ["ResponseUpdated", "GoalUpdated", "AgentActivated", "AgentDeactivated", "ActionProposed"];
+
+// Loopback, private, link-local (cloud metadata) and other non-public networks,
+// which webhooks may only reach through WEBHOOK_ALLOWED_HOSTS
+const PRIVATE_NETWORKS = new net.BlockList();
+
+for (const [address, prefix, type] of [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["224.0.0.0", 3, "ipv4"],
+  ["::", 127, "ipv6"],
+  ["::ffff:0:0", 96, "ipv6"],
+  ["64:ff9b::", 96, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"]
+]) {
+  PRIVATE_NETWORKS.addSubnet(address, prefix, type);
+}
+
+function isPrivateAddress(address) {
+  const version = net.isIP(address);
+  return version !== 0 && PRIVATE_NETWORKS.check(address, version === 6 ? "ipv6" : "ipv4");
+}
+
+// Hosts (names or addresses) that webhooks may reach even if they are private
+function parseAllowedHosts(value = process.env.WEBHOOK_ALLOWED_HOSTS || "") {
+  return value.split(",").map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+// An error message if the URL's host is a private address or name, or null.
+// Names are checked again against what they resolve to on every delivery.
+function checkReceiverHost(url, allowedHosts) {
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+  if (allowedHosts.includes(host)) {
+    return null;
+  }
+
+  if (isPrivateAddress(host) || host === "localhost" || host.endsWith(".localhost")) {
+    return `url must point to a public host (${host} is private; local receivers need WEBHOOK_ALLOWED_HOSTS)`;
+  }
+
+  return null;
+}
+
+/**
+ * Outgoing webhooks for agent activity.
+ *
+ * Owners register URLs per agent. Each matching activity from the ActivityFeed
+ * becomes a delivery: a JSON POST signed with the webhook's secret
+ * (`X-AgentX-Signature: sha256=HMAC(secret, "<timestamp>.<body>")`). Failed
+ * deliveries (network errors and non-2xx responses) are retried with
+ * exponential backoff until `maxAttempts`. Webhooks and the delivery log are
+ * kept in a JSON file, so pending retries survive restarts.
+ *
+ * Receivers must be public hosts: private addresses are refused when a webhook
+ * is registered and whenever a receiver's name resolves to one, unless the host
+ * is in `allowedHosts`. Webhooks belong to the owner who registered them and are
+ * dropped when the agent changes hands.
+ */
+class WebhookDispatcher {
+  constructor({
+    file = process.env.WEBHOOKS_FILE || DEFAULT_WEBHOOKS_FILE,
+    maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    retryBaseDelay = (parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 10) * 1000,
+    retryMaxDelay = (parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY) || 3600) * 1000,
+    timeout = (parseInt(process.env.WEBHOOK_TIMEOUT) || 10) * 1000,
+    maxDeliveriesPerWebhook = 100,
+    pollInterval = 1000,
+    allowedHosts = parseAllowedHosts(),
+    resolveContent = async value => ({ value, uri: null })
+  } = {}) {
+    this.file = file;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseDelay = retryBaseDelay;
+    this.retryMaxDelay = retryMaxDelay;
+    this.timeout = timeout;
+    this.maxDeliveriesPerWebhook = maxDeliveriesPerWebhook;
+    this.pollInterval = pollInterval;
+    this.allowedHosts = allowedHosts;
+    this.resolveContent = resolveContent;
+    this.httpAgent = new http.Agent({ lookup: this.lookup.bind(this) });
+    this.httpsAgent = new https.Agent({ lookup: this.lookup.bind(this) });
+    this.webhooks = {};
+    this.deliveries = {};
+    this.inFlight = new Set();
+    this.timer = null;
+
+    this.load();
+  }
+
+  static sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    this.webhooks = data.webhooks || {};
+    this.deliveries = data.deliveries || {};
+
+    // Deliveries interrupted by a crash are retried
+    for (const delivery of Object.values(this.deliveries)) {
+      if (delivery.status === "sending") {
+        delivery.status = "pending";
+      }
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ webhooks: this.webhooks, deliveries: this.deliveries }, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // Subscribe to an ActivityFeed and start delivering
+  start(feed) {
+    feed.on("activity", activity => {
+      this.handleActivity(activity).catch(error => {
+        console.error("❌ Failed to queue webhook deliveries:", error.message);
+      });
+    });
+
+    this.timer = setInterval(() => this.processDue(), this.pollInterval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  // DNS lookup for deliveries that refuses private addresses of hosts that aren't allowed
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+
+      if (!this.allowedHosts.includes(hostname.toLowerCase()) && addresses.some(isPrivateAddress)) {
+        return callback(new Error(`${hostname} resolves to a private address`));
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  // ---- Webhooks ----
+
+  addWebhook(agentAddress, { url, events = WEBHOOK_EVENTS, owner }) {
+    const webhook = {
+      id: crypto.randomBytes(8).toString("hex"),
+      agentAddress,
+      owner,
+      url,
+      events,
+      secret: `whsec_${crypto.randomBytes(24).toString("hex")}`,
+      createdAt: Date.now()
+    };
+
+    this.webhooks[webhook.id] = webhook;
+    this.save();
+
+    return webhook;
+  }
+
+  // The agent's webhook with this id, or null
+  getWebhook(agentAddress, id) {
+    const webhook = this.webhooks[id];
+    return webhook && webhook.agentAddress.toLowerCase() === agentAddress.toLowerCase() ? webhook : null;
+  }
+
+  getWebhooks(agentAddress) {
+    return Object.values(this.webhooks)
+      .filter(webhook => webhook.agentAddress.toLowerCase() === agentAddress.toLowerCase())
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // Drop the agent's webhooks registered by anyone but its new owner
+  removeWebhooksOfPreviousOwners(agentAddress, newOwner) {
+    const stale = this.getWebhooks(agentAddress)
+      .filter(webhook => webhook.owner?.toLowerCase() !== newOwner.toLowerCase());
+
+    for (const webhook of stale) {
+      this.removeWebhook(webhook.id);
+    }
+
+    return stale;
+  }
+
+  // Remove a webhook and its delivery log
+  removeWebhook(id) {
+    delete this.webhooks[id];
+
+    for (const delivery of Object.values(this.deliveries)) {
+      if (delivery.webhookId === id) {
+        delete this.deliveries[delivery.id];
+      }
+    }
+
+    this.save();
+  }
+
+  // ---- Deliveries ----
+
+  // Queue a delivery to every webhook of the agent subscribed to the activity's type.
+  // Webhooks of earlier owners are skipped in case a transfer was missed (those
+  // registered before owners were recorded are kept until the next transfer).
+  async handleActivity(activity) {
+    if (activity.type === "OwnershipTransferred") {
+      for (const webhook of this.removeWebhooksOfPreviousOwners(activity.agent, activity.owner)) {
+        console.log(`🪝 Removed webhook ${webhook.id} of agent ${activity.agent} after an ownership transfer`);
+      }
+    }
+
+    if (!WEBHOOK_EVENTS.includes(activity.type)) {
+      return [];
+    }
+
+    const webhooks = this.getWebhooks(activity.agent).filter(webhook =>
+      webhook.events.includes(activity.type) && (!webhook.owner || webhook.owner.toLowerCase() === activity.owner.toLowerCase())
+    );
+
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const payload = await this.buildPayload(activity);
+    const now = Date.now();
+    const deliveries = webhooks.map(webhook => ({
+      id: crypto.randomBytes(8).toString("hex"),
+      webhookId: webhook.id,
+      event: activity.type,
+      activityId: activity.id,
+      payload,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+      responses: []
+    }));
+
+    for (const delivery of deliveries) {
+      this.deliveries[delivery.id] = delivery;
+    }
+    this.save();
+
+    await Promise.all(deliveries.map(delivery => this.deliver(delivery.id)));
+
+    return deliveries;
+  }
+
+  // Activity fields plus, for new responses, the full text of off-chain content
+  async buildPayload(activity) {
+    const { type, agent, owner, blockNumber, transactionHash, timestamp } = activity;
+    const data = { ...activity.data };
+
+    if (type === "ResponseUpdated") {
+      const { value, uri } = await this.resolveContent(data.response);
+      data.response = value;
+      data.responseURI = uri;
+    }
+
+    return { event: type, agent, owner, blockNumber, transactionHash, timestamp, data };
+  }
+
+  // Retry deliveries whose backoff has elapsed
+  async processDue(now = Date.now()) {
+    const due = Object.values(this.deliveries)
+      .filter(delivery => delivery.status === "pending" && delivery.nextAttemptAt <= now);
+
+    await Promise.all(due.map(delivery => this.deliver(delivery.id)));
+  }
+
+  async deliver(id) {
+    const delivery = this.deliveries[id];
+    const webhook = delivery && this.webhooks[delivery.webhookId];
+
+    if (!webhook || this.inFlight.has(id)) {
+      return delivery;
+    }
+
+    this.inFlight.add(id);
+    delivery.status = "sending";
+    delivery.attempts++;
+
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { attempt: delivery.attempts, at: Date.now() };
+
+    try {
+      const hostError = checkReceiverHost(new URL(webhook.url), this.allowedHosts);
+
+      if (hostError) {
+        throw new Error(hostError);
+      }
+
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "AgentX-Webhooks/1.0",
+          "X-AgentX-Event": delivery.event,
+          "X-AgentX-Delivery": delivery.id,
+          "X-AgentX-Timestamp": String(timestamp),
+          "X-AgentX-Signature": WebhookDispatcher.sign(webhook.secret, timestamp, body)
+        },
+        timeout: this.timeout,
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      attempt.statusCode = response.status;
+
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Receiver responded with ${response.status}`);
+      }
+
+      delivery.status = "delivered";
+      console.log(`🪝 Delivered ${delivery.event} to ${webhook.url}`);
+    } catch (error) {
+      attempt.error = error.message;
+
+      if (delivery.attempts >= this.maxAttempts) {
+        delivery.status = "failed";
+        console.error(`❌ Webhook delivery ${delivery.id} to ${webhook.url} failed after ${delivery.attempts} attempts`);
+      } else {
+        delivery.status = "pending";
+        delivery.nextAttemptAt = Date.now() + Math.min(this.retryBaseDelay * 2 ** (delivery.attempts - 1), this.retryMaxDelay);
+      }
+    } finally {
+      this.inFlight.delete(id);
+    }
+
+    attempt.durationMs = Date.now() - attempt.at;
+    delivery.responses.push(attempt);
+    delivery.updatedAt = Date.now();
+    this.pruneDeliveries(webhook.id);
+    this.save();
+
+    return delivery;
+  }
+
+  // Delivery log of a webhook, newest first
+  getDeliveries(webhookId, status = null) {
+    return Object.values(this.deliveries)
+      .filter(delivery => delivery.webhookId === webhookId && (!status || delivery.status === status))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Keep the newest finished deliveries per webhook
+  pruneDeliveries(webhookId) {
+    const finished = this.getDeliveries(webhookId).filter(delivery => ["delivered", "failed"].includes(delivery.status));
+
+    for (const delivery of finished.slice(this.maxDeliveriesPerWebhook)) {
+      delete this.deliveries[delivery.id];
+    }
+  }
+}
+
+// Returns an error message for an invalid webhook registration, or null
+function validateWebhook({ url, events }, allowedHosts = parseAllowedHosts()) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "url must be a valid URL";
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return "url must use http or https";
+  }
+
+  const hostError = checkReceiverHost(parsed, allowedHosts);
+
+  if (hostError) {
+    return hostError;
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return "events must be a non-empty array";
+    }
+
+    const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+
+    if (unknown) {
+      return `Unknown webhook event: ${unknown}. Valid events: ${WEBHOOK_EVENTS.join(", ")}`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  WebhookDispatcher,
+  WEBHOOK_EVENTS,
+  validateWebhook
+};
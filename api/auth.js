@@ -0,0 +1,217 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_API_KEYS_FILE = path.join(__dirname, "../data/api-keys.json");
+
+// EIP-4361 (Sign-In with Ethereum) message
+const SIWE_PATTERN = new RegExp(
+  "^(?<domain>\\S+) wants you to sign in with your Ethereum account:\\n" +
+  "(?<address>0x[a-fA-F0-9]{40})\\n\\n" +
+  "(?:(?<statement>[^\\n]+)\\n)?\\n" +
+  "URI: (?<uri>\\S+)\\n" +
+  "Version: (?<version>1)\\n" +
+  "Chain ID: (?<chainId>\\d+)\\n" +
+  "Nonce: (?<nonce>[a-zA-Z0-9]{8,})\\n" +
+  "Issued At: (?<issuedAt>\\S+)" +
+  "(?:\\nExpiration Time: (?<expirationTime>\\S+))?" +
+  "(?:\\nNot Before: (?<notBefore>\\S+))?" +
+  "(?:\\nRequest ID: [^\\n]*)?" +
+  "(?:\\nResources:(?:\\n- \\S+)*)?$"
+);
+
+/**
+ * Authentication for the REST API.
+ *
+ * - Users sign in with Ethereum (EIP-4361): request a nonce, sign a SIWE
+ *   message with their wallet and exchange it for a session token.
+ * - Service accounts use API keys. Keys are stored hashed in the API keys
+ *   file (see scripts/create-api-key.js) together with the account's address
+ *   and, optionally, the env var holding its signing key.
+ *
+ * Either way the caller is identified by an Ethereum address.
+ */
+class AuthManager {
+  constructor({
+    sessionTtl = (parseInt(process.env.SESSION_TTL) || 86400) * 1000,
+    nonceTtl = 5 * 60 * 1000,
+    apiKeysFile = process.env.API_KEYS_FILE || DEFAULT_API_KEYS_FILE
+  } = {}) {
+    this.sessionTtl = sessionTtl;
+    this.nonceTtl = nonceTtl;
+    this.apiKeysFile = apiKeysFile;
+    this.nonces = new Map(); // nonce -> expiry
+    this.sessions = new Map(); // token -> { address, expiresAt }
+    this.apiKeys = new Map(); // key hash -> service account
+    this.apiKeysMtime = 0;
+  }
+
+  // ---- Sign-In with Ethereum ----
+
+  createNonce() {
+    this.pruneExpired();
+
+    const nonce = crypto.randomBytes(12).toString("hex");
+    this.nonces.set(nonce, Date.now() + this.nonceTtl);
+
+    return nonce;
+  }
+
+  // Verify a signed SIWE message and start a session. Throws if the message is invalid.
+  login(message, signature, { domain, chainId }) {
+    const fields = parseSiweMessage(message);
+
+    if (!fields) {
+      throw new Error("Invalid SIWE message");
+    }
+
+    if (domain && fields.domain !== domain) {
+      throw new Error(`Message is for ${fields.domain}, expected ${domain}`);
+    }
+
+    if (fields.chainId !== chainId) {
+      throw new Error(`Message is for chain ${fields.chainId}, expected ${chainId}`);
+    }
+
+    const now = Date.now();
+
+    if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+      throw new Error("Message has expired");
+    }
+
+    if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+      throw new Error("Message is not valid yet");
+    }
+
+    const nonceExpiry = this.nonces.get(fields.nonce);
+
+    if (!nonceExpiry || nonceExpiry <= now) {
+      throw new Error("Unknown or expired nonce");
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw new Error("Invalid signature");
+    }
+
+    if (signer.toLowerCase() !== fields.address.toLowerCase()) {
+      throw new Error("Signature does not match address");
+    }
+
+    // Nonces are single use
+    this.nonces.delete(fields.nonce);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const session = { address: ethers.getAddress(fields.address), expiresAt: now + this.sessionTtl };
+    this.sessions.set(token, session);
+
+    return { token, ...session };
+  }
+
+  getSession(token) {
+    const session = this.sessions.get(token);
+
+    if (!session || session.expiresAt <= Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+
+    return session;
+  }
+
+  logout(token) {
+    return this.sessions.delete(token);
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt <= now) {
+        this.nonces.delete(nonce);
+      }
+    }
+
+    for (const [token, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(token);
+      }
+    }
+  }
+
+  // ---- API keys ----
+
+  static generateApiKey() {
+    return `agx_${crypto.randomBytes(24).toString("hex")}`;
+  }
+
+  static hashApiKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+  }
+
+  // Reload the API keys file if it changed (keys can be added while the server runs)
+  loadApiKeys() {
+    if (!fs.existsSync(this.apiKeysFile)) {
+      this.apiKeys.clear();
+      return;
+    }
+
+    const mtime = fs.statSync(this.apiKeysFile).mtimeMs;
+
+    if (mtime === this.apiKeysMtime) {
+      return;
+    }
+
+    const { keys = [] } = JSON.parse(fs.readFileSync(this.apiKeysFile, "utf8"));
+    this.apiKeys = new Map(keys.map(entry => [entry.keyHash, entry]));
+    this.apiKeysMtime = mtime;
+  }
+
+  // Get the service account for an API key, or null
+  getApiKeyAccount(key) {
+    this.loadApiKeys();
+    return this.apiKeys.get(AuthManager.hashApiKey(key)) || null;
+  }
+}
+
+// Parse an EIP-4361 message into its fields, or null if it is malformed
+function parseSiweMessage(message) {
+  const match = typeof message === "string" && message.match(SIWE_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+
+  const { chainId, ...fields } = match.groups;
+  return { ...fields, chainId: Number(chainId) };
+}
+
+// Build an EIP-4361 message (for clients, the CLI and tests)
+function buildSiweMessage({ domain, address, statement = "", uri, chainId, nonce, issuedAt = new Date().toISOString(), expirationTime }) {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    ...(statement ? [statement, ""] : [""]),
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ];
+
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  AuthManager,
+  parseSiweMessage,
+  buildSiweMessage
+};
@@ -1,13 +1,58 @@
 const express = require("express");
 const cors = require("cors");
+const path = require("path");
+const { ethers } = require("ethers");
 const AgentXUtils = require("../utils/AgentXUtils");
+const { validateSchedule } = require("../utils/schedule");
+const { parseAgentQuery, applyAgentQuery } = require("../utils/agentQuery");
+const { PROVIDER_NAMES } = require("../executor/providers");
+const JobQueue = require("../executor/JobQueue");
+const UsageLedger = require("../executor/UsageLedger");
+const MemoryIndex = require("../executor/MemoryIndex");
+const ContentStore = require("../utils/ContentStore");
+const IndexerDB = require("../indexer/IndexerDB");
+const { AuthManager } = require("./auth");
+const RelayQuota = require("./RelayQuota");
+const RateLimiter = require("./RateLimiter");
+const { ActivityFeed, parseActivityFilter, matchesActivity } = require("./ActivityFeed");
+const { WebhookDispatcher, validateWebhook } = require("./WebhookDispatcher");
+const { validateIntent } = require("../utils/intents");
+const { PROPOSAL_STATUSES, toSelector, parseAction } = require("../utils/actions");
+const { validatePromptConfig, buildPrompt } = require("../utils/prompts");
+const { ToolRegistry } = require("../executor/tools");
+const { ProviderRegistry } = require("../executor/providers");
+
+const CREATE_AGENT_QUOTA_KEY = "CreateAgent"; // Single key shared by every relayed CreateAgent intent
 
 class AgentXAPI {
   constructor() {
     this.app = express();
     this.utils = new AgentXUtils();
+    this.index = new IndexerDB();
+    this.auth = new AuthManager();
+    this.authEnabled = process.env.API_AUTH !== "off";
+    this.relayQuota = new RelayQuota();
+    // Anyone can sign CreateAgent intents from fresh addresses, so new agents are also capped across all signers
+    this.createAgentQuota = new RelayQuota({
+      file: process.env.RELAY_CREATE_QUOTA_FILE || path.join(__dirname, "../data/relay-create-quota.json"),
+      limit: parseInt(process.env.RELAY_CREATE_DAILY_QUOTA) || 100
+    });
+    this.embeddingLimiter = new RateLimiter(); // Requests that may call the embedding provider
+    this.contentLimiter = new RateLimiter({ limit: parseInt(process.env.CONTENT_RATE_LIMIT) || 10 }); // Uploads per minute
+    this.contentQuota = new RateLimiter({ // Bytes uploaded per day
+      limit: parseInt(process.env.CONTENT_DAILY_QUOTA) || 10 * 1024 * 1024,
+      window: 24 * 60 * 60 * 1000
+    });
+    this.activity = null; // ActivityFeed, created on start
+    this.webhooks = new WebhookDispatcher({ resolveContent: (value) => this.utils.resolveContent(value) });
+    this.signers = new Map(); // Lowercase address -> AgentXUtils signing as that address
+    this.proposalTtl = parseInt(process.env.PROPOSAL_TTL) || 86400; // Default seconds the owner has to approve a proposal
+    this.storePromptsOffChain = (process.env.CONTENT_STORAGE || "local") !== "inline"; // Write prompt configs as ipfs:// URIs
     this.port = process.env.PORT || 3001;
     
+    // Agent reads come from the indexer's database while the indexer is running
+    this.utils.useIndex(this.index);
+    
     this.setupMiddleware();
     this.setupRoutes();
   }
@@ -23,12 +68,206 @@ class AgentXAPI {
     });
   }
   
+  // Identify the caller from an API key or session token (sets req.caller)
+  authenticate(req, res, next) {
+    if (!this.authEnabled) {
+      // API_AUTH=off: every caller acts as the server wallet
+      req.caller = { address: this.utils.wallet.address, via: "server" };
+      return next();
+    }
+    
+    const apiKey = req.get("X-API-Key");
+    
+    if (apiKey) {
+      const account = this.auth.getApiKeyAccount(apiKey);
+      
+      if (!account) {
+        return res.status(401).json({ error: "Invalid API key" });
+      }
+      
+      req.caller = { address: account.address, via: "apiKey", name: account.name, account };
+      return next();
+    }
+    
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    const session = scheme === "Bearer" && token ? this.auth.getSession(token) : null;
+    
+    if (!session) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    
+    req.caller = { address: session.address, via: "session" };
+    next();
+  }
+  
+  // Only the agent's owner (or, with allowExecutors, an authorized executor) may modify it
+  authorizeAgent({ allowExecutors = false } = {}) {
+    return async (req, res, next) => {
+      try {
+        const { address } = req.params;
+        const caller = req.caller.address;
+        const owner = await this.utils.getAgentOwner(address);
+        
+        if (owner.toLowerCase() === caller.toLowerCase()) {
+          return next();
+        }
+        
+        if (allowExecutors && await this.utils.canExecute(address, caller)) {
+          return next();
+        }
+        
+        res.status(403).json({
+          error: allowExecutors
+            ? "Only the agent's owner or an authorized executor can modify it"
+            : "Only the agent's owner can modify it"
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    };
+  }
+  
+  // Limit requests that may embed text (search queries, index syncs) per caller
+  limitEmbeddings(req, res, next) {
+    const retryAfter = this.embeddingLimiter.consume(req.caller.address);
+    
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(Math.ceil(retryAfter / 1000)));
+      return res.status(429).json({ error: "Too many search requests, try again later" });
+    }
+    
+    next();
+  }
+  
+  // Sign the caller's transactions with the caller's own key (sets req.signer), or
+  // return them for the caller's wallet to sign (sets req.unsigned): unsigned with
+  // ?unsigned=true, or as an EIP-712 intent for the gasless relayer with ?intent=true
+  requireSigner(req, res, next) {
+    if (req.query.unsigned === "true" || req.query.intent === "true") {
+      req.unsigned = req.query.intent === "true" ? "intent" : "transaction";
+      return next();
+    }
+    
+    try {
+      const signer = this.getSigner(req.caller);
+      
+      if (!signer) {
+        return res.status(403).json({
+          error: `The server holds no signing key for ${req.caller.address}; use ?unsigned=true or ?intent=true to sign with your own wallet`
+        });
+      }
+      
+      req.signer = signer;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+  
+  // The server holds keys for its own wallet and for service accounts configured
+  // with one; returns null for any other caller
+  getSigner(caller) {
+    const key = caller.address.toLowerCase();
+    
+    if (key === this.utils.wallet.address.toLowerCase()) {
+      return this.utils;
+    }
+    
+    if (!this.signers.has(key)) {
+      const envName = caller.account?.privateKeyEnv;
+      
+      if (!envName || !process.env[envName]) {
+        return null;
+      }
+      
+      const signer = new AgentXUtils({ privateKey: process.env[envName] });
+      
+      if (signer.wallet.address.toLowerCase() !== key) {
+        throw new Error(`${envName} does not hold the key for ${caller.address}`);
+      }
+      
+      signer.useIndex(this.index);
+      this.signers.set(key, signer);
+    }
+    
+    return this.signers.get(key);
+  }
+  
+  // Prepare an agent call for the caller's wallet to sign (see requireSigner)
+  async prepareAgentCall(req, agentAddress, method, args) {
+    const from = req.caller.address;
+    
+    return req.unsigned === "intent"
+      ? { intent: await this.utils.prepareAgentIntent(from, agentAddress, method, args) }
+      : { transaction: await this.utils.prepareAgentTransaction(from, agentAddress, method, args) };
+  }
+  
   setupRoutes() {
+    const authenticate = this.authenticate.bind(this);
+    const requireSigner = this.requireSigner.bind(this);
+    const ownerOnly = this.authorizeAgent();
+    const ownerOrExecutor = this.authorizeAgent({ allowExecutors: true });
+    const limitEmbeddings = this.limitEmbeddings.bind(this);
+    
     // Health check
     this.app.get("/health", (req, res) => {
       res.json({ status: "OK", timestamp: new Date().toISOString() });
     });
     
+    // Sign-In with Ethereum: get a single-use nonce for the SIWE message
+    this.app.get("/api/auth/nonce", (req, res) => {
+      res.json({ nonce: this.auth.createNonce() });
+    });
+    
+    // Sign-In with Ethereum: exchange a signed SIWE message for a session token
+    this.app.post("/api/auth/login", async (req, res) => {
+      try {
+        const { message, signature } = req.body;
+        
+        if (!message || !signature) {
+          return res.status(400).json({ error: "message and signature are required" });
+        }
+        
+        // Never taken from the request, or any site could relay its visitors' signed messages
+        if (!process.env.SIWE_DOMAIN) {
+          return res.status(503).json({ error: "Sign-In with Ethereum is disabled until SIWE_DOMAIN is set" });
+        }
+        
+        const { chainId } = await this.utils.provider.getNetwork();
+        
+        try {
+          const session = this.auth.login(message, signature, {
+            domain: process.env.SIWE_DOMAIN,
+            chainId: Number(chainId)
+          });
+          
+          res.json(session);
+        } catch (error) {
+          res.status(401).json({ error: error.message });
+        }
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // End the current session
+    this.app.post("/api/auth/logout", authenticate, (req, res) => {
+      const [, token] = (req.get("Authorization") || "").split(" ");
+      
+      res.json({ loggedOut: req.caller.via === "session" && this.auth.logout(token) });
+    });
+    
+    // Who the caller is authenticated as, and whether the server can sign for them
+    this.app.get("/api/auth/me", authenticate, (req, res) => {
+      try {
+        const { address, via, name } = req.caller;
+        
+        res.json({ address, via, name, canSign: Boolean(this.getSigner(req.caller)) });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
     // Network info
     this.app.get("/api/network", async (req, res) => {
       try {
@@ -39,17 +278,150 @@ class AgentXAPI {
       }
     });
     
-    // Create agent
-    this.app.post("/api/agents", async (req, res) => {
+    // Indexer status (agent reads fall back to RPC when the index is not ready)
+    this.app.get("/api/indexer/status", async (req, res) => {
       try {
-        const { goal } = req.body;
+        res.json({
+          ready: Boolean(this.utils.readIndex()),
+          ...this.index.refresh().getStatus()
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Executor job queue (read-only view of the executor's persistent queue)
+    this.app.get("/api/executor/jobs", async (req, res) => {
+      try {
+        const { status } = req.query;
+        const validStatuses = ["pending", "running", "completed", "dead"];
+        
+        if (status && !validStatuses.includes(status)) {
+          return res.status(400).json({ error: `status must be one of: ${validStatuses.join(", ")}` });
+        }
+        
+        const queue = new JobQueue();
+        
+        res.json({
+          stats: queue.getStats(),
+          jobs: queue.getJobs(status)
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Server-Sent Events stream of agent activity and executor job status
+    this.app.get("/api/stream", (req, res) => {
+      const { filter, error } = parseActivityFilter(req.query);
+      
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      
+      if (!this.activity) {
+        return res.status(503).json({ error: "Activity stream is not available. Deploy contracts first." });
+      }
+      
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+      });
+      res.write("retry: 3000\n\n");
+      
+      const send = (activity) => {
+        if (matchesActivity(activity, filter)) {
+          res.write(`id: ${activity.id}\ndata: ${JSON.stringify(activity)}\n\n`);
+        }
+      };
+      
+      // Catch up on what a reconnecting client missed
+      const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+      if (lastEventId) {
+        this.activity.since(lastEventId).forEach(send);
+      }
+      
+      this.activity.on("activity", send);
+      const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+      
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        this.activity.off("activity", send);
+      });
+    });
+    
+    // Store content off-chain (e.g. a large memory value) and get its ipfs:// URI
+    this.app.post("/api/content", authenticate, async (req, res) => {
+      try {
+        const { content } = req.body;
+        
+        if (typeof content !== "string" || !content) {
+          return res.status(400).json({ error: "content must be a non-empty string" });
+        }
+        
+        const size = Buffer.byteLength(content);
+        
+        if (size > this.contentQuota.limit) {
+          return res.status(413).json({ error: `content must be at most ${this.contentQuota.limit} bytes` });
+        }
+        
+        // Uploads are kept forever, so both their number and their bytes are limited per caller
+        const retryAfter = this.contentLimiter.consume(req.caller.address)
+          || this.contentQuota.consume(req.caller.address, Date.now(), size);
+        
+        if (retryAfter > 0) {
+          res.set("Retry-After", String(Math.ceil(retryAfter / 1000)));
+          return res.status(429).json({ error: "Too many uploads, try again later" });
+        }
+        
+        res.json(this.utils.storeContent(content));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Local stand-in for an IPFS gateway: serve verified content by CID
+    this.app.get("/ipfs/:cid", async (req, res) => {
+      try {
+        const cid = ContentStore.toCID(req.params.cid);
+        
+        if (!this.utils.contentStore.has(cid)) {
+          return res.status(404).json({ error: "Content not found" });
+        }
+        
+        const content = await this.utils.contentStore.get(cid);
+        
+        res.set("Cache-Control", "public, max-age=31536000, immutable");
+        res.type("text/plain").send(content);
+      } catch (error) {
+        const status = error.message.startsWith("Invalid content identifier") ? 400 : 500;
+        res.status(status).json({ error: error.message });
+      }
+    });
+    
+    // Create agent (owned by the caller, signed with the caller's key)
+    this.app.post("/api/agents", authenticate, requireSigner, async (req, res) => {
+      try {
+        const { goal, executors = [] } = req.body;
         
         if (!goal || !goal.trim()) {
           return res.status(400).json({ error: "Goal is required" });
         }
         
-        const agentAddress = await this.utils.createAgent(goal);
-        const agentInfo = await this.utils.getAgentInfo(agentAddress);
+        if (!Array.isArray(executors) || !executors.every(ethers.isAddress)) {
+          return res.status(400).json({ error: "executors must be an array of addresses" });
+        }
+        
+        if (req.unsigned) {
+          return res.json(req.unsigned === "intent"
+            ? { intent: await this.utils.prepareCreateAgentIntent(req.caller.address, goal, executors) }
+            : { transaction: await this.utils.prepareCreateAgent(req.caller.address, goal, executors) });
+        }
+        
+        const agentAddress = await req.signer.createAgent(goal, executors);
+        const agentInfo = await this.utils.getAgentInfo(agentAddress, { fresh: true });
         
         res.json({
           address: agentAddress,
@@ -60,11 +432,161 @@ class AgentXAPI {
       }
     });
     
-    // Get all agents (paginated)
+    // Relay a transaction signed by the user's own wallet (see ?unsigned=true)
+    this.app.post("/api/transactions", async (req, res) => {
+      try {
+        const { signedTransaction } = req.body;
+        
+        if (typeof signedTransaction !== "string" || !ethers.isHexString(signedTransaction)) {
+          return res.status(400).json({ error: "signedTransaction must be a hex string" });
+        }
+        
+        let tx;
+        try {
+          tx = ethers.Transaction.from(signedTransaction);
+        } catch (error) {
+          return res.status(400).json({ error: "signedTransaction is not a valid transaction" });
+        }
+        
+        if (!tx.isSigned()) {
+          return res.status(400).json({ error: "Transaction is not signed" });
+        }
+        
+        if (!tx.to || !(await this.utils.isAgentXContract(tx.to))) {
+          return res.status(400).json({ error: "Only transactions to the AgentFactory or its agents are relayed" });
+        }
+        
+        const result = await this.utils.relayTransaction(signedTransaction);
+        
+        if (result.status !== "confirmed") {
+          return res.status(result.status === "pending" ? 202 : 422).json(result);
+        }
+        
+        const agentAddress = result.agentAddress || result.to;
+        const agent = agentAddress.toLowerCase() === this.utils.deploymentInfo.agentFactory.toLowerCase()
+          ? null
+          : await this.utils.getAgentInfo(agentAddress, { fresh: true });
+        
+        res.json({ ...result, agent });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Gasless relay: submit an intent signed with ?intent=true and pay its gas
+    this.app.post("/api/relay", async (req, res) => {
+      try {
+        const { intent, signature } = req.body;
+        
+        const { chainId } = await this.utils.provider.getNetwork();
+        const validationError = validateIntent(intent, signature, {
+          chainId,
+          factory: this.utils.deploymentInfo.agentFactory
+        });
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+        
+        if (intent.primaryType === "Call") {
+          const agentAddress = intent.domain.verifyingContract;
+          
+          if (!(await this.utils.agentFactory.isValidAgent(agentAddress))) {
+            return res.status(400).json({ error: "Intent is not for an AgentX agent" });
+          }
+          
+          if (!(await this.utils.canExecute(agentAddress, intent.signer))) {
+            return res.status(403).json({ error: "Only the agent's owner or an authorized executor can sign calls to it" });
+          }
+        }
+        
+        // Intents are charged to whoever signed them
+        const signer = ethers.getAddress(intent.primaryType === "CreateAgent" ? intent.message.owner : intent.signer);
+        const chargedAt = Date.now();
+        
+        const createsAgent = intent.primaryType === "CreateAgent";
+        
+        if (!this.relayQuota.consume(signer, chargedAt)) {
+          return res.status(429).json({ error: `Relay quota exceeded for ${signer}`, quota: this.relayQuota.getUsage(signer) });
+        }
+        
+        if (createsAgent && !this.createAgentQuota.consume(CREATE_AGENT_QUOTA_KEY, chargedAt)) {
+          this.relayQuota.release(signer, chargedAt);
+          return res.status(429).json({
+            error: "Relay quota for new agents exceeded, try again later",
+            quota: this.createAgentQuota.getUsage(CREATE_AGENT_QUOTA_KEY)
+          });
+        }
+        
+        let result;
+        try {
+          result = await this.utils.relayIntent(intent, signature);
+        } catch (error) {
+          // Only charge for transactions that were actually sent
+          if (!error.result) {
+            this.relayQuota.release(signer, chargedAt);
+            
+            if (createsAgent) {
+              this.createAgentQuota.release(CREATE_AGENT_QUOTA_KEY, chargedAt);
+            }
+          }
+          
+          if (error.code === "CALL_EXCEPTION") {
+            return res.status(400).json({ error: error.reason || error.shortMessage || error.message });
+          }
+          throw error;
+        }
+        
+        const agent = await this.utils.getAgentInfo(result.agentAddress, { fresh: true });
+        
+        res.json({
+          hash: result.hash,
+          status: result.status,
+          blockNumber: result.blockNumber,
+          gasUsed: result.gasUsed.toString(),
+          agentAddress: result.agentAddress,
+          agent,
+          quota: this.relayQuota.getUsage(signer)
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Remaining gasless relay quota for a signer
+    this.app.get("/api/relay/quota/:signer", (req, res) => {
+      const { signer } = req.params;
+      
+      if (!ethers.isAddress(signer)) {
+        return res.status(400).json({ error: "A valid signer address is required" });
+      }
+      
+      res.json(this.relayQuota.getUsage(ethers.getAddress(signer)));
+    });
+    
+    // Get all agents (paginated, with optional filters, full-text search and sorting)
     this.app.get("/api/agents", async (req, res) => {
       try {
         const offset = parseInt(req.query.offset) || 0;
         const limit = parseInt(req.query.limit) || 50;
+        const { offset: _offset, limit: _limit, ...params } = req.query;
+        
+        if (Object.keys(params).length > 0) {
+          const { query, error } = parseAgentQuery(params);
+          
+          if (error) {
+            return res.status(400).json({ error });
+          }
+          
+          const result = await this.utils.searchAgents(query, offset, limit);
+          
+          return res.json({
+            agents: result.agents,
+            totalCount: result.totalCount,
+            hasMore: result.hasMore,
+            offset,
+            limit
+          });
+        }
         
         const result = await this.utils.getAllAgents(offset, limit);
         
@@ -93,10 +615,16 @@ class AgentXAPI {
       }
     });
     
-    // Get user's agents
+    // Get user's agents (accepts the same filters and sorting as GET /api/agents)
     this.app.get("/api/agents/user/:address", async (req, res) => {
       try {
         const { address } = req.params;
+        const { query, error } = parseAgentQuery(req.query);
+        
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
         const agents = await this.utils.getUserAgents(address);
         
         const agentsWithInfo = await Promise.all(
@@ -111,7 +639,34 @@ class AgentXAPI {
           })
         );
         
-        res.json(agentsWithInfo);
+        const hasQuery = Object.keys(req.query).length > 0;
+        res.json(hasQuery ? applyAgentQuery(agentsWithInfo.filter(info => !info.error), query) : agentsWithInfo);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // LLM and gas usage billed to an owner, per agent (read from the executor's usage ledger)
+    this.app.get("/api/agents/user/:address/usage", (req, res) => {
+      try {
+        const { address } = req.params;
+        
+        if (!ethers.isAddress(address)) {
+          return res.status(400).json({ error: "A valid owner address is required" });
+        }
+        
+        res.json(new UsageLedger().getOwnerUsage(ethers.getAddress(address)));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Active agents that none of their executors will run until they are topped up
+    this.app.get("/api/agents/out-of-credit", async (req, res) => {
+      try {
+        const agents = await this.utils.getOutOfCreditAgents();
+        
+        res.json({ agents, totalCount: agents.length });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
@@ -121,7 +676,10 @@ class AgentXAPI {
     this.app.get("/api/agents/:address", async (req, res) => {
       try {
         const { address } = req.params;
-        const agentInfo = await this.utils.getAgentInfo(address);
+        const memoryOffset = parseInt(req.query.memoryOffset) || 0;
+        const memoryLimit = parseInt(req.query.memoryLimit) || 100;
+        
+        const agentInfo = await this.utils.getAgentInfo(address, { memoryOffset, memoryLimit });
         res.json(agentInfo);
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -129,7 +687,7 @@ class AgentXAPI {
     });
     
     // Update agent goal
-    this.app.put("/api/agents/:address/goal", async (req, res) => {
+    this.app.put("/api/agents/:address/goal", authenticate, ownerOnly, requireSigner, async (req, res) => {
       try {
         const { address } = req.params;
         const { goal } = req.body;
@@ -138,8 +696,12 @@ class AgentXAPI {
           return res.status(400).json({ error: "Goal is required" });
         }
         
-        await this.utils.updateAgentGoal(address, goal);
-        const agentInfo = await this.utils.getAgentInfo(address);
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "updateGoal", [goal]));
+        }
+        
+        await req.signer.updateAgentGoal(address, goal);
+        const agentInfo = await this.utils.getAgentInfo(address, { fresh: true });
         
         res.json(agentInfo);
       } catch (error) {
@@ -148,7 +710,7 @@ class AgentXAPI {
     });
     
     // Store agent memory
-    this.app.post("/api/agents/:address/memory", async (req, res) => {
+    this.app.post("/api/agents/:address/memory", authenticate, ownerOrExecutor, requireSigner, async (req, res) => {
       try {
         const { address } = req.params;
         const { key, value } = req.body;
@@ -157,8 +719,12 @@ class AgentXAPI {
           return res.status(400).json({ error: "Key and value are required" });
         }
         
-        await this.utils.storeAgentMemory(address, key, value);
-        const agentInfo = await this.utils.getAgentInfo(address);
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "storeMemory", [key, value]));
+        }
+        
+        await req.signer.storeAgentMemory(address, key, value);
+        const agentInfo = await this.utils.getAgentInfo(address, { fresh: true });
         
         res.json(agentInfo);
       } catch (error) {
@@ -166,72 +732,784 @@ class AgentXAPI {
       }
     });
     
-    // Activate/deactivate agent
-    this.app.put("/api/agents/:address/active", async (req, res) => {
+    // Get agent memories (paginated)
+    this.app.get("/api/agents/:address/memories", async (req, res) => {
       try {
         const { address } = req.params;
-        const { isActive } = req.body;
-        
-        if (typeof isActive !== "boolean") {
-          return res.status(400).json({ error: "isActive must be a boolean" });
-        }
+        const offset = parseInt(req.query.offset) || 0;
+        const limit = parseInt(req.query.limit) || 50;
         
-        await this.utils.setAgentActive(address, isActive);
-        const agentInfo = await this.utils.getAgentInfo(address);
+        const result = await this.utils.getAgentMemories(address, offset, limit);
         
-        res.json(agentInfo);
+        res.json({
+          agentAddress: address,
+          ...result,
+          offset,
+          limit
+        });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
     
-    // Get agent execution history (memories with execution prefix)
-    this.app.get("/api/agents/:address/executions", async (req, res) => {
+    // Semantic search over the agent's memories and responses (off-chain embedding index).
+    // Syncing the index and embedding the query can call a paid provider, so only the owner may search.
+    this.app.get("/api/agents/:address/memory/search", authenticate, ownerOnly, limitEmbeddings, async (req, res) => {
       try {
         const { address } = req.params;
-        const agentInfo = await this.utils.getAgentInfo(address);
+        const { q, type } = req.query;
+        const k = req.query.k === undefined ? 5 : Number(req.query.k);
+        
+        if (typeof q !== "string" || !q.trim()) {
+          return res.status(400).json({ error: "q is required" });
+        }
+        
+        if (!Number.isInteger(k) || k < 1 || k > 50) {
+          return res.status(400).json({ error: "k must be an integer between 1 and 50" });
+        }
         
-        const executions = agentInfo.memories
-          .filter(memory => memory.key.startsWith('execution_'))
-          .sort((a, b) => b.timestamp - a.timestamp)
-          .map(memory => ({
-            executionNumber: memory.key.replace('execution_', ''),
-            result: memory.value,
-            timestamp: memory.timestamp,
-            date: new Date(memory.timestamp * 1000).toISOString()
-          }));
+        if (type !== undefined && !["memory", "response"].includes(type)) {
+          return res.status(400).json({ error: 'type must be "memory" or "response"' });
+        }
+        
+        const index = new MemoryIndex();
+        await index.sync(this.utils.getAgentContract(address), {
+          resolveContent: async (value) => (await this.utils.resolveContent(value)).value
+        });
         
         res.json({
           agentAddress: address,
-          totalExecutions: agentInfo.executionCount,
-          executions
+          query: q,
+          provider: index.embeddings.name,
+          model: index.embeddings.model,
+          results: await index.search(address, q, { k, type })
         });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
     
-    // Error handling middleware
-    this.app.use((error, req, res, next) => {
-      console.error("API Error:", error);
-      res.status(500).json({
-        error: "Internal server error",
-        message: error.message
-      });
+    // Delete agent memory
+    this.app.delete("/api/agents/:address/memory/:key", authenticate, ownerOrExecutor, requireSigner, async (req, res) => {
+      try {
+        const { address, key } = req.params;
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "deleteMemory", [key]));
+        }
+        
+        await req.signer.deleteAgentMemory(address, key);
+        const agentInfo = await this.utils.getAgentInfo(address, { fresh: true });
+        
+        res.json(agentInfo);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
     });
     
-    // 404 handler
-    this.app.use((req, res) => {
-      res.status(404).json({ error: "Endpoint not found" });
-    });
-  }
-  
-  start() {
-    this.app.listen(this.port, () => {
-      console.log(`🌐 AgentX API server running on port ${this.port}`);
-      console.log(`📡 Health check: http://localhost:${this.port}/health`);
-      console.log(`📋 API documentation: http://localhost:${this.port}/api`);
-    });
+    // Activate/deactivate agent
+    this.app.put("/api/agents/:address/active", authenticate, ownerOnly, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { isActive } = req.body;
+        
+        if (typeof isActive !== "boolean") {
+          return res.status(400).json({ error: "isActive must be a boolean" });
+        }
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "setActive", [isActive]));
+        }
+        
+        await req.signer.setAgentActive(address, isActive);
+        const agentInfo = await this.utils.getAgentInfo(address, { fresh: true });
+        
+        res.json(agentInfo);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Set agent execution schedule
+    this.app.put("/api/agents/:address/schedule", authenticate, ownerOnly, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { interval = 0, cron = "" } = req.body;
+        
+        const validationError = validateSchedule({ interval, cron });
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "setSchedule", [interval, cron.trim()]));
+        }
+        
+        await req.signer.setAgentSchedule(address, interval, cron.trim());
+        const agentInfo = await this.utils.getAgentInfo(address, { fresh: true });
+        
+        res.json(agentInfo);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Set agent LLM provider, model and parameters
+    this.app.put("/api/agents/:address/model", authenticate, ownerOnly, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { provider = "", model = "", maxTokens = 0, temperature = 0 } = req.body;
+        
+        if (provider && !PROVIDER_NAMES.includes(provider)) {
+          return res.status(400).json({ error: `provider must be one of: ${PROVIDER_NAMES.join(", ")}` });
+        }
+        
+        if (!Number.isInteger(maxTokens) || maxTokens < 0) {
+          return res.status(400).json({ error: "maxTokens must be a non-negative integer" });
+        }
+        
+        if (typeof temperature !== "number" || temperature < 0 || temperature > 2) {
+          return res.status(400).json({ error: "temperature must be a number between 0 and 2" });
+        }
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "setModelConfig", [provider, model, maxTokens, Math.round(temperature * 100)]));
+        }
+        
+        await req.signer.setAgentModelConfig(address, { provider, model, maxTokens, temperature });
+        const agentInfo = await this.utils.getAgentInfo(address, { fresh: true });
+        
+        res.json(agentInfo);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Tokens, estimated LLM cost and gas used by the agent's executions
+    this.app.get("/api/agents/:address/usage", async (req, res) => {
+      try {
+        const { address } = req.params;
+        const limit = parseInt(req.query.limit) || 20;
+        const { dailyTokenLimit } = await this.utils.getAgentInfo(address);
+        
+        res.json(new UsageLedger().getAgentUsage(address, { dailyTokenLimit, limit }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Cap the LLM tokens executors may spend on the agent per day (0 removes the cap)
+    this.app.put("/api/agents/:address/usage/limit", authenticate, ownerOnly, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { dailyTokenLimit } = req.body;
+        
+        if (!Number.isInteger(dailyTokenLimit) || dailyTokenLimit < 0) {
+          return res.status(400).json({ error: "dailyTokenLimit must be a non-negative integer" });
+        }
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "setDailyTokenLimit", [dailyTokenLimit]));
+        }
+        
+        await req.signer.setDailyTokenLimit(address, dailyTokenLimit);
+        const agentInfo = await this.utils.getAgentInfo(address, { fresh: true });
+        
+        res.json(new UsageLedger().getAgentUsage(address, { dailyTokenLimit: agentInfo.dailyTokenLimit }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Get the agent's prompt template and system prompt
+    this.app.get("/api/agents/:address/prompt", async (req, res) => {
+      try {
+        res.json(await this.utils.getPromptConfig(req.params.address));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Set the agent's prompt template and system prompt ({} restores the executor defaults)
+    this.app.put("/api/agents/:address/prompt", authenticate, ownerOnly, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const config = req.body;
+        
+        const validationError = validatePromptConfig(config);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+        
+        if (req.unsigned) {
+          const stored = this.utils.storePromptConfig(config, { offChain: this.storePromptsOffChain });
+          return res.json(await this.prepareAgentCall(req, address, "setPromptConfig", [stored]));
+        }
+        
+        await req.signer.setPromptConfig(address, config, { offChain: this.storePromptsOffChain });
+        
+        res.json(await this.utils.getPromptConfig(address));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Render the exact messages the executor would send to the LLM, without calling it.
+    // A config in the body previews it before it is saved.
+    // Memories waiting to be folded into the rolling summary are listed, not summarized.
+    // Relevant memories are retrieved with the embedding index, so only the owner may preview.
+    this.app.post("/api/agents/:address/prompt/preview", authenticate, ownerOnly, limitEmbeddings, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const config = req.body && Object.keys(req.body).length > 0 ? req.body : undefined;
+        
+        if (config) {
+          const validationError = validatePromptConfig(config);
+          if (validationError) {
+            return res.status(400).json({ error: validationError });
+          }
+        }
+        
+        // Budget the memory context for the model the executor would use
+        const agent = this.utils.getAgentContract(address);
+        const { model } = new ProviderRegistry().resolve(await agent.getModelConfig());
+        
+        const resolveContent = async (value) => (await this.utils.resolveContent(value)).value;
+        const memoryIndex = new MemoryIndex();
+        
+        const { name, variables, context, messages } = await buildPrompt(agent, {
+          provider: this.utils.provider,
+          resolveContent,
+          config,
+          model,
+          search: async (query, k) => {
+            await memoryIndex.sync(agent, { resolveContent });
+            return memoryIndex.search(address, query, { k });
+          },
+          toolNames: new ToolRegistry().names
+        });
+        
+        res.json({ agentAddress: address, name, variables, context, messages });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // List authorized executors
+    this.app.get("/api/agents/:address/executors", async (req, res) => {
+      try {
+        const { address } = req.params;
+        const agentInfo = await this.utils.getAgentInfo(address);
+        
+        res.json({
+          agentAddress: address,
+          executors: agentInfo.executors
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Authorize an executor
+    this.app.post("/api/agents/:address/executors", authenticate, ownerOnly, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { executor } = req.body;
+        
+        if (!executor || !ethers.isAddress(executor)) {
+          return res.status(400).json({ error: "A valid executor address is required" });
+        }
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "authorizeExecutor", [executor]));
+        }
+        
+        await req.signer.authorizeExecutor(address, executor);
+        const agentInfo = await this.utils.getAgentInfo(address, { fresh: true });
+        
+        res.json(agentInfo);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Revoke an executor
+    this.app.delete("/api/agents/:address/executors/:executor", authenticate, ownerOnly, requireSigner, async (req, res) => {
+      try {
+        const { address, executor } = req.params;
+        
+        if (!ethers.isAddress(executor)) {
+          return res.status(400).json({ error: "A valid executor address is required" });
+        }
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "revokeExecutor", [executor]));
+        }
+        
+        await req.signer.revokeExecutor(address, executor);
+        const agentInfo = await this.utils.getAgentInfo(address, { fresh: true });
+        
+        res.json(agentInfo);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Prepaid execution credits and what each executor charges
+    this.app.get("/api/agents/:address/credits", async (req, res) => {
+      try {
+        res.json(await this.utils.getAgentCredits(req.params.address));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Prepay execution fees (anyone may top up an agent)
+    this.app.post("/api/agents/:address/credits/deposit", authenticate, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { amount } = req.body;
+        
+        let wei;
+        try {
+          wei = ethers.parseEther(String(amount));
+        } catch {
+          return res.status(400).json({ error: "amount must be an amount in ether" });
+        }
+        
+        if (wei <= 0n) {
+          return res.status(400).json({ error: "amount must be positive" });
+        }
+        
+        if (req.unsigned === "intent") {
+          return res.status(400).json({ error: "Deposits carry value, so they can't be relayed as intents; use ?unsigned=true" });
+        }
+        
+        if (req.unsigned) {
+          const transaction = await this.utils.prepareAgentTransaction(req.caller.address, address, "depositCredits", [], wei);
+          return res.json({ transaction });
+        }
+        
+        await req.signer.depositCredits(address, amount);
+        
+        res.json(await this.utils.getAgentCredits(address));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Withdraw unused execution credits to the owner
+    this.app.post("/api/agents/:address/credits/withdraw", authenticate, ownerOnly, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { amount } = req.body;
+        
+        let wei;
+        try {
+          wei = ethers.parseEther(String(amount));
+        } catch {
+          return res.status(400).json({ error: "amount must be an amount in ether" });
+        }
+        
+        if (wei <= 0n) {
+          return res.status(400).json({ error: "amount must be positive" });
+        }
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "withdrawCredits", [wei]));
+        }
+        
+        try {
+          await req.signer.withdrawCredits(address, amount);
+        } catch (error) {
+          if (error.code === "CALL_EXCEPTION") {
+            return res.status(400).json({ error: error.reason || error.shortMessage || error.message });
+          }
+          throw error;
+        }
+        
+        res.json(await this.utils.getAgentCredits(address));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Approve the highest fee an executor may charge the agent per execution
+    this.app.post("/api/agents/:address/credits/max-fee", authenticate, ownerOnly, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { executor, maxFee } = req.body;
+        
+        if (!executor || !ethers.isAddress(executor)) {
+          return res.status(400).json({ error: "A valid executor address is required" });
+        }
+        
+        let wei;
+        try {
+          wei = ethers.parseEther(String(maxFee));
+        } catch {
+          return res.status(400).json({ error: "maxFee must be an amount in ether" });
+        }
+        
+        if (wei < 0n) {
+          return res.status(400).json({ error: "maxFee can't be negative" });
+        }
+        
+        if (!await this.utils.getAgentContract(address).isExecutor(executor)) {
+          return res.status(400).json({ error: "Executor not authorized" });
+        }
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "setMaxExecutionFee", [executor, wei]));
+        }
+        
+        await req.signer.setMaxExecutionFee(address, executor, maxFee);
+        
+        res.json(await this.utils.getAgentCredits(address));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Calls the agent may make, its spending caps and balance
+    this.app.get("/api/agents/:address/actions", async (req, res) => {
+      try {
+        res.json(await this.utils.getActionPolicy(req.params.address));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Allow or disallow a call the agent can make
+    this.app.put("/api/agents/:address/actions/permissions", authenticate, ownerOnly, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { target, allowed = true } = req.body;
+        const selector = toSelector(req.body.selector);
+        
+        if (!target || !ethers.isAddress(target)) {
+          return res.status(400).json({ error: "A valid target address is required" });
+        }
+        
+        if (!selector) {
+          return res.status(400).json({ error: "selector must be a 4-byte selector, a function signature or \"transfer\"" });
+        }
+        
+        if (typeof allowed !== "boolean") {
+          return res.status(400).json({ error: "allowed must be a boolean" });
+        }
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "setActionPermission", [target, selector, allowed]));
+        }
+        
+        await req.signer.setActionPermission(address, target, selector, allowed);
+        
+        res.json(await this.utils.getActionPolicy(address));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Cap the value the agent's actions can spend (in ether)
+    this.app.put("/api/agents/:address/actions/limits", authenticate, ownerOnly, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { maxActionValue = "0", dailySpendLimit = "0" } = req.body;
+        const limits = {};
+        
+        for (const [name, value] of Object.entries({ maxActionValue, dailySpendLimit })) {
+          try {
+            limits[name] = ethers.parseEther(String(value));
+          } catch {
+            return res.status(400).json({ error: `${name} must be an amount in ether` });
+          }
+          
+          if (limits[name] < 0n) {
+            return res.status(400).json({ error: `${name} must not be negative` });
+          }
+        }
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "setSpendingLimits", [limits.maxActionValue, limits.dailySpendLimit]));
+        }
+        
+        await req.signer.setSpendingLimits(address, maxActionValue, dailySpendLimit);
+        
+        res.json(await this.utils.getActionPolicy(address));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Make an allowed call from the agent's address
+    this.app.post("/api/agents/:address/actions", authenticate, ownerOrExecutor, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { target, data, value, error } = parseAction(req.body);
+        
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "executeAction", [target, data, value]));
+        }
+        
+        let tx;
+        try {
+          tx = await req.signer.executeAgentAction(address, target, data, ethers.formatEther(value));
+        } catch (error) {
+          // Rejected by the agent's policy, or the call itself reverted
+          if (error.code === "CALL_EXCEPTION") {
+            return res.status(400).json({ error: error.reason || error.shortMessage || error.message });
+          }
+          throw error;
+        }
+        
+        res.json({ agentAddress: address, target, data, value: ethers.formatEther(value), hash: tx.hash });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Let executors act without approval, or make their actions proposals for the owner
+    this.app.put("/api/agents/:address/actions/autonomous", authenticate, ownerOnly, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { enabled } = req.body;
+        
+        if (typeof enabled !== "boolean") {
+          return res.status(400).json({ error: "enabled must be a boolean" });
+        }
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "setAutonomousActions", [enabled]));
+        }
+        
+        await req.signer.setAutonomousActions(address, enabled);
+        
+        res.json(await this.utils.getActionPolicy(address));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Action proposals awaiting (or past) the owner's approval, newest first
+    this.app.get("/api/agents/:address/proposals", async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { status } = req.query;
+        const offset = parseInt(req.query.offset) || 0;
+        const limit = parseInt(req.query.limit) || 50;
+        
+        if (status !== undefined && !PROPOSAL_STATUSES.includes(status)) {
+          return res.status(400).json({ error: `status must be one of: ${PROPOSAL_STATUSES.join(", ")}` });
+        }
+        
+        const result = await this.utils.getAgentProposals(address, offset, limit, { status });
+        
+        res.json({
+          agentAddress: address,
+          totalProposals: result.totalCount,
+          proposals: result.proposals,
+          hasMore: result.hasMore,
+          offset,
+          limit
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Propose an allowed call for the owner to approve
+    this.app.post("/api/agents/:address/proposals", authenticate, ownerOrExecutor, requireSigner, async (req, res) => {
+      try {
+        const { address } = req.params;
+        const { target, data, value, error } = parseAction(req.body);
+        const { expiresIn = this.proposalTtl } = req.body;
+        
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
+        if (!Number.isInteger(expiresIn) || expiresIn <= 0) {
+          return res.status(400).json({ error: "expiresIn must be a positive number of seconds" });
+        }
+        
+        const expiresAt = Math.floor(Date.now() / 1000) + expiresIn;
+        
+        if (req.unsigned) {
+          return res.json(await this.prepareAgentCall(req, address, "proposeAction", [target, data, value, expiresAt]));
+        }
+        
+        let proposal;
+        try {
+          proposal = await req.signer.proposeAgentAction(address, target, data, ethers.formatEther(value), expiresAt);
+        } catch (error) {
+          if (error.code === "CALL_EXCEPTION") {
+            return res.status(400).json({ error: error.reason || error.shortMessage || error.message });
+          }
+          throw error;
+        }
+        
+        res.status(201).json({ agentAddress: address, ...proposal, target, data, value: ethers.formatEther(value), expiresAt });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Approve a pending proposal (executing its call) or reject it
+    for (const decision of ["approve", "reject"]) {
+      const method = `${decision}Proposal`;
+      
+      this.app.post(`/api/agents/:address/proposals/:id/${decision}`, authenticate, ownerOnly, requireSigner, async (req, res) => {
+        try {
+          const { address } = req.params;
+          const id = Number(req.params.id);
+          
+          if (!Number.isInteger(id) || id < 0) {
+            return res.status(400).json({ error: "Proposal id must be a non-negative integer" });
+          }
+          
+          if (req.unsigned) {
+            return res.json(await this.prepareAgentCall(req, address, method, [id]));
+          }
+          
+          let tx;
+          try {
+            tx = await req.signer[method](address, id);
+          } catch (error) {
+            // Not pending, expired, or the approved call reverted
+            if (error.code === "CALL_EXCEPTION") {
+              return res.status(400).json({ error: error.reason || error.shortMessage || error.message });
+            }
+            throw error;
+          }
+          
+          res.json({ agentAddress: address, id, status: decision === "approve" ? "executed" : "rejected", hash: tx.hash });
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      });
+    }
+    
+    // List an agent's webhooks (secrets are only returned on registration)
+    this.app.get("/api/agents/:address/webhooks", authenticate, ownerOnly, (req, res) => {
+      const { address } = req.params;
+      
+      res.json({
+        agentAddress: address,
+        webhooks: this.webhooks.getWebhooks(address).map(({ secret, ...webhook }) => webhook)
+      });
+    });
+    
+    // Register a webhook for agent events
+    this.app.post("/api/agents/:address/webhooks", authenticate, ownerOnly, (req, res) => {
+      try {
+        const { address } = req.params;
+        const { url, events } = req.body;
+        const error = validateWebhook({ url, events }, this.webhooks.allowedHosts);
+        
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
+        res.json(this.webhooks.addWebhook(ethers.getAddress(address), { url, events, owner: req.caller.address }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Remove a webhook
+    this.app.delete("/api/agents/:address/webhooks/:id", authenticate, ownerOnly, (req, res) => {
+      try {
+        const { address, id } = req.params;
+        
+        if (!this.webhooks.getWebhook(address, id)) {
+          return res.status(404).json({ error: "Webhook not found" });
+        }
+        
+        this.webhooks.removeWebhook(id);
+        res.json({ success: true, id });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Delivery log of a webhook, newest first
+    this.app.get("/api/agents/:address/webhooks/:id/deliveries", authenticate, ownerOnly, (req, res) => {
+      const { address, id } = req.params;
+      const { status } = req.query;
+      
+      if (!this.webhooks.getWebhook(address, id)) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+      
+      if (status && !["pending", "delivered", "failed"].includes(status)) {
+        return res.status(400).json({ error: "status must be pending, delivered or failed" });
+      }
+      
+      res.json({
+        webhookId: id,
+        deliveries: this.webhooks.getDeliveries(id, status)
+      });
+    });
+    
+    // Get agent execution history (paginated, newest first)
+    this.app.get("/api/agents/:address/executions", async (req, res) => {
+      try {
+        const { address } = req.params;
+        const offset = parseInt(req.query.offset) || 0;
+        const limit = parseInt(req.query.limit) || 50;
+        const resolve = req.query.resolve === "true";
+        
+        const result = await this.utils.getAgentExecutions(address, offset, limit, { resolve });
+        
+        res.json({
+          agentAddress: address,
+          totalExecutions: result.totalCount,
+          executions: result.executions,
+          hasMore: result.hasMore,
+          offset,
+          limit
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Error handling middleware
+    this.app.use((error, req, res, next) => {
+      console.error("API Error:", error);
+      res.status(500).json({
+        error: "Internal server error",
+        message: error.message
+      });
+    });
+    
+    // 404 handler
+    this.app.use((req, res) => {
+      res.status(404).json({ error: "Endpoint not found" });
+    });
+  }
+  
+  start() {
+    this.app.listen(this.port, () => {
+      console.log(`🌐 AgentX API server running on port ${this.port}`);
+      console.log(`📡 Health check: http://localhost:${this.port}/health`);
+      console.log(`📋 API documentation: http://localhost:${this.port}/api`);
+    });
+    
+    if (this.utils.agentFactory) {
+      this.activity = new ActivityFeed({ provider: this.utils.provider, factory: this.utils.agentFactory });
+      this.activity.start()
+        .then(() => this.webhooks.start(this.activity))
+        .catch((error) => {
+          console.error("❌ Failed to start activity stream:", error.message);
+          this.activity = null;
+        });
+    }
   }
 }
 
@@ -2,6 +2,8 @@
 
 const AgentXUtils = require("../utils/AgentXUtils");
 const readline = require("readline");
+const { validateSchedule } = require("../utils/schedule");
+const { toSelector } = require("../utils/actions");
 
 class AgentXCLI {
   constructor() {
@@ -40,10 +42,15 @@ class AgentXCLI {
     console.log("5. Update agent goal");
     console.log("6. Store agent memory");
     console.log("7. Activate/Deactivate agent");
-    console.log("8. Exit");
+    console.log("8. Set agent schedule");
+    console.log("9. View execution history");
+    console.log("10. Configure agent actions");
+    console.log("11. Review action proposals");
+    console.log("12. Manage execution credits");
+    console.log("13. Exit");
     console.log();
     
-    const choice = await this.askQuestion("Enter your choice (1-8): ");
+    const choice = await this.askQuestion("Enter your choice (1-13): ");
     
     try {
       switch (choice.trim()) {
@@ -69,6 +76,21 @@ class AgentXCLI {
           await this.toggleAgentActive();
           break;
         case "8":
+          await this.setAgentSchedule();
+          break;
+        case "9":
+          await this.viewExecutionHistory();
+          break;
+        case "10":
+          await this.configureAgentActions();
+          break;
+        case "11":
+          await this.reviewProposals();
+          break;
+        case "12":
+          await this.manageCredits();
+          break;
+        case "13":
           console.log("👋 Goodbye!");
           this.rl.close();
           return;
@@ -152,6 +174,10 @@ class AgentXCLI {
     console.log(`Execution Count: ${agentInfo.executionCount}`);
     console.log(`Last Execution: ${agentInfo.lastExecution > 0 ? new Date(agentInfo.lastExecution * 1000).toLocaleString() : 'Never'}`);
     console.log(`Memory Count: ${agentInfo.memoryCount}`);
+    console.log(`Execution Credits: ${agentInfo.creditBalance} ETH`);
+    console.log(`Daily Token Limit: ${agentInfo.dailyTokenLimit || "unlimited"}`);
+    console.log(`Prompt Config: ${agentInfo.promptConfig ? "custom" : "executor default"}`);
+    console.log(`Schedule: ${agentInfo.schedule.cron ? `cron "${agentInfo.schedule.cron}"` : agentInfo.schedule.interval > 0 ? `every ${agentInfo.schedule.interval}s` : 'executor default'}`);
     
     if (agentInfo.lastResponse) {
       console.log(`Last Response: ${agentInfo.lastResponse}`);
@@ -204,6 +230,177 @@ class AgentXCLI {
     await this.utils.setAgentActive(agentAddress, isActive);
   }
   
+  async setAgentSchedule() {
+    const agentAddress = await this.askQuestion("Enter agent address: ");
+    const cron = await this.askQuestion("Enter cron expression (leave empty to use an interval): ");
+    const intervalInput = cron.trim() ? "" : await this.askQuestion("Enter interval in seconds (0 for executor default): ");
+    
+    if (!agentAddress.trim()) {
+      console.log("❌ Agent address cannot be empty");
+      return;
+    }
+    
+    const interval = intervalInput.trim() ? Number(intervalInput.trim()) : 0;
+    const validationError = validateSchedule({ interval, cron: cron.trim() });
+    
+    if (validationError) {
+      console.log(`❌ ${validationError}`);
+      return;
+    }
+    
+    await this.utils.setAgentSchedule(agentAddress, interval, cron.trim());
+  }
+  
+  async viewExecutionHistory() {
+    const agentAddress = await this.askQuestion("Enter agent address: ");
+    
+    if (!agentAddress.trim()) {
+      console.log("❌ Agent address cannot be empty");
+      return;
+    }
+    
+    const result = await this.utils.getAgentExecutions(agentAddress, 0, 10, { resolve: true });
+    
+    if (result.executions.length === 0) {
+      console.log("📭 This agent has not been executed yet");
+      return;
+    }
+    
+    console.log(`Execution history (latest ${result.executions.length} of ${result.totalCount}):`);
+    result.executions.forEach(execution => {
+      console.log(`#${execution.index} - ${new Date(execution.timestamp * 1000).toLocaleString()}`);
+      console.log(`   Model: ${execution.model || 'unknown'}`);
+      console.log(`   Executor: ${execution.executor}`);
+      console.log(`   Prompt hash: ${execution.promptHash}`);
+      console.log(`   Response hash: ${execution.responseHash}`);
+      
+      if (execution.toolCalls && execution.toolCalls.length > 0) {
+        console.log(`   Tool calls: ${execution.toolCalls.map(call => call.error ? `${call.name} (failed)` : call.name).join(", ")}`);
+      }
+    });
+  }
+  
+  async configureAgentActions() {
+    const agentAddress = await this.askQuestion("Enter agent address: ");
+    
+    if (!agentAddress.trim()) {
+      console.log("❌ Agent address cannot be empty");
+      return;
+    }
+    
+    const policy = await this.utils.getActionPolicy(agentAddress.trim());
+    console.log(`Balance: ${policy.balance} ETH`);
+    console.log(`Autonomous actions: ${policy.autonomousActions ? "on" : "off (actions need your approval)"}`);
+    console.log(`Spending limits: ${policy.maxActionValue} ETH per action, ${policy.dailySpendLimit} ETH per day (${policy.spentToday} ETH spent)`);
+    console.log("Allowed actions:");
+    policy.allowedActions.forEach(action => console.log(`   ${action.target} ${action.selector}`));
+    
+    if (policy.allowedActions.length === 0) {
+      console.log("   none");
+    }
+    
+    const choice = await this.askQuestion("Allow an action (a), disallow an action (d), set spending limits (l) or toggle autonomous actions (t)? ");
+    
+    if (choice.toLowerCase().startsWith("t")) {
+      await this.utils.setAutonomousActions(agentAddress.trim(), !policy.autonomousActions);
+      return;
+    }
+    
+    if (choice.toLowerCase().startsWith("l")) {
+      const maxActionValue = await this.askQuestion("Maximum ETH per action: ");
+      const dailySpendLimit = await this.askQuestion("Maximum ETH per day: ");
+      await this.utils.setSpendingLimits(agentAddress.trim(), maxActionValue.trim() || "0", dailySpendLimit.trim() || "0");
+      return;
+    }
+    
+    const target = await this.askQuestion("Enter target contract address: ");
+    const selector = toSelector((await this.askQuestion("Enter function signature, selector or \"transfer\": ")).trim());
+    
+    if (!target.trim() || !selector) {
+      console.log("❌ A target address and a valid function are required");
+      return;
+    }
+    
+    await this.utils.setActionPermission(agentAddress.trim(), target.trim(), selector, !choice.toLowerCase().startsWith("d"));
+  }
+  
+  async reviewProposals() {
+    const agentAddress = await this.askQuestion("Enter agent address: ");
+    
+    if (!agentAddress.trim()) {
+      console.log("❌ Agent address cannot be empty");
+      return;
+    }
+    
+    const { proposals } = await this.utils.getAgentProposals(agentAddress.trim(), 0, 20, { status: "pending" });
+    
+    if (proposals.length === 0) {
+      console.log("📭 No pending proposals");
+      return;
+    }
+    
+    console.log(`\n📨 Pending proposals (${proposals.length}):`);
+    proposals.forEach(proposal => {
+      console.log(`#${proposal.id} ${proposal.target} ${proposal.selector} (${proposal.value} ETH)`);
+      console.log(`   Proposed by ${proposal.proposer}, expires ${new Date(proposal.expiresAt * 1000).toISOString()}`);
+      console.log(`   Data: ${proposal.data}`);
+    });
+    
+    const id = parseInt(await this.askQuestion("Enter proposal id: "));
+    
+    if (!proposals.some(proposal => proposal.id === id)) {
+      console.log("❌ Not a pending proposal");
+      return;
+    }
+    
+    const decision = await this.askQuestion("Approve (a) or reject (r)? ");
+    
+    if (decision.toLowerCase().startsWith("a")) {
+      await this.utils.approveProposal(agentAddress.trim(), id);
+    } else if (decision.toLowerCase().startsWith("r")) {
+      await this.utils.rejectProposal(agentAddress.trim(), id);
+    }
+  }
+  
+  async manageCredits() {
+    const agentAddress = await this.askQuestion("Enter agent address: ");
+    
+    if (!agentAddress.trim()) {
+      console.log("❌ Agent address cannot be empty");
+      return;
+    }
+    
+    const credits = await this.utils.getAgentCredits(agentAddress.trim());
+    console.log(`Credit balance: ${credits.creditBalance} ETH${credits.outOfCredit ? " (out of credit)" : ""}`);
+    credits.executors.forEach(executor => {
+      const remaining = executor.executionsRemaining === null ? "no fee" : `${executor.executionsRemaining} executions left`;
+      const approved = Number(executor.fee) > Number(executor.maxFee) ? `, above the approved ${executor.maxFee} ETH` : "";
+      console.log(`   ${executor.address}: ${executor.fee} ETH per execution (${remaining}${approved})`);
+    });
+    
+    const choice = await this.askQuestion("Deposit (d) or withdraw (w) credits, or approve an executor's fee (f)? ");
+    
+    if (choice.toLowerCase().startsWith("f")) {
+      const executor = await this.askQuestion("Executor address: ");
+      const maxFee = await this.askQuestion("Maximum fee per execution in ETH: ");
+      await this.utils.setMaxExecutionFee(agentAddress.trim(), executor.trim(), maxFee.trim());
+      return;
+    }
+    
+    const amount = await this.askQuestion("Amount in ETH: ");
+    
+    if (!(Number(amount) > 0)) {
+      console.log("❌ Amount must be a positive number");
+      return;
+    }
+    
+    if (choice.toLowerCase().startsWith("d")) {
+      await this.utils.depositCredits(agentAddress.trim(), amount.trim());
+    } else if (choice.toLowerCase().startsWith("w")) {
+      await this.utils.withdrawCredits(agentAddress.trim(), amount.trim());
+    }
+  }
+  
   askQuestion(question) {
     return new Promise((resolve) => {
       this.rl.question(question, resolve);
@@ -1,11 +1,23 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import "./SignedIntents.sol";
+
+/**
+ * @dev Fees executors charge per execution, published on the factory
+ */
+interface IExecutionFees {
+    function executionFees(address executor) external view returns (uint256);
+}
+
 /**
  * @title Agent
  * @dev Individual AI agent contract with goal, memory, and response storage
  */
-contract Agent {
+contract Agent is SignedIntents {
+    bytes32 private constant CALL_TYPEHASH = keccak256("Call(bytes data,uint256 nonce,uint256 deadline)");
+    uint256 public constant MIN_CHARGE_INTERVAL = 15 minutes; // Fees are charged at most this often, whatever the schedule
+    
     address public owner;
     address public factory;
     string public goal;
@@ -13,6 +25,8 @@ contract Agent {
     uint256 public lastExecutionTime;
     uint256 public executionCount;
     bool public isActive;
+    uint256 public executionInterval;
+    string public cronSchedule;
     
     struct Memory {
         string key;
@@ -20,40 +34,198 @@ contract Agent {
         uint256 timestamp;
     }
     
+    struct ModelConfig {
+        string provider;
+        string model;
+        uint256 maxTokens;
+        uint256 temperature; // Scaled by 100 (70 = 0.7)
+    }
+    
+    ModelConfig public modelConfig;
+    uint256 public dailyTokenLimit; // LLM tokens executors may spend per day (0 = unlimited)
+    string public promptConfig; // Prompt template and system prompt as JSON or its ipfs:// URI (empty for defaults)
+    
+    struct ExecutionRecord {
+        uint256 index;
+        uint256 timestamp;
+        bytes32 promptHash;
+        bytes32 responseHash;
+        string model;
+        address executor;
+        string promptURI; // Off-chain prompt content (empty if not stored)
+        string responseURI; // Off-chain response content (empty if stored inline)
+    }
+    
+    ExecutionRecord[] public executions;
+    
     Memory[] public memories;
-    mapping(string => uint256) public memoryIndex;
+    mapping(string => uint256) public memoryIndex; // Position in memories + 1 (0 = not stored)
+    
+    address[] public executors;
+    mapping(address => bool) public isExecutor;
+    mapping(address => uint256) public maxExecutionFee; // Highest fee (wei) the owner agreed to pay each executor
+    
+    struct AllowedAction {
+        address target;
+        bytes4 selector; // bytes4(0) for plain value transfers
+    }
+    
+    AllowedAction[] private allowedActions;
+    mapping(address => mapping(bytes4 => uint256)) private allowedActionIndex; // Position in allowedActions + 1
+    
+    uint256 public maxActionValue; // Wei per action
+    uint256 public dailySpendLimit; // Wei per spending period
+    uint256 public spentInPeriod;
+    uint256 public spendingPeriodStart;
+    bool public autonomousActions; // Executors may act without the owner's approval
+    uint256 public creditBalance; // Prepaid execution fees (wei), kept apart from the funds actions spend
+    uint256 public lastChargeTime; // When an executor fee was last charged
+    
+    enum ProposalStatus { Pending, Executed, Rejected }
+    
+    struct Proposal {
+        uint256 id;
+        address proposer;
+        address target;
+        uint256 value;
+        bytes data;
+        uint256 expiresAt;
+        uint256 timestamp;
+        ProposalStatus status;
+    }
+    
+    Proposal[] private proposals;
     
     event GoalUpdated(string newGoal, uint256 timestamp);
     event ResponseUpdated(string response, uint256 timestamp);
     event MemoryStored(string key, string value, uint256 timestamp);
+    event MemoryDeleted(string key, uint256 timestamp);
+    event ExecutionRecorded(
+        uint256 indexed index,
+        address indexed executor,
+        bytes32 promptHash,
+        bytes32 responseHash,
+        string model,
+        uint256 timestamp
+    );
     event AgentActivated(uint256 timestamp);
     event AgentDeactivated(uint256 timestamp);
+    event ExecutorAuthorized(address indexed executor, uint256 timestamp);
+    event ExecutorRevoked(address indexed executor, uint256 timestamp);
+    event ScheduleUpdated(uint256 executionInterval, string cronSchedule, uint256 timestamp);
+    event ModelConfigUpdated(string provider, string model, uint256 maxTokens, uint256 temperature, uint256 timestamp);
+    event DailyTokenLimitUpdated(uint256 limit, uint256 timestamp);
+    event PromptConfigUpdated(string promptConfig, uint256 timestamp);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner, uint256 timestamp);
+    event ActionPermissionUpdated(address indexed target, bytes4 indexed selector, bool allowed, uint256 timestamp);
+    event SpendingLimitsUpdated(uint256 maxActionValue, uint256 dailySpendLimit, uint256 timestamp);
+    event AutonomousActionsUpdated(bool enabled, uint256 timestamp);
+    event ActionProposed(
+        uint256 indexed id,
+        address indexed proposer,
+        address indexed target,
+        uint256 value,
+        bytes data,
+        uint256 expiresAt,
+        uint256 timestamp
+    );
+    event ProposalApproved(uint256 indexed id, uint256 timestamp);
+    event ProposalRejected(uint256 indexed id, uint256 timestamp);
+    event CreditsDeposited(address indexed from, uint256 amount, uint256 balance, uint256 timestamp);
+    event CreditsWithdrawn(address indexed to, uint256 amount, uint256 balance, uint256 timestamp);
+    event ExecutionFeeCharged(address indexed executor, uint256 fee, uint256 balance, uint256 timestamp);
+    event MaxExecutionFeeUpdated(address indexed executor, uint256 maxFee, uint256 timestamp);
+    event ActionExecuted(
+        address indexed executor,
+        address indexed target,
+        bytes4 indexed selector,
+        uint256 value,
+        bytes data,
+        uint256 timestamp
+    );
     
     modifier onlyOwner() {
-        require(msg.sender == owner, "Only owner can call this function");
+        require(_msgSender() == owner, "Only owner can call this function");
         _;
     }
     
     modifier onlyFactory() {
-        require(msg.sender == factory, "Only factory can call this function");
+        require(_msgSender() == factory, "Only factory can call this function");
         _;
     }
     
     modifier onlyOwnerOrFactory() {
+        address sender = _msgSender();
         require(
-            msg.sender == owner || msg.sender == factory,
+            sender == owner || sender == factory,
             "Only owner or factory can call this function"
         );
         _;
     }
     
-    constructor(address _owner, string memory _goal) {
+    modifier onlyExecutor() {
+        address sender = _msgSender();
+        require(
+            sender == owner || sender == factory || isExecutor[sender],
+            "Only owner, factory or executor can call this function"
+        );
+        _;
+    }
+    
+    /**
+     * @dev Deployed once by the factory as the implementation its agents
+     * clone. Setting the factory here keeps the implementation itself from
+     * being initialized.
+     */
+    constructor() SignedIntents("AgentX Agent") {
+        factory = msg.sender;
+    }
+    
+    /**
+     * @dev Initialize a new agent (called by the factory right after cloning)
+     * @param _owner Owner of the agent
+     * @param _goal Initial goal for the agent
+     */
+    function initialize(address _owner, string memory _goal) external {
+        require(factory == address(0), "Already initialized");
+        
         owner = _owner;
         factory = msg.sender;
         goal = _goal;
         isActive = true;
         lastExecutionTime = block.timestamp;
-        executionCount = 0;
+    }
+    
+    /**
+     * @dev Execute a call to this agent signed off-chain as an EIP-712
+     * Call(bytes data,uint256 nonce,uint256 deadline), e.g. the owner's
+     * updateGoal submitted by a relayer that pays the gas. The call runs
+     * with the signer's permissions; only the owner and authorized executors
+     * can sign calls.
+     * @param _signer Address that signed the call
+     * @param _data ABI-encoded call to this agent
+     * @param _deadline Timestamp after which the signature expires
+     * @param _signature Signer's EIP-712 signature
+     * @return result Return data of the call
+     */
+    function executeBySig(
+        address _signer,
+        bytes calldata _data,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external returns (bytes memory result) {
+        require(_signer == owner || isExecutor[_signer], "Signer cannot call this agent");
+        _useIntent(_signer, abi.encode(CALL_TYPEHASH, keccak256(_data)), _deadline, _signature);
+        
+        // Self-call with the signer appended to the calldata (see _msgSender)
+        bool success;
+        (success, result) = address(this).call(abi.encodePacked(_data, _signer));
+        
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
     }
     
     /**
@@ -69,11 +241,8 @@ contract Agent {
      * @dev Store AI response (called by off-chain executor)
      * @param _response AI-generated response
      */
-    function storeResponse(string memory _response) external onlyOwnerOrFactory {
-        lastResponse = _response;
-        lastExecutionTime = block.timestamp;
-        executionCount++;
-        emit ResponseUpdated(_response, block.timestamp);
+    function storeResponse(string memory _response) external onlyExecutor {
+        _storeResponse(_response, bytes32(0), bytes32(0), "", "");
     }
     
     /**
@@ -81,36 +250,93 @@ contract Agent {
      * @param _key Memory key
      * @param _value Memory value
      */
-    function storeMemory(string memory _key, string memory _value) external onlyOwnerOrFactory {
+    function storeMemory(string memory _key, string memory _value) external onlyExecutor {
+        _storeMemory(_key, _value);
+    }
+    
+    /**
+     * @dev Record an execution atomically: store the AI response, its
+     * execution record and a set of memory updates in a single transaction
+     * @param _response AI-generated response, or a content URI when the full response is stored off-chain
+     * @param _responseHash keccak256 of the off-chain response (zero when _response is inline)
+     * @param _promptHash keccak256 of the prompt sent to the model
+     * @param _promptURI Content URI of the prompt (empty if not stored)
+     * @param _model Model that produced the response
+     * @param _keys Memory keys to store
+     * @param _values Memory values, matching _keys by index
+     */
+    function recordExecution(
+        string memory _response,
+        bytes32 _responseHash,
+        bytes32 _promptHash,
+        string memory _promptURI,
+        string memory _model,
+        string[] memory _keys,
+        string[] memory _values
+    ) external onlyExecutor {
+        require(_keys.length == _values.length, "Keys and values length mismatch");
+        
+        _storeResponse(_response, _responseHash, _promptHash, _promptURI, _model);
+        
+        for (uint256 i = 0; i < _keys.length; i++) {
+            _storeMemory(_keys[i], _values[i]);
+        }
+    }
+    
+    /**
+     * @dev Get an execution record by index
+     * @param _index Execution index (0-based)
+     * @return The execution record
+     */
+    function getExecution(uint256 _index) external view returns (ExecutionRecord memory) {
+        require(_index < executions.length, "Execution not found");
+        return executions[_index];
+    }
+    
+    /**
+     * @dev Get execution records (paginated, oldest first)
+     * @param offset Starting index
+     * @param limit Number of records to return
+     * @return Array of execution records (empty if offset is past the end)
+     */
+    function getExecutions(uint256 offset, uint256 limit) external view returns (ExecutionRecord[] memory) {
+        if (offset >= executions.length) {
+            return new ExecutionRecord[](0);
+        }
+        
+        uint256 end = offset + limit;
+        if (end > executions.length) {
+            end = executions.length;
+        }
+        
+        ExecutionRecord[] memory result = new ExecutionRecord[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            result[i - offset] = executions[i];
+        }
+        
+        return result;
+    }
+    
+    /**
+     * @dev Delete a memory entry. The last entry is moved into the freed slot,
+     * so memory order is not preserved across deletions.
+     * @param _key Memory key
+     */
+    function deleteMemory(string memory _key) external onlyExecutor {
         uint256 index = memoryIndex[_key];
+        require(index > 0, "Memory not found");
         
-        if (index == 0 && memories.length > 0) {
-            // Check if key exists
-            bool exists = false;
-            for (uint256 i = 0; i < memories.length; i++) {
-                if (keccak256(bytes(memories[i].key)) == keccak256(bytes(_key))) {
-                    memories[i].value = _value;
-                    memories[i].timestamp = block.timestamp;
-                    exists = true;
-                    break;
-                }
-            }
-            
-            if (!exists) {
-                memories.push(Memory(_key, _value, block.timestamp));
-                memoryIndex[_key] = memories.length;
-            }
-        } else if (index > 0) {
-            // Update existing memory
-            memories[index - 1].value = _value;
-            memories[index - 1].timestamp = block.timestamp;
-        } else {
-            // First memory or new key
-            memories.push(Memory(_key, _value, block.timestamp));
-            memoryIndex[_key] = memories.length;
+        uint256 lastIndex = memories.length - 1;
+        if (index - 1 != lastIndex) {
+            Memory storage last = memories[lastIndex];
+            memories[index - 1] = last;
+            memoryIndex[last.key] = index;
         }
         
-        emit MemoryStored(_key, _value, block.timestamp);
+        memories.pop();
+        delete memoryIndex[_key];
+        
+        emit MemoryDeleted(_key, block.timestamp);
     }
     
     /**
@@ -120,16 +346,41 @@ contract Agent {
      * @return timestamp When the memory was stored
      */
     function getMemory(string memory _key) external view returns (string memory value, uint256 timestamp) {
-        for (uint256 i = 0; i < memories.length; i++) {
-            if (keccak256(bytes(memories[i].key)) == keccak256(bytes(_key))) {
-                return (memories[i].value, memories[i].timestamp);
-            }
+        uint256 index = memoryIndex[_key];
+        if (index == 0) {
+            return ("", 0);
+        }
+        
+        Memory storage memoryEntry = memories[index - 1];
+        return (memoryEntry.value, memoryEntry.timestamp);
+    }
+    
+    /**
+     * @dev Get memories (paginated)
+     * @param offset Starting index
+     * @param limit Number of memories to return
+     * @return Array of memories (empty if offset is past the end)
+     */
+    function getMemories(uint256 offset, uint256 limit) external view returns (Memory[] memory) {
+        if (offset >= memories.length) {
+            return new Memory[](0);
+        }
+        
+        uint256 end = offset + limit;
+        if (end > memories.length) {
+            end = memories.length;
+        }
+        
+        Memory[] memory result = new Memory[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            result[i - offset] = memories[i];
         }
-        return ("", 0);
+        
+        return result;
     }
     
     /**
-     * @dev Get all memories
+     * @dev Get all memories. Prefer getMemories for agents with many entries.
      * @return Array of all memories
      */
     function getAllMemories() external view returns (Memory[] memory) {
@@ -166,6 +417,381 @@ contract Agent {
         );
     }
     
+    /**
+     * @dev Set how often the off-chain executor should run the agent.
+     * A non-empty cron expression takes precedence over the interval, which
+     * then only sets the minimum gap between runs; when both are unset the
+     * executor falls back to its own default interval. Executors that charge
+     * a fee can't store responses more often than the interval.
+     * @param _executionInterval Minimum seconds between executions
+     * @param _cronSchedule Cron expression (e.g. "0 9 * * *")
+     */
+    function setSchedule(uint256 _executionInterval, string memory _cronSchedule) external onlyOwner {
+        executionInterval = _executionInterval;
+        cronSchedule = _cronSchedule;
+        emit ScheduleUpdated(_executionInterval, _cronSchedule, block.timestamp);
+    }
+    
+    /**
+     * @dev Get the agent's execution schedule
+     * @return interval Minimum seconds between executions (0 if unset)
+     * @return cron Cron expression (empty if unset)
+     */
+    function getSchedule() external view returns (uint256 interval, string memory cron) {
+        return (executionInterval, cronSchedule);
+    }
+    
+    /**
+     * @dev Select the LLM provider, model and parameters the executor should use.
+     * An empty provider means the executor's defaults apply.
+     * @param _provider Provider name (e.g. "openai", "local", "mock")
+     * @param _model Model name (empty for the provider's default)
+     * @param _maxTokens Maximum completion tokens (0 for the executor default)
+     * @param _temperature Sampling temperature scaled by 100 (0-200)
+     */
+    function setModelConfig(
+        string memory _provider,
+        string memory _model,
+        uint256 _maxTokens,
+        uint256 _temperature
+    ) external onlyOwner {
+        require(_temperature <= 200, "Temperature must be between 0 and 200");
+        
+        modelConfig = ModelConfig(_provider, _model, _maxTokens, _temperature);
+        emit ModelConfigUpdated(_provider, _model, _maxTokens, _temperature, block.timestamp);
+    }
+    
+    /**
+     * @dev Get the agent's LLM configuration
+     * @return The provider, model and parameters selected by the owner
+     */
+    function getModelConfig() external view returns (ModelConfig memory) {
+        return modelConfig;
+    }
+    
+    /**
+     * @dev Cap the LLM tokens executors may spend on the agent each day. Token
+     * usage is metered off-chain, so every executor enforces the cap itself.
+     * @param _limit Tokens per UTC day (0 for no cap)
+     */
+    function setDailyTokenLimit(uint256 _limit) external onlyOwner {
+        dailyTokenLimit = _limit;
+        emit DailyTokenLimitUpdated(_limit, block.timestamp);
+    }
+    
+    /**
+     * @dev Set the prompt template and system prompt the executor uses. The
+     * configuration is validated off-chain before it is written.
+     * @param _promptConfig JSON configuration or an ipfs:// URI of it (empty for the executor defaults)
+     */
+    function setPromptConfig(string memory _promptConfig) external onlyOwner {
+        promptConfig = _promptConfig;
+        emit PromptConfigUpdated(_promptConfig, block.timestamp);
+    }
+    
+    /**
+     * @dev Authorize an off-chain executor to store responses and memories,
+     * agreeing to pay at most the fee it publishes at this point
+     * @param _executor Executor address
+     */
+    function authorizeExecutor(address _executor) external onlyOwnerOrFactory {
+        require(_executor != address(0), "Executor cannot be zero address");
+        require(!isExecutor[_executor], "Executor already authorized");
+        
+        isExecutor[_executor] = true;
+        executors.push(_executor);
+        maxExecutionFee[_executor] = IExecutionFees(factory).executionFees(_executor);
+        
+        emit ExecutorAuthorized(_executor, block.timestamp);
+        emit MaxExecutionFeeUpdated(_executor, maxExecutionFee[_executor], block.timestamp);
+    }
+    
+    /**
+     * @dev Revoke a previously authorized executor
+     * @param _executor Executor address
+     */
+    function revokeExecutor(address _executor) external onlyOwnerOrFactory {
+        require(isExecutor[_executor], "Executor not authorized");
+        
+        isExecutor[_executor] = false;
+        delete maxExecutionFee[_executor];
+        for (uint256 i = 0; i < executors.length; i++) {
+            if (executors[i] == _executor) {
+                executors[i] = executors[executors.length - 1];
+                executors.pop();
+                break;
+            }
+        }
+        
+        emit ExecutorRevoked(_executor, block.timestamp);
+    }
+    
+    /**
+     * @dev Get all authorized executors
+     * @return Array of executor addresses
+     */
+    function getExecutors() external view returns (address[] memory) {
+        return executors;
+    }
+    
+    /**
+     * @dev Check if an address may store responses and memories
+     * @param _account Address to check
+     * @return True if the address is the owner, the factory or an authorized executor
+     */
+    function canExecute(address _account) external view returns (bool) {
+        return _account == owner || _account == factory || isExecutor[_account];
+    }
+    
+    /**
+     * @dev Allow or disallow the agent to call a function of a contract
+     * @param _target Contract (or account) the agent may call
+     * @param _selector Function selector, or bytes4(0) for plain value transfers
+     * @param _allowed Whether the call is allowed
+     */
+    function setActionPermission(address _target, bytes4 _selector, bool _allowed) external onlyOwner {
+        require(_target != address(this), "Agent cannot call itself");
+        
+        uint256 index = allowedActionIndex[_target][_selector];
+        require(_allowed != (index > 0), _allowed ? "Action already allowed" : "Action not allowed");
+        
+        if (_allowed) {
+            allowedActions.push(AllowedAction(_target, _selector));
+            allowedActionIndex[_target][_selector] = allowedActions.length;
+        } else {
+            AllowedAction storage last = allowedActions[allowedActions.length - 1];
+            allowedActions[index - 1] = last;
+            allowedActionIndex[last.target][last.selector] = index;
+            allowedActions.pop();
+            delete allowedActionIndex[_target][_selector];
+        }
+        
+        emit ActionPermissionUpdated(_target, _selector, _allowed, block.timestamp);
+    }
+    
+    /**
+     * @dev Check whether the agent may call a function of a contract
+     * @param _target Contract (or account) address
+     * @param _selector Function selector, or bytes4(0) for plain value transfers
+     * @return True if the owner allowed the call
+     */
+    function isActionAllowed(address _target, bytes4 _selector) public view returns (bool) {
+        return allowedActionIndex[_target][_selector] > 0;
+    }
+    
+    /**
+     * @dev Get the calls the owner allowed the agent to make
+     * @return Array of allowed targets and selectors
+     */
+    function getAllowedActions() external view returns (AllowedAction[] memory) {
+        return allowedActions;
+    }
+    
+    /**
+     * @dev Cap the value the agent's actions may spend. Both caps default to 0,
+     * so actions cannot spend anything until the owner sets them.
+     * @param _maxActionValue Maximum wei sent by a single action
+     * @param _dailySpendLimit Maximum wei sent by all actions within a day
+     */
+    function setSpendingLimits(uint256 _maxActionValue, uint256 _dailySpendLimit) external onlyOwner {
+        maxActionValue = _maxActionValue;
+        dailySpendLimit = _dailySpendLimit;
+        emit SpendingLimitsUpdated(_maxActionValue, _dailySpendLimit, block.timestamp);
+    }
+    
+    /**
+     * @dev Let executors make allowed calls without the owner approving each
+     * one. Off by default, so actions start out as proposals.
+     * @param _enabled Whether executors may call executeAction directly
+     */
+    function setAutonomousActions(bool _enabled) external onlyOwner {
+        autonomousActions = _enabled;
+        emit AutonomousActionsUpdated(_enabled, block.timestamp);
+    }
+    
+    /**
+     * @dev Make a call the owner allowed, from the agent's address and paid
+     * from its balance (called by off-chain executor). Only possible with
+     * autonomous actions enabled; otherwise use proposeAction. Reverts if the
+     * call fails, is not allowed or exceeds a spending cap.
+     * @param _target Contract (or account) to call
+     * @param _data ABI-encoded call (empty for a plain value transfer)
+     * @param _value Wei to send with the call
+     * @return Return data of the call
+     */
+    function executeAction(
+        address _target,
+        bytes calldata _data,
+        uint256 _value
+    ) external onlyExecutor returns (bytes memory) {
+        require(autonomousActions, "Actions require owner approval");
+        return _executeAction(_msgSender(), _target, _data, _value);
+    }
+    
+    /**
+     * @dev Propose an allowed call for the owner to approve (called by
+     * off-chain executor)
+     * @param _target Contract (or account) to call
+     * @param _data ABI-encoded call (empty for a plain value transfer)
+     * @param _value Wei to send with the call
+     * @param _expiresAt Timestamp after which the proposal can no longer be approved
+     * @return id Proposal id
+     */
+    function proposeAction(
+        address _target,
+        bytes calldata _data,
+        uint256 _value,
+        uint256 _expiresAt
+    ) external onlyExecutor returns (uint256 id) {
+        require(isActive, "Agent is not active");
+        require(_expiresAt > block.timestamp, "Expiry must be in the future");
+        require(isActionAllowed(_target, _selectorOf(_data)), "Action not allowed");
+        require(_value <= maxActionValue, "Exceeds max action value");
+        
+        id = proposals.length;
+        proposals.push(Proposal(id, _msgSender(), _target, _value, _data, _expiresAt, block.timestamp, ProposalStatus.Pending));
+        
+        emit ActionProposed(id, _msgSender(), _target, _value, _data, _expiresAt, block.timestamp);
+    }
+    
+    /**
+     * @dev Approve a pending proposal and execute it. The call is still
+     * subject to the allowlist and spending caps at execution time.
+     * @param _id Proposal id
+     * @return Return data of the call
+     */
+    function approveProposal(uint256 _id) external onlyOwner returns (bytes memory) {
+        require(_id < proposals.length, "Proposal not found");
+        
+        Proposal storage proposal = proposals[_id];
+        require(proposal.status == ProposalStatus.Pending, "Proposal is not pending");
+        require(block.timestamp <= proposal.expiresAt, "Proposal expired");
+        
+        proposal.status = ProposalStatus.Executed;
+        emit ProposalApproved(_id, block.timestamp);
+        
+        return _executeAction(proposal.proposer, proposal.target, proposal.data, proposal.value);
+    }
+    
+    /**
+     * @dev Reject a pending (or expired) proposal
+     * @param _id Proposal id
+     */
+    function rejectProposal(uint256 _id) external onlyOwner {
+        require(_id < proposals.length, "Proposal not found");
+        require(proposals[_id].status == ProposalStatus.Pending, "Proposal is not pending");
+        
+        proposals[_id].status = ProposalStatus.Rejected;
+        emit ProposalRejected(_id, block.timestamp);
+    }
+    
+    /**
+     * @dev Get the number of proposals
+     * @return Number of proposals ever made
+     */
+    function getProposalCount() external view returns (uint256) {
+        return proposals.length;
+    }
+    
+    /**
+     * @dev Get proposals (paginated, oldest first). Pending proposals past
+     * their expiry can no longer be approved.
+     * @param offset Starting index
+     * @param limit Number of proposals to return
+     * @return Array of proposals (empty if offset is past the end)
+     */
+    function getProposals(uint256 offset, uint256 limit) external view returns (Proposal[] memory) {
+        if (offset >= proposals.length) {
+            return new Proposal[](0);
+        }
+        
+        uint256 end = offset + limit;
+        if (end > proposals.length) {
+            end = proposals.length;
+        }
+        
+        Proposal[] memory result = new Proposal[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            result[i - offset] = proposals[i];
+        }
+        
+        return result;
+    }
+    
+    /**
+     * @dev Get the value the agent's actions may still spend
+     * @return maxPerAction Maximum wei sent by a single action
+     * @return dailyLimit Maximum wei sent within a day
+     * @return spent Wei spent in the current period
+     * @return periodEnd When the current period ends (0 if none started)
+     */
+    function getSpending() external view returns (
+        uint256 maxPerAction,
+        uint256 dailyLimit,
+        uint256 spent,
+        uint256 periodEnd
+    ) {
+        bool expired = block.timestamp >= spendingPeriodStart + 1 days;
+        return (
+            maxActionValue,
+            dailySpendLimit,
+            expired ? 0 : spentInPeriod,
+            spendingPeriodStart == 0 ? 0 : spendingPeriodStart + 1 days
+        );
+    }
+    
+    /**
+     * @dev Receive native tokens the agent's actions can spend
+     */
+    receive() external payable {}
+    
+    /**
+     * @dev Prepay execution fees. Credits can only pay executors or be
+     * withdrawn by the owner, never spent by actions.
+     */
+    function depositCredits() external payable {
+        require(msg.value > 0, "Deposit must be positive");
+        
+        creditBalance += msg.value;
+        emit CreditsDeposited(_msgSender(), msg.value, creditBalance, block.timestamp);
+    }
+    
+    /**
+     * @dev Withdraw unused execution credits to the owner
+     * @param _amount Wei to withdraw
+     */
+    function withdrawCredits(uint256 _amount) external onlyOwner {
+        require(_amount <= creditBalance, "Insufficient credits");
+        
+        creditBalance -= _amount;
+        emit CreditsWithdrawn(owner, _amount, creditBalance, block.timestamp);
+        
+        (bool success, ) = owner.call{value: _amount}("");
+        require(success, "Withdrawal failed");
+    }
+    
+    /**
+     * @dev Fee an executor charges for storing a response (none for the owner)
+     * @param _executor Executor address
+     * @return Fee in wei, as published on the factory
+     */
+    function executionFee(address _executor) public view returns (uint256) {
+        return _executor == owner ? 0 : IExecutionFees(factory).executionFees(_executor);
+    }
+    
+    /**
+     * @dev Set the highest fee the agent pays an executor per execution;
+     * responses are rejected while the executor charges more
+     * @param _executor Authorized executor
+     * @param _maxFee Maximum fee in wei
+     */
+    function setMaxExecutionFee(address _executor, uint256 _maxFee) external onlyOwner {
+        require(isExecutor[_executor], "Executor not authorized");
+        
+        maxExecutionFee[_executor] = _maxFee;
+        emit MaxExecutionFeeUpdated(_executor, _maxFee, block.timestamp);
+    }
+    
     /**
      * @dev Activate/deactivate the agent
      * @param _active New active status
@@ -185,6 +811,158 @@ contract Agent {
      */
     function transferOwnership(address _newOwner) external onlyOwner {
         require(_newOwner != address(0), "New owner cannot be zero address");
+        emit OwnershipTransferred(owner, _newOwner, block.timestamp);
         owner = _newOwner;
     }
+    
+    /**
+     * @dev Update the latest response and append its execution record
+     * @param _response AI-generated response, or its content URI
+     * @param _responseHash keccak256 of the off-chain response (zero when _response is inline)
+     * @param _promptHash keccak256 of the prompt (zero if unknown)
+     * @param _promptURI Content URI of the prompt (empty if not stored)
+     * @param _model Model that produced the response (empty if unknown)
+     */
+    function _storeResponse(
+        string memory _response,
+        bytes32 _responseHash,
+        bytes32 _promptHash,
+        string memory _promptURI,
+        string memory _model
+    ) internal {
+        _chargeExecutionFee(_msgSender());
+        
+        uint256 index = executionCount;
+        bool offChain = _responseHash != bytes32(0);
+        bytes32 responseHash = offChain ? _responseHash : keccak256(bytes(_response));
+        
+        lastResponse = _response;
+        lastExecutionTime = block.timestamp;
+        executionCount++;
+        
+        executions.push(ExecutionRecord(
+            index,
+            block.timestamp,
+            _promptHash,
+            responseHash,
+            _model,
+            _msgSender(),
+            _promptURI,
+            offChain ? _response : ""
+        ));
+        
+        emit ResponseUpdated(_response, block.timestamp);
+        emit ExecutionRecorded(index, _msgSender(), _promptHash, responseHash, _model, block.timestamp);
+    }
+    
+    /**
+     * @dev Insert or update a memory entry
+     * @param _key Memory key
+     * @param _value Memory value
+     */
+    function _storeMemory(string memory _key, string memory _value) internal {
+        uint256 index = memoryIndex[_key];
+        
+        if (index > 0) {
+            // Update existing memory
+            memories[index - 1].value = _value;
+            memories[index - 1].timestamp = block.timestamp;
+        } else {
+            // New key
+            memories.push(Memory(_key, _value, block.timestamp));
+            memoryIndex[_key] = memories.length;
+        }
+        
+        emit MemoryStored(_key, _value, block.timestamp);
+    }
+    
+    /**
+     * @dev Make an allowed call within the spending caps
+     * @param _executor Executor that decided on the call
+     * @param _target Contract (or account) to call
+     * @param _data ABI-encoded call (empty for a plain value transfer)
+     * @param _value Wei to send with the call
+     * @return result Return data of the call
+     */
+    function _executeAction(
+        address _executor,
+        address _target,
+        bytes memory _data,
+        uint256 _value
+    ) internal returns (bytes memory result) {
+        require(isActive, "Agent is not active");
+        require(_value <= address(this).balance - creditBalance, "Insufficient action funds");
+        
+        bytes4 selector = _selectorOf(_data);
+        require(isActionAllowed(_target, selector), "Action not allowed");
+        
+        if (_value > 0) {
+            require(_value <= maxActionValue, "Exceeds max action value");
+            
+            // Spending periods last a day from the first spend after the previous one ended
+            if (block.timestamp >= spendingPeriodStart + 1 days) {
+                spendingPeriodStart = block.timestamp;
+                spentInPeriod = 0;
+            }
+            
+            require(spentInPeriod + _value <= dailySpendLimit, "Exceeds daily spend limit");
+            spentInPeriod += _value;
+        }
+        
+        emit ActionExecuted(_executor, _target, selector, _value, _data, block.timestamp);
+        
+        bool success;
+        (success, result) = _target.call{value: _value}(_data);
+        
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+    
+    /**
+     * @dev Pay the executor's fee for an execution from the agent's credits,
+     * at most once per MIN_CHARGE_INTERVAL
+     * @param _executor Executor storing the response
+     */
+    function _chargeExecutionFee(address _executor) internal {
+        uint256 fee = executionFee(_executor);
+        
+        if (fee == 0) {
+            return;
+        }
+        
+        require(fee <= maxExecutionFee[_executor], "Fee above approved maximum");
+        require(executionCount == 0 || block.timestamp >= lastExecutionTime + executionInterval, "Execution not due");
+        // The interval may be zero or the schedule cron-only, neither of which the contract can enforce
+        require(block.timestamp >= lastChargeTime + MIN_CHARGE_INTERVAL, "Charged too recently");
+        require(creditBalance >= fee, "Insufficient credits");
+        creditBalance -= fee;
+        lastChargeTime = block.timestamp;
+        emit ExecutionFeeCharged(_executor, fee, creditBalance, block.timestamp);
+        
+        (bool success, ) = _executor.call{value: fee}("");
+        require(success, "Fee transfer failed");
+    }
+    
+    /**
+     * @dev Function selector of a call, or bytes4(0) for a plain value transfer
+     */
+    function _selectorOf(bytes memory _data) internal pure returns (bytes4) {
+        return _data.length >= 4 ? bytes4(_data) : bytes4(0);
+    }
+    
+    /**
+     * @dev The signer during an executeBySig call, otherwise msg.sender
+     */
+    function _msgSender() internal view returns (address sender) {
+        if (msg.sender == address(this) && msg.data.length >= 24) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
 }
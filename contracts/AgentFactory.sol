@@ -7,10 +7,17 @@ import "./Agent.sol";
  * @title AgentFactory
  * @dev Factory contract for creating and managing AI agents
  */
-contract AgentFactory {
+contract AgentFactory is SignedIntents {
+    bytes32 private constant CREATE_AGENT_TYPEHASH = keccak256(
+        "CreateAgent(address owner,string goal,address[] executors,uint256 nonce,uint256 deadline)"
+    );
+    
+    address public immutable agentImplementation; // Agent code shared by all agents (EIP-1167 clones)
+    
     address[] public agents;
     mapping(address => address[]) public userAgents;
     mapping(address => bool) public isAgent;
+    mapping(address => uint256) public executionFees; // Wei each executor charges agents per execution
     
     event AgentCreated(
         address indexed agent,
@@ -25,22 +32,64 @@ contract AgentFactory {
         uint256 timestamp
     );
     
+    event ExecutionFeeUpdated(
+        address indexed executor,
+        uint256 fee,
+        uint256 timestamp
+    );
+    
+    constructor() SignedIntents("AgentX Factory") {
+        agentImplementation = address(new Agent());
+    }
+    
     /**
      * @dev Create a new AI agent
      * @param _goal Initial goal for the agent
      * @return agentAddress Address of the newly created agent
      */
     function createAgent(string memory _goal) external returns (address) {
-        Agent newAgent = new Agent(msg.sender, _goal);
-        address agentAddress = address(newAgent);
-        
-        agents.push(agentAddress);
-        userAgents[msg.sender].push(agentAddress);
-        isAgent[agentAddress] = true;
-        
-        emit AgentCreated(agentAddress, msg.sender, _goal, block.timestamp);
+        return address(_createAgent(msg.sender, _goal, new address[](0)));
+    }
+    
+    /**
+     * @dev Create a new AI agent with off-chain executors already authorized
+     * @param _goal Initial goal for the agent
+     * @param _executors Executor addresses allowed to store responses and memories
+     * @return agentAddress Address of the newly created agent
+     */
+    function createAgentWithExecutors(
+        string memory _goal,
+        address[] memory _executors
+    ) external returns (address) {
+        return address(_createAgent(msg.sender, _goal, _executors));
+    }
+    
+    /**
+     * @dev Create an agent for an owner who signed an EIP-712
+     * CreateAgent(address owner,string goal,address[] executors,uint256 nonce,uint256 deadline),
+     * submitted by a relayer that pays the gas
+     * @param _owner Owner of the new agent, who signed the request
+     * @param _goal Initial goal for the agent
+     * @param _executors Executor addresses allowed to store responses and memories
+     * @param _deadline Timestamp after which the signature expires
+     * @param _signature Owner's EIP-712 signature
+     * @return agentAddress Address of the newly created agent
+     */
+    function createAgentBySig(
+        address _owner,
+        string calldata _goal,
+        address[] calldata _executors,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external returns (address) {
+        _useIntent(
+            _owner,
+            abi.encode(CREATE_AGENT_TYPEHASH, _owner, keccak256(bytes(_goal)), keccak256(abi.encodePacked(_executors))),
+            _deadline,
+            _signature
+        );
         
-        return agentAddress;
+        return address(_createAgent(_owner, _goal, _executors));
     }
     
     /**
@@ -90,4 +139,57 @@ contract AgentFactory {
     function isValidAgent(address agent) external view returns (bool) {
         return isAgent[agent];
     }
+    
+    /**
+     * @dev Set the fee the caller charges agents per execution, paid from
+     * each agent's credits when it stores a response
+     * @param _fee Fee in wei (0 for none)
+     */
+    function setExecutionFee(uint256 _fee) external {
+        executionFees[msg.sender] = _fee;
+        emit ExecutionFeeUpdated(msg.sender, _fee, block.timestamp);
+    }
+    
+    /**
+     * @dev Deploy and register a new agent
+     * @param _owner Owner of the new agent
+     * @param _goal Initial goal for the agent
+     * @param _executors Executor addresses to authorize
+     * @return newAgent The deployed agent contract
+     */
+    function _createAgent(
+        address _owner,
+        string memory _goal,
+        address[] memory _executors
+    ) internal returns (Agent) {
+        address agentAddress = _clone(agentImplementation);
+        Agent newAgent = Agent(payable(agentAddress));
+        newAgent.initialize(_owner, _goal);
+        
+        agents.push(agentAddress);
+        userAgents[_owner].push(agentAddress);
+        isAgent[agentAddress] = true;
+        
+        emit AgentCreated(agentAddress, _owner, _goal, block.timestamp);
+        
+        for (uint256 i = 0; i < _executors.length; i++) {
+            newAgent.authorizeExecutor(_executors[i]);
+        }
+        
+        return newAgent;
+    }
+    
+    /**
+     * @dev Deploy an EIP-1167 minimal proxy delegating to an implementation
+     * @param _implementation Contract the proxy delegates to
+     * @return instance Address of the proxy
+     */
+    function _clone(address _implementation) private returns (address instance) {
+        assembly {
+            mstore(0x00, or(shr(0xe8, shl(0x60, _implementation)), 0x3d602d80600a3d3981f3363d3d373d3d3d363d73000000))
+            mstore(0x20, or(shl(0x78, _implementation), 0x5af43d82803e903d91602b57fd5bf3))
+            instance := create(0, 0x09, 0x37)
+        }
+        require(instance != address(0), "Agent deployment failed");
+    }
 }
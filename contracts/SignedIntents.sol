@@ -0,0 +1,74 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title SignedIntents
+ * @dev EIP-712 signed intents with per-signer nonces and deadlines, so a relayer
+ * can submit an action on the signer's behalf and pay its gas
+ */
+abstract contract SignedIntents {
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant VERSION_HASH = keccak256("1");
+
+    // secp256k1n / 2: higher s values are malleable duplicates (EIP-2)
+    uint256 private constant MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    bytes32 private immutable nameHash;
+
+    mapping(address => uint256) public nonces;
+
+    event IntentExecuted(address indexed signer, uint256 nonce, uint256 timestamp);
+
+    constructor(string memory _name) {
+        nameHash = keccak256(bytes(_name));
+    }
+
+    /**
+     * @dev EIP-712 domain separator (version "1", this chain and contract)
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, nameHash, VERSION_HASH, block.chainid, address(this)));
+    }
+
+    /**
+     * @dev Verify a signed intent and consume the signer's nonce
+     * @param _signer Address that signed the intent
+     * @param _fields abi.encode of the type hash and the fields before nonce and
+     * deadline, which must be the last two fields of the type
+     * @param _deadline Timestamp after which the intent can no longer be executed
+     * @param _signature 65-byte ECDSA signature of the EIP-712 digest
+     */
+    function _useIntent(
+        address _signer,
+        bytes memory _fields,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) internal {
+        require(block.timestamp <= _deadline, "Intent expired");
+
+        uint256 nonce = nonces[_signer]++;
+        bytes32 structHash = keccak256(abi.encodePacked(_fields, nonce, _deadline));
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+
+        require(_signer != address(0) && _recover(digest, _signature) == _signer, "Invalid signature");
+
+        emit IntentExecuted(_signer, nonce, block.timestamp);
+    }
+
+    function _recover(bytes32 _digest, bytes calldata _signature) private pure returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+
+        if (uint256(s) > MAX_S) {
+            return address(0);
+        }
+
+        return ecrecover(_digest, v, r, s);
+    }
+}
@@ -0,0 +1,225 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_QUEUE_FILE = path.join(__dirname, "../data/executor-queue.json");
+
+/**
+ * Durable, file-backed queue of agent executions.
+ *
+ * Each job is keyed by an idempotency key (agent address + on-chain execution
+ * count), so enqueueing the same execution again returns the existing job.
+ * Only a job that was skipped (e.g. while the agent was inactive) is replaced
+ * by a fresh one when the agent becomes due again. Failed jobs are
+ * retried with exponential backoff until `maxAttempts`, after which they are
+ * moved to the dead-letter list and only come back through
+ * `retryDeadLetter`. The LLM result is persisted before anything
+ * is written on-chain, so a crash between the two never triggers a second
+ * LLM call for the same execution.
+ */
+class JobQueue {
+  constructor({
+    file = JobQueue.getDefaultFile(),
+    maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+    retryBaseDelay = (parseInt(process.env.JOB_RETRY_BASE_DELAY) || 60) * 1000,
+    retryMaxDelay = (parseInt(process.env.JOB_RETRY_MAX_DELAY) || 3600) * 1000,
+    maxCompletedJobs = 1000
+  } = {}) {
+    this.file = file;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseDelay = retryBaseDelay;
+    this.retryMaxDelay = retryMaxDelay;
+    this.maxCompletedJobs = maxCompletedJobs;
+    this.jobs = {};
+
+    this.load();
+  }
+
+  static getDefaultFile() {
+    return process.env.EXECUTOR_QUEUE_FILE || DEFAULT_QUEUE_FILE;
+  }
+
+  // Jobs as last saved by the executor, without crash recovery, for read-only observers
+  static readJobs(file = JobQueue.getDefaultFile()) {
+    if (!fs.existsSync(file)) {
+      return {};
+    }
+
+    return JSON.parse(fs.readFileSync(file, "utf8")).jobs || {};
+  }
+
+  static getJobId(agentAddress, executionCount) {
+    return `${agentAddress.toLowerCase()}:${executionCount}`;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    this.jobs = data.jobs || {};
+
+    // Jobs left running by a crashed executor are picked up again
+    for (const job of Object.values(this.jobs)) {
+      if (job.status === "running") {
+        job.status = "pending";
+        job.nextAttemptAt = Date.now();
+      }
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves a truncated queue
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ jobs: this.jobs }, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // Add an execution to the queue, or return the job with the same idempotency key unless it was skipped
+  enqueue(agentAddress, executionCount) {
+    const id = JobQueue.getJobId(agentAddress, executionCount);
+    const existing = this.jobs[id];
+
+    // Dead-lettered and completed jobs are kept so an execution is never retried or answered twice
+    if (existing && !(existing.status === "completed" && existing.skipped)) {
+      return existing;
+    }
+
+    const now = Date.now();
+    const job = {
+      id,
+      agentAddress,
+      executionCount,
+      status: "pending",
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+      lastError: null,
+      result: existing ? existing.result : null,
+      txHash: null
+    };
+
+    this.jobs[id] = job;
+    this.save();
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs[id] || null;
+  }
+
+  // Pending jobs whose backoff has elapsed, oldest first
+  getReadyJobs(now = Date.now()) {
+    return Object.values(this.jobs)
+      .filter(job => job.status === "pending" && job.nextAttemptAt <= now)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  getJobs(status = null) {
+    return Object.values(this.jobs)
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  getDeadLetters() {
+    return this.getJobs("dead");
+  }
+
+  markRunning(id) {
+    return this.update(id, { status: "running", attempts: this.jobs[id].attempts + 1 });
+  }
+
+  // Persist the LLM result before writing on-chain
+  saveResult(id, result) {
+    return this.update(id, { result });
+  }
+
+  complete(id, fields = {}) {
+    const job = this.update(id, { ...fields, status: "completed", lastError: null });
+    this.pruneCompleted();
+    return job;
+  }
+
+  // Record a failure and schedule a retry, or dead-letter the job once attempts are exhausted
+  fail(id, error) {
+    const job = this.jobs[id];
+    const lastError = error && error.message ? error.message : String(error);
+
+    if (job.attempts >= job.maxAttempts) {
+      return this.update(id, { status: "dead", lastError });
+    }
+
+    const delay = Math.min(this.retryBaseDelay * 2 ** (job.attempts - 1), this.retryMaxDelay);
+
+    return this.update(id, {
+      status: "pending",
+      lastError,
+      nextAttemptAt: Date.now() + delay
+    });
+  }
+
+  // Put a running job back until a later time without using up an attempt (e.g. until a quota resets)
+  defer(id, nextAttemptAt, reason) {
+    return this.update(id, {
+      status: "pending",
+      attempts: this.jobs[id].attempts - 1,
+      lastError: reason,
+      nextAttemptAt
+    });
+  }
+
+  // Move a dead-lettered job back into the queue with a fresh attempt budget
+  retryDeadLetter(id) {
+    const job = this.jobs[id];
+
+    if (!job || job.status !== "dead") {
+      throw new Error(`Job ${id} is not in the dead-letter list`);
+    }
+
+    return this.update(id, { status: "pending", attempts: 0, nextAttemptAt: Date.now() });
+  }
+
+  update(id, fields) {
+    const job = this.jobs[id];
+
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+
+    Object.assign(job, fields, { updatedAt: Date.now() });
+    this.save();
+
+    return job;
+  }
+
+  pruneCompleted() {
+    const completed = this.getJobs("completed");
+
+    if (completed.length <= this.maxCompletedJobs) {
+      return;
+    }
+
+    for (const job of completed.slice(this.maxCompletedJobs)) {
+      delete this.jobs[job.id];
+    }
+
+    this.save();
+  }
+
+  getStats() {
+    const stats = { pending: 0, running: 0, completed: 0, dead: 0 };
+
+    for (const job of Object.values(this.jobs)) {
+      stats[job.status]++;
+    }
+
+    return stats;
+  }
+}
+
+module.exports = JobQueue;
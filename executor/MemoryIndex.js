@@ -0,0 +1,165 @@
+const fs = require("fs");
+const path = require("path");
+const ContentStore = require("../utils/ContentStore");
+const { loadMemories } = require("../utils/context");
+const { createEmbeddingProvider } = require("./embeddings");
+
+const DEFAULT_INDEX_DIR = path.join(__dirname, "../data/memory-index");
+const PAGE_SIZE = 100;
+const EMBED_BATCH_SIZE = 100;
+
+// Longest text embedded and returned per memory or response
+const MAX_TEXT_LENGTH = 2000;
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Off-chain embedding index over each agent's memories and responses, for
+ * semantic search. Each agent's index is a file brought up to date from the
+ * chain by sync(): new and changed memories are embedded, deleted ones are
+ * dropped, and new execution records are added. Switching the embedding
+ * provider or model rebuilds the index.
+ *
+ * Responses stored inline stay on-chain only while they are the agent's
+ * latest response, so inline responses recorded between two syncs are not
+ * indexed.
+ */
+class MemoryIndex {
+  constructor({ dir = MemoryIndex.getDefaultDir(), embeddings = createEmbeddingProvider() } = {}) {
+    this.dir = dir;
+    this.embeddings = embeddings;
+  }
+
+  static getDefaultDir() {
+    return process.env.MEMORY_INDEX_DIR || DEFAULT_INDEX_DIR;
+  }
+
+  getFile(agentAddress) {
+    return path.join(this.dir, `${agentAddress.toLowerCase()}.json`);
+  }
+
+  load(agentAddress) {
+    const empty = { provider: this.embeddings.name, model: this.embeddings.model, executions: 0, items: {} };
+    const file = this.getFile(agentAddress);
+
+    if (!fs.existsSync(file)) {
+      return empty;
+    }
+
+    const index = JSON.parse(fs.readFileSync(file, "utf8"));
+
+    // Vectors of another model can't be compared with this one's
+    return index.provider === empty.provider && index.model === empty.model ? index : empty;
+  }
+
+  save(agentAddress, index) {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    // The API and the executor both sync, so each process writes its own temporary file
+    const file = this.getFile(agentAddress);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(index));
+    fs.renameSync(tmpFile, file);
+  }
+
+  /**
+   * Bring an agent's index up to date with the chain. ipfs:// values are
+   * resolved with `resolveContent`. Returns how many entries were added or
+   * updated and removed.
+   */
+  async sync(agent, { resolveContent = async (value) => value } = {}) {
+    const agentAddress = await agent.getAddress();
+    const index = this.load(agentAddress);
+    const changes = [];
+
+    // Overwriting a memory updates its timestamp, so unchanged memories are skipped
+    const memories = await loadMemories(agent);
+    const keys = new Set(memories.map(memory => `memory:${memory.key}`));
+
+    for (const memory of memories) {
+      const id = `memory:${memory.key}`;
+
+      if (index.items[id]?.timestamp !== memory.timestamp) {
+        const value = await resolveContent(memory.value);
+        changes.push({ id, type: "memory", key: memory.key, text: `${memory.key}: ${value}`, timestamp: memory.timestamp });
+      }
+    }
+
+    const removed = Object.keys(index.items).filter(id => id.startsWith("memory:") && !keys.has(id));
+
+    for (const id of removed) {
+      delete index.items[id];
+    }
+
+    // Execution records never change, so only new ones are read
+    const [, , lastResponse, , execCount] = await agent.getAgentInfo();
+    const executionCount = Number(execCount);
+
+    for (let offset = index.executions; offset < executionCount; offset += PAGE_SIZE) {
+      for (const record of await agent.getExecutions(offset, PAGE_SIZE)) {
+        const execution = Number(record.index);
+        const latest = execution === executionCount - 1;
+        const response = record.responseURI
+          ? await resolveContent(record.responseURI)
+          : latest ? lastResponse : null;
+
+        if (response && !ContentStore.isContentURI(response)) {
+          changes.push({ id: `execution:${execution}`, type: "response", execution, text: response, timestamp: Number(record.timestamp) });
+        }
+      }
+    }
+
+    index.executions = executionCount;
+
+    for (let start = 0; start < changes.length; start += EMBED_BATCH_SIZE) {
+      const batch = changes.slice(start, start + EMBED_BATCH_SIZE);
+      const vectors = await this.embeddings.embed(batch.map(change => change.text.slice(0, MAX_TEXT_LENGTH)));
+
+      batch.forEach(({ id, ...entry }, i) => {
+        index.items[id] = {
+          ...entry,
+          text: entry.text.slice(0, MAX_TEXT_LENGTH),
+          vector: vectors[i].map(value => Math.round(value * 1e6) / 1e6)
+        };
+      });
+    }
+
+    this.save(agentAddress, index);
+
+    return { updated: changes.length, removed: removed.length, total: Object.keys(index.items).length };
+  }
+
+  /**
+   * The k indexed memories and responses most similar to the query, best first,
+   * optionally of one type ("memory" or "response"). Scores are cosine similarities.
+   */
+  async search(agentAddress, query, { k = 5, type } = {}) {
+    const entries = Object.values(this.load(agentAddress).items)
+      .filter(entry => !type || entry.type === type);
+
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const [vector] = await this.embeddings.embed([query]);
+
+    return entries
+      .map(({ vector: entryVector, ...entry }) => ({ ...entry, score: Math.round(cosineSimilarity(vector, entryVector) * 1e4) / 1e4 }))
+      .sort((a, b) => b.score - a.score || b.timestamp - a.timestamp)
+      .slice(0, k);
+  }
+}
+
+module.exports = MemoryIndex;
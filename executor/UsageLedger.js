@@ -0,0 +1,272 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_USAGE_FILE = path.join(__dirname, "../data/executor-usage.json");
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * File-backed record of what the executor spends on each execution: LLM
+ * tokens with their estimated USD cost, and the gas of every transaction it
+ * sends. Entries are keyed by job id, so retries add to the execution's entry
+ * instead of counting it twice.
+ *
+ * Totals are kept per agent and owner (the agent's owner at the time of the
+ * execution), so they survive pruning of old entries. Daily token usage is
+ * counted per UTC day from the entries.
+ */
+class UsageLedger {
+  constructor({ file = UsageLedger.getDefaultFile(), maxEntries = 10000 } = {}) {
+    this.file = file;
+    this.maxEntries = maxEntries;
+    this.entries = {};
+    this.totals = {}; // lowercase agent -> lowercase owner -> totals
+
+    this.load();
+  }
+
+  static getDefaultFile() {
+    return process.env.EXECUTOR_USAGE_FILE || DEFAULT_USAGE_FILE;
+  }
+
+  // When daily token usage resets (the next UTC midnight), in milliseconds
+  static getNextDay(now = Date.now()) {
+    return startOfDay(now) + DAY;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    this.entries = data.entries || {};
+    this.totals = data.totals || {};
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ entries: this.entries, totals: this.totals }, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // Record the LLM usage of an execution
+  recordCompletion(id, { agentAddress, owner, executionCount, provider, model, usage = {}, cost = null }, now = Date.now()) {
+    const entry = this.entries[id] || {
+      id,
+      agentAddress,
+      owner,
+      executionCount,
+      gasUsed: "0",
+      gasCost: "0",
+      transactions: 0,
+      createdAt: now
+    };
+
+    return this.update(entry, {
+      provider,
+      model,
+      promptTokens: usage.promptTokens || 0,
+      completionTokens: usage.completionTokens || 0,
+      totalTokens: usage.totalTokens || 0,
+      cost
+    }, now);
+  }
+
+  // Add the gas of a transaction sent for an execution (a TransactionManager result)
+  recordGas(id, { gasUsed, effectiveGasPrice }, now = Date.now()) {
+    const entry = this.entries[id];
+
+    if (!entry) {
+      return null;
+    }
+
+    return this.update(entry, {
+      gasUsed: (BigInt(entry.gasUsed) + gasUsed).toString(),
+      gasCost: (BigInt(entry.gasCost) + gasUsed * effectiveGasPrice).toString(),
+      transactions: entry.transactions + 1
+    }, now);
+  }
+
+  update(entry, fields, now) {
+    if (this.entries[entry.id]) {
+      this.addToTotals(entry, -1);
+    }
+
+    Object.assign(entry, fields, { updatedAt: now });
+    this.entries[entry.id] = entry;
+    this.addToTotals(entry, 1);
+    this.prune();
+    this.save();
+
+    return entry;
+  }
+
+  addToTotals(entry, sign) {
+    const agentKey = entry.agentAddress.toLowerCase();
+    const ownerKey = entry.owner.toLowerCase();
+    const agentTotals = this.totals[agentKey] = this.totals[agentKey] || {};
+    const totals = agentTotals[ownerKey] = agentTotals[ownerKey] || emptyTotals();
+
+    addUsage(totals, entry, sign);
+  }
+
+  // Keep the newest entries
+  prune() {
+    const entries = Object.values(this.entries);
+
+    if (entries.length <= this.maxEntries) {
+      return;
+    }
+
+    entries.sort((a, b) => b.createdAt - a.createdAt);
+
+    for (const entry of entries.slice(this.maxEntries)) {
+      delete this.entries[entry.id];
+    }
+  }
+
+  // Entries matching a filter, newest first
+  getEntries(filter = () => true) {
+    return Object.values(this.entries)
+      .filter(filter)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Tokens used by an agent's executions started this UTC day
+  getDailyTokens(agentAddress, now = Date.now()) {
+    const dayStart = startOfDay(now);
+
+    return this.getEntries(entry => isAgent(entry, agentAddress) && entry.createdAt >= dayStart)
+      .reduce((tokens, entry) => tokens + entry.totalTokens, 0);
+  }
+
+  /**
+   * Usage of an agent: all-time totals, today's usage against its daily token
+   * limit (0 = unlimited), and its most recent executions.
+   */
+  getAgentUsage(agentAddress, { dailyTokenLimit = 0, limit = 20, now = Date.now() } = {}) {
+    const totals = emptyTotals();
+
+    for (const ownerTotals of Object.values(this.totals[agentAddress.toLowerCase()] || {})) {
+      addUsage(totals, ownerTotals, 1);
+    }
+
+    const entries = this.getEntries(entry => isAgent(entry, agentAddress));
+    const today = summarize(entries.filter(entry => entry.createdAt >= startOfDay(now)));
+
+    return {
+      agentAddress,
+      totals: formatTotals(totals),
+      today: {
+        ...formatTotals(today),
+        dailyTokenLimit,
+        remainingTokens: dailyTokenLimit > 0 ? Math.max(dailyTokenLimit - today.totalTokens, 0) : null,
+        resetsAt: Math.floor(UsageLedger.getNextDay(now) / 1000)
+      },
+      executions: entries.slice(0, limit).map(formatEntry)
+    };
+  }
+
+  // Usage billed to an owner: totals, today's usage and a breakdown by agent
+  getOwnerUsage(owner, { now = Date.now() } = {}) {
+    const ownerKey = owner.toLowerCase();
+    const totals = emptyTotals();
+    const agents = [];
+
+    for (const [agentKey, ownerTotals] of Object.entries(this.totals)) {
+      if (!ownerTotals[ownerKey]) {
+        continue;
+      }
+
+      addUsage(totals, ownerTotals[ownerKey], 1);
+      agents.push({ agentAddress: ethers.getAddress(agentKey), ...formatTotals(ownerTotals[ownerKey]) });
+    }
+
+    const today = summarize(this.getEntries(entry => entry.owner.toLowerCase() === ownerKey && entry.createdAt >= startOfDay(now)));
+
+    return {
+      owner,
+      totals: formatTotals(totals),
+      today: formatTotals(today),
+      agents: agents.sort((a, b) => b.totalTokens - a.totalTokens)
+    };
+  }
+}
+
+function isAgent(entry, agentAddress) {
+  return entry.agentAddress.toLowerCase() === agentAddress.toLowerCase();
+}
+
+function startOfDay(now) {
+  return now - (now % DAY);
+}
+
+function emptyTotals() {
+  return {
+    executions: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    unpricedExecutions: 0,
+    gasUsed: "0",
+    gasCost: "0"
+  };
+}
+
+// Add (sign 1) or remove (sign -1) an entry, or other totals, from totals
+function addUsage(totals, usage, sign) {
+  const isEntry = usage.id !== undefined;
+
+  totals.executions += sign * (isEntry ? 1 : usage.executions);
+  totals.promptTokens += sign * usage.promptTokens;
+  totals.completionTokens += sign * usage.completionTokens;
+  totals.totalTokens += sign * usage.totalTokens;
+  totals.cost = round(totals.cost + sign * (usage.cost || 0));
+  totals.unpricedExecutions += sign * (isEntry ? Number(usage.cost === null) : usage.unpricedExecutions);
+  totals.gasUsed = (BigInt(totals.gasUsed) + BigInt(sign) * BigInt(usage.gasUsed)).toString();
+  totals.gasCost = (BigInt(totals.gasCost) + BigInt(sign) * BigInt(usage.gasCost)).toString();
+}
+
+function summarize(entries) {
+  const totals = emptyTotals();
+
+  for (const entry of entries) {
+    addUsage(totals, entry, 1);
+  }
+
+  return totals;
+}
+
+// USD amounts are rounded to a millionth to keep float sums stable
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function formatTotals(totals) {
+  return { ...totals, gasCost: ethers.formatEther(totals.gasCost) };
+}
+
+function formatEntry(entry) {
+  return {
+    jobId: entry.id,
+    agentAddress: entry.agentAddress,
+    owner: entry.owner,
+    executionCount: entry.executionCount,
+    provider: entry.provider,
+    model: entry.model,
+    promptTokens: entry.promptTokens,
+    completionTokens: entry.completionTokens,
+    totalTokens: entry.totalTokens,
+    cost: entry.cost,
+    gasUsed: entry.gasUsed,
+    gasCost: ethers.formatEther(entry.gasCost),
+    transactions: entry.transactions,
+    timestamp: Math.floor(entry.createdAt / 1000)
+  };
+}
+
+module.exports = UsageLedger;
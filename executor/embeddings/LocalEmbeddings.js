@@ -0,0 +1,62 @@
+// Words too common to say anything about a memory
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "has", "have", "in", "is", "it",
+  "its", "of", "on", "or", "that", "the", "this", "to", "was", "were", "will", "with"
+]);
+
+// 32-bit FNV-1a
+function hash(text) {
+  let h = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+
+  return h >>> 0;
+}
+
+/**
+ * Deterministic offline embeddings: words and their character trigrams are
+ * hashed into a fixed number of dimensions (the "hashing trick"). Texts that
+ * share words score high, so it finds memories by topic without a model or
+ * network access, but doesn't know synonyms.
+ */
+class LocalEmbeddings {
+  constructor({ dimensions = 256 } = {}) {
+    this.name = "local";
+    this.dimensions = dimensions;
+    this.model = `hash-${dimensions}`;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const add = (feature, weight) => {
+      const h = hash(feature);
+      vector[h % this.dimensions] += h & 0x80000000 ? -weight : weight;
+    };
+
+    for (const word of String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      if (STOP_WORDS.has(word)) {
+        continue;
+      }
+
+      add(word, 1);
+
+      // Trigrams match variants of a word ("price", "prices")
+      const padded = `#${word}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(padded.slice(i, i + 3), 0.5);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+}
+
+module.exports = LocalEmbeddings;
@@ -0,0 +1,29 @@
+const OpenAI = require("openai");
+
+/**
+ * Embeddings from the OpenAI API or any OpenAI-compatible endpoint
+ * (e.g. Ollama's /v1/embeddings).
+ */
+class OpenAIEmbeddings {
+  constructor({ name = "openai", apiKey, baseURL, model = "text-embedding-3-small" } = {}) {
+    if (!apiKey) {
+      throw new Error(`API key not configured for embedding provider "${name}"`);
+    }
+
+    this.name = name;
+    this.model = model;
+    this.client = new OpenAI({
+      apiKey,
+      ...(baseURL ? { baseURL } : {})
+    });
+  }
+
+  async embed(texts) {
+    const response = await this.client.embeddings.create({ model: this.model, input: texts });
+
+    // Returned in input order, but sorted by index to be safe
+    return [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIEmbeddings;
@@ -0,0 +1,35 @@
+const LocalEmbeddings = require("./LocalEmbeddings");
+const OpenAIEmbeddings = require("./OpenAIEmbeddings");
+
+// Provider name -> factory building it from environment configuration
+const EMBEDDING_FACTORIES = {
+  local: (env) => new LocalEmbeddings({
+    dimensions: parseInt(env.EMBEDDING_DIMENSIONS) || 256
+  }),
+  openai: (env) => new OpenAIEmbeddings({
+    name: "openai",
+    apiKey: env.EMBEDDING_API_KEY || env.OPENAI_API_KEY,
+    baseURL: env.EMBEDDING_BASE_URL,
+    model: env.EMBEDDING_MODEL || "text-embedding-3-small"
+  })
+};
+
+const EMBEDDING_PROVIDER_NAMES = Object.keys(EMBEDDING_FACTORIES);
+
+// Build the embedding provider selected by EMBEDDING_PROVIDER (local by default)
+function createEmbeddingProvider(env = process.env) {
+  const name = env.EMBEDDING_PROVIDER || "local";
+
+  if (!EMBEDDING_FACTORIES[name]) {
+    throw new Error(`Unknown embedding provider "${name}". Available: ${EMBEDDING_PROVIDER_NAMES.join(", ")}`);
+  }
+
+  return EMBEDDING_FACTORIES[name](env);
+}
+
+module.exports = {
+  EMBEDDING_PROVIDER_NAMES,
+  createEmbeddingProvider,
+  LocalEmbeddings,
+  OpenAIEmbeddings
+};
@@ -1,8 +1,18 @@
 const { ethers } = require("ethers");
-const OpenAI = require("openai");
 const cron = require("cron");
 const fs = require("fs");
 require("dotenv").config();
+const { ProviderRegistry } = require("./providers");
+const { ToolRegistry } = require("./tools");
+const { runWithConcurrency } = require("./workerPool");
+const JobQueue = require("./JobQueue");
+const UsageLedger = require("./UsageLedger");
+const MemoryIndex = require("./MemoryIndex");
+const TransactionManager = require("../utils/TransactionManager");
+const ContentStore = require("../utils/ContentStore");
+const { DEFAULT_EXECUTION_INTERVAL, getNextExecutionTime, isExecutionDue } = require("../utils/schedule");
+const { buildPrompt } = require("../utils/prompts");
+const { SUMMARY_KEY, encodeSummary } = require("../utils/context");
 
 // Import contract ABIs
 const AgentFactoryABI = require("../artifacts/contracts/AgentFactory.sol/AgentFactory.json").abi;
@@ -12,10 +22,20 @@ class AgentExecutor {
   constructor() {
     this.provider = null;
     this.wallet = null;
+    this.txManager = null;
     this.agentFactory = null;
-    this.openai = null;
+    this.llm = null;
+    this.tools = new ToolRegistry();
+    this.queue = null;
+    this.usage = null;
+    this.memoryIndex = null;
+    this.contentStore = new ContentStore();
+    this.storeContentOffChain = (process.env.CONTENT_STORAGE || "local") !== "inline"; // Keep full prompts/responses off-chain
     this.isRunning = false;
-    this.executionInterval = 60000; // 1 minute default
+    this.defaultInterval = DEFAULT_EXECUTION_INTERVAL; // Used by agents without their own schedule
+    this.batchSize = parseInt(process.env.MAX_AGENTS_PER_BATCH) || 100; // Agents fetched per page
+    this.concurrency = parseInt(process.env.EXECUTOR_CONCURRENCY) || 5; // Agents executed in parallel
+    this.isExecuting = false; // Prevents overlapping ticks
     
     this.init();
   }
@@ -27,12 +47,26 @@ class AgentExecutor {
       // Initialize blockchain connection
       await this.initBlockchain();
       
-      // Initialize OpenAI
-      await this.initOpenAI();
+      // Initialize LLM providers
+      await this.initProviders();
       
       // Load deployment info
       await this.loadDeploymentInfo();
       
+      // Publish the fee this executor charges per execution
+      await this.initExecutionFee();
+      
+      // Load the persistent execution queue
+      this.queue = new JobQueue();
+      const stats = this.queue.getStats();
+      console.log(`🗂️  Loaded job queue: ${stats.pending} pending, ${stats.dead} dead-lettered`);
+      
+      // Tokens, costs and gas of past executions (also used for daily token limits)
+      this.usage = new UsageLedger();
+      
+      // Embeddings of agents' memories and responses, for retrieving relevant context
+      this.memoryIndex = new MemoryIndex();
+      
       console.log("✅ Executor initialized successfully!");
       
       // Start the execution loop
@@ -54,24 +88,23 @@ class AgentExecutor {
     
     this.provider = new ethers.JsonRpcProvider(rpcUrl);
     this.wallet = new ethers.Wallet(privateKey, this.provider);
+    // Concurrent executions share one wallet, so nonces and fees are managed centrally
+    this.txManager = TransactionManager.forWallet(this.wallet);
     
     const balance = await this.provider.getBalance(this.wallet.address);
     console.log(`💰 Executor wallet: ${this.wallet.address}`);
     console.log(`💰 Balance: ${ethers.formatEther(balance)} ETH`);
   }
   
-  async initOpenAI() {
-    const apiKey = process.env.OPENAI_API_KEY;
+  async initProviders() {
+    this.llm = new ProviderRegistry();
     
-    if (!apiKey) {
-      throw new Error("OPENAI_API_KEY environment variable not set");
-    }
-    
-    this.openai = new OpenAI({
-      apiKey: apiKey
-    });
+    // Fail fast if the default provider is misconfigured (e.g. missing API key)
+    const { provider } = this.llm.defaults;
+    this.llm.get(provider);
     
-    console.log("🤖 OpenAI initialized");
+    console.log(`🤖 Default LLM provider: ${provider}`);
+    console.log(`🛠️  Agent tools: ${this.tools.names.join(", ") || "none"}`);
   }
   
   async loadDeploymentInfo() {
@@ -92,6 +125,50 @@ class AgentExecutor {
     }
   }
   
+  // EXECUTION_FEE (in ether) is published on the factory when it differs from
+  // the current fee; agents pay it from their credits on every response stored
+  async initExecutionFee() {
+    if (process.env.EXECUTION_FEE === undefined) {
+      return;
+    }
+    
+    const fee = ethers.parseEther(process.env.EXECUTION_FEE);
+    
+    if (await this.agentFactory.executionFees(this.wallet.address) !== fee) {
+      await this.txManager.send(this.agentFactory, "setExecutionFee", [fee]);
+    }
+    
+    console.log(`🏷️  Execution fee: ${ethers.formatEther(fee)} ETH`);
+  }
+  
+  // Whether the agent can pay this executor's fee for another execution; fees above
+  // the maximum the owner approved are rejected until the owner raises it
+  async hasCredit(agent) {
+    const [fee, maxFee, creditBalance] = await Promise.all([
+      agent.executionFee(this.wallet.address),
+      agent.maxExecutionFee(this.wallet.address),
+      agent.creditBalance()
+    ]);
+    return fee === 0n || (fee <= maxFee && creditBalance >= fee);
+  }
+  
+  // When the agent can next pay this executor's fee (unix seconds); the contract charges
+  // at most once per MIN_CHARGE_INTERVAL, whatever the agent's schedule
+  async getNextChargeTime(agent) {
+    if (await agent.executionFee(this.wallet.address) === 0n) {
+      return 0;
+    }
+    
+    const [lastChargeTime, minChargeInterval] = await Promise.all([agent.lastChargeTime(), agent.MIN_CHARGE_INTERVAL()]);
+    return Number(lastChargeTime + minChargeInterval);
+  }
+  
+  // Whether the agent is under its daily token limit, as counted by this executor
+  async hasTokenBudget(agent) {
+    const limit = await agent.dailyTokenLimit();
+    return limit === 0n || BigInt(this.usage.getDailyTokens(await agent.getAddress())) < limit;
+  }
+  
   startExecutionLoop() {
     console.log("🔄 Starting execution loop...");
     this.isRunning = true;
@@ -105,34 +182,47 @@ class AgentExecutor {
     });
     
     job.start();
-    console.log("⏰ Scheduled execution every minute");
+    console.log("⏰ Checking agent schedules every minute");
+    console.log(`⏰ Default execution interval: ${this.defaultInterval}s`);
   }
   
   async executeAgents() {
+    if (this.isExecuting) {
+      console.log("⏭️  Previous execution run still in progress, skipping this tick");
+      return;
+    }
+    
+    this.isExecuting = true;
+    
     try {
       console.log("\n🔍 Checking for agents to execute...");
       
-      const agentCount = await this.agentFactory.getAgentCount();
+      const agentCount = Number(await this.agentFactory.getAgentCount());
       console.log(`📊 Total agents: ${agentCount}`);
       
       if (agentCount == 0) {
         console.log("📭 No agents found");
-        return;
       }
       
-      // Get all agents (paginated for large numbers)
-      const agents = await this.agentFactory.getAgents(0, Math.min(agentCount, 100));
-      
-      for (const agentAddress of agents) {
-        await this.executeAgent(agentAddress);
+      // Page through every agent, queueing those that are due through a bounded worker pool
+      for (let offset = 0; offset < agentCount; offset += this.batchSize) {
+        const agents = await this.agentFactory.getAgents(offset, this.batchSize);
+        console.log(`📦 Checking agents ${offset}-${offset + agents.length} with ${this.concurrency} workers`);
+        
+        await runWithConcurrency([...agents], this.concurrency, (agentAddress) => this.scheduleAgent(agentAddress));
       }
       
+      // Run queued executions, including retries whose backoff has elapsed
+      await this.processJobs();
+      
     } catch (error) {
       console.error("❌ Error in execution loop:", error);
+    } finally {
+      this.isExecuting = false;
     }
   }
   
-  async executeAgent(agentAddress) {
+  async scheduleAgent(agentAddress) {
     try {
       const agent = new ethers.Contract(agentAddress, AgentABI, this.wallet);
       
@@ -145,77 +235,326 @@ class AgentExecutor {
         return;
       }
       
-      console.log(`\n🤖 Executing agent: ${agentAddress}`);
-      console.log(`🎯 Goal: ${goal}`);
-      console.log(`📊 Execution count: ${execCount}`);
+      // Make sure this executor may write to the agent before spending gas
+      const authorized = await agent.canExecute(this.wallet.address);
+      
+      if (!authorized) {
+        console.log(`🔒 Executor ${this.wallet.address} is not authorized for agent ${agentAddress}`);
+        return;
+      }
       
-      // Check if enough time has passed (e.g., 1 hour = 3600 seconds)
-      const currentTime = Math.floor(Date.now() / 1000);
-      const timeSinceLastExecution = currentTime - Number(lastExecution);
-      const minInterval = 3600; // 1 hour
+      if (!await this.hasCredit(agent)) {
+        console.log(`💸 Agent ${agentAddress} is out of credit, skipping`);
+        return;
+      }
       
-      if (timeSinceLastExecution < minInterval && Number(execCount) > 0) {
-        console.log(`⏳ Agent executed ${timeSinceLastExecution}s ago, waiting...`);
+      if (!await this.hasTokenBudget(agent)) {
+        console.log(`🪙 Agent ${agentAddress} reached its daily token limit, skipping`);
         return;
       }
       
-      // Get agent memories for context
-      const memories = await agent.getAllMemories();
-      let memoryContext = "";
+      // Check the agent's own schedule (interval or cron expression)
+      const [interval, cronSchedule] = await agent.getSchedule();
+      const schedule = { interval: Number(interval), cron: cronSchedule };
       
-      if (memories.length > 0) {
-        memoryContext = "\n\nPrevious memories:\n";
-        memories.slice(-5).forEach((memory, index) => { // Last 5 memories
-          memoryContext += `${memory.key}: ${memory.value}\n`;
-        });
+      if (!isExecutionDue(schedule, Number(lastExecution), Number(execCount), undefined, this.defaultInterval)) {
+        const nextExecution = getNextExecutionTime(schedule, Number(lastExecution), this.defaultInterval);
+        console.log(`⏳ Agent ${agentAddress} not due until ${new Date(nextExecution * 1000).toISOString()}, waiting...`);
+        return;
       }
       
-      // Create prompt for OpenAI
-      const prompt = `You are an autonomous AI agent deployed on the blockchain. Your goal is: "${goal}"
+      const nextCharge = await this.getNextChargeTime(agent);
       
-Previous response: ${lastResponse || "None"}
-Execution count: ${execCount}
-${memoryContext}
-
-Please provide a response that helps achieve your goal. Be concise and actionable. If this is a recurring task, provide an update or summary.`;
-
-      console.log("🧠 Querying OpenAI...");
-      
-      // Call OpenAI API
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: "You are an autonomous blockchain AI agent. Provide helpful, concise responses that help achieve the given goal."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.7
-      });
+      if (nextCharge > Math.floor(Date.now() / 1000)) {
+        console.log(`⏳ Agent ${agentAddress} was charged recently, waiting until ${new Date(nextCharge * 1000).toISOString()}...`);
+        return;
+      }
+      
+      // Keyed by execution count, so an agent is only queued once per execution
+      const job = this.queue.enqueue(agentAddress, Number(execCount));
+      
+      if (job.status === "pending" && job.attempts === 0) {
+        console.log(`📥 Queued execution #${execCount} for agent ${agentAddress}`);
+      }
+      
+    } catch (error) {
+      console.error(`❌ Error checking agent ${agentAddress}:`, error);
+    }
+  }
+  
+  async processJobs() {
+    const jobs = this.queue.getReadyJobs();
+    
+    if (jobs.length === 0) {
+      return;
+    }
+    
+    console.log(`🗂️  Running ${jobs.length} queued executions`);
+    await runWithConcurrency(jobs, this.concurrency, (job) => this.executeJob(job));
+    
+    const stats = this.queue.getStats();
+    console.log(`🗂️  Queue: ${stats.pending} pending, ${stats.completed} completed, ${stats.dead} dead-lettered`);
+  }
+  
+  async executeJob(job) {
+    const { id, agentAddress, executionCount } = this.queue.markRunning(job.id);
+    
+    try {
+      const agent = new ethers.Contract(agentAddress, AgentABI, this.wallet);
+      
+      const agentInfo = await agent.getAgentInfo();
+      const [owner, goal, lastResponse, lastExecution, execCount, isActive, memoryCount] = agentInfo;
+      
+      // The response for this execution already landed on-chain (e.g. the
+      // executor crashed after the transaction), so don't write a duplicate
+      if (Number(execCount) > executionCount) {
+        console.log(`♻️  Execution #${executionCount} of agent ${agentAddress} already stored on-chain`);
+        this.queue.complete(id, { skipped: "already executed" });
+        return;
+      }
+      
+      if (!isActive) {
+        console.log(`⏸️  Agent ${agentAddress} was deactivated, dropping queued execution`);
+        this.queue.complete(id, { skipped: "inactive" });
+        return;
+      }
+      
+      console.log(`\n🤖 Executing agent: ${agentAddress} (attempt ${this.queue.get(id).attempts})`);
+      console.log(`🎯 Goal: ${goal}`);
+      console.log(`📊 Execution count: ${execCount}`);
+      
+      // Reuse a response generated by an earlier attempt instead of calling the LLM again
+      let result = this.queue.get(id).result;
+      const nextCharge = await this.getNextChargeTime(agent);
+      
+      if (result) {
+        console.log("♻️  Reusing response from previous attempt");
+      } else if (!await this.hasCredit(agent)) {
+        // Credits ran out after the job was queued; check again later, without using up
+        // an attempt, in case the owner tops up
+        const nextAttemptAt = Date.now() + this.queue.retryBaseDelay;
+        this.queue.defer(id, nextAttemptAt, "Agent is out of credit");
+        console.log(`💸 Agent ${agentAddress} is out of credit, deferring until ${new Date(nextAttemptAt).toISOString()}`);
+        return;
+      } else if (nextCharge > Math.floor(Date.now() / 1000)) {
+        // Another execution was charged in the meantime; wait for the next charge window
+        const nextAttemptAt = nextCharge * 1000;
+        this.queue.defer(id, nextAttemptAt, "Execution fee charged too recently");
+        console.log(`⏳ Agent ${agentAddress} was charged recently, deferring until ${new Date(nextAttemptAt).toISOString()}`);
+        return;
+      } else if (!await this.hasTokenBudget(agent)) {
+        // Wait for the limit to reset without using up an attempt
+        const nextDay = UsageLedger.getNextDay();
+        this.queue.defer(id, nextDay, "Daily token limit reached");
+        console.log(`🪙 Agent ${agentAddress} reached its daily token limit, deferring until ${new Date(nextDay).toISOString()}`);
+        return;
+      } else {
+        result = await this.generateResponse(agent);
+        this.queue.saveResult(id, result);
+        this.usage.recordCompletion(id, { agentAddress, owner, executionCount, ...result });
+        
+        const cost = result.cost === null ? "unknown cost" : `~$${result.cost}`;
+        console.log(`🧾 Used ${result.usage.totalTokens} tokens (${cost})`);
+      }
       
-      const response = completion.choices[0].message.content;
+      const { response, toolCalls = [], memoryWrites = [] } = result;
       console.log(`📝 AI Response: ${response.substring(0, 100)}...`);
       
-      // Store response on-chain
-      console.log("💾 Storing response on-chain...");
-      const tx = await agent.storeResponse(response);
-      await tx.wait();
+      if (toolCalls.length > 0) {
+        console.log(`🛠️  Tool calls: ${toolCalls.map(call => call.error ? `${call.name} (failed)` : call.name).join(", ")}`);
+      }
       
-      // Store execution timestamp as memory
-      await agent.storeMemory(
-        `execution_${execCount}`, 
-        `${new Date().toISOString()}: ${response.substring(0, 200)}`
-      );
+      await this.executeActions(agent, id, result);
+      
+      // Store the response (or its content URI and hash) together with its execution record
+      console.log(result.responseURI ? `💾 Storing response URI on-chain: ${result.responseURI}` : "💾 Storing response on-chain...");
+      const tx = await this.txManager.send(agent, "recordExecution", [
+        result.responseURI || response,
+        result.responseURI ? result.responseHash : ethers.ZeroHash,
+        result.promptHash || ethers.ZeroHash,
+        result.promptURI || "",
+        result.model || "",
+        memoryWrites.map(write => write.key),
+        memoryWrites.map(write => write.value)
+      ]);
+      this.usage.recordGas(id, tx);
       
+      this.queue.complete(id, { txHash: tx.hash });
       console.log("✅ Agent execution completed successfully!");
       
     } catch (error) {
-      console.error(`❌ Error executing agent ${agentAddress}:`, error);
+      // Reverted transactions still cost gas
+      if (error.result?.gasUsed) {
+        this.usage.recordGas(id, error.result);
+      }
+      
+      const failedJob = this.queue.fail(id, error);
+      
+      if (failedJob.status === "dead") {
+        console.error(`☠️  Execution ${id} dead-lettered after ${failedJob.attempts} attempts:`, error);
+      } else {
+        console.error(`❌ Error executing agent ${agentAddress}, retrying at ${new Date(failedJob.nextAttemptAt).toISOString()}:`, error);
+      }
+    }
+  }
+  
+  // Send the contract calls the model decided on, as proposals for the owner to approve
+  // unless the agent acts autonomously. Each outcome is saved with the job's result,
+  // so a retried job never sends an action twice.
+  async executeActions(agent, jobId, result) {
+    for (const action of result.actions || []) {
+      if (action.status) {
+        continue;
+      }
+      
+      try {
+        const description = `${action.target}${action.signature ? `: ${action.signature}` : ""}`;
+        
+        if (action.mode === "propose") {
+          console.log(`📨 Proposing action on ${description}`);
+          const expiresAt = Math.floor(Date.now() / 1000) + this.tools.proposalTtl;
+          const tx = await this.txManager.send(agent, "proposeAction", [action.target, action.data, action.value, expiresAt]);
+          const proposed = tx.receipt.logs
+            .map(log => agent.interface.parseLog(log))
+            .find(event => event && event.name === "ActionProposed");
+          
+          action.status = "proposed";
+          action.proposalId = Number(proposed.args.id);
+          action.expiresAt = expiresAt;
+          action.txHash = tx.hash;
+          this.usage.recordGas(jobId, tx);
+        } else {
+          console.log(`⚡ Executing action on ${description}`);
+          const tx = await this.txManager.send(agent, "executeAction", [action.target, action.data, action.value]);
+          action.status = "executed";
+          action.txHash = tx.hash;
+          this.usage.recordGas(jobId, tx);
+        }
+      } catch (error) {
+        if (error.result?.gasUsed) {
+          this.usage.recordGas(jobId, error.result);
+        }
+        
+        // The contract rejected the action (policy or a failing call); the response is still recorded
+        console.error(`❌ Action on ${action.target} failed:`, error.reason || error.message);
+        action.status = "failed";
+        action.error = error.reason || error.message;
+      }
+      
+      this.queue.saveResult(jobId, result);
+    }
+  }
+  
+  async generateResponse(agent) {
+    // Resolve the agent's model configuration against executor defaults
+    const modelConfig = this.llm.resolve(await agent.getModelConfig());
+    
+    // Render the agent's prompt template and system prompt, retrieving relevant
+    // memories and folding those that no longer fit into its rolling summary
+    let summaryCompletion = null;
+    const { name, messages, context: memoryContext } = await buildPrompt(agent, {
+      provider: this.provider,
+      resolveContent: (value) => this.resolveContent(value),
+      model: modelConfig.model,
+      summarize: async (previous, memories, maxTokens) => {
+        summaryCompletion = await this.summarizeMemories(modelConfig, previous, memories, maxTokens);
+        return summaryCompletion.content;
+      },
+      search: (query, k) => this.searchMemories(agent, query, k),
+      toolNames: this.tools.names
+    });
+    
+    console.log(`🧠 Querying ${modelConfig.provider}${modelConfig.model ? ` (${modelConfig.model})` : ""} with the ${name} prompt...`);
+    
+    // Tool calls and their results become part of the recorded conversation
+    const context = {
+      provider: this.provider,
+      agentAddress: await agent.getAddress(),
+      executorAddress: this.wallet.address,
+      resolveContent: (value) => this.resolveContent(value),
+      memoryWrites: [],
+      actions: []
+    };
+    const { completion, messages: transcript, toolCalls } = await this.tools.run(this.llm, modelConfig, messages, context);
+    const promptContent = JSON.stringify(transcript);
+    
+    // The summary is stored with the response, replacing any the model wrote itself
+    if (memoryContext.summary.updated && memoryContext.summary.value) {
+      const summary = encodeSummary(memoryContext.summary);
+      context.memoryWrites = context.memoryWrites.filter(write => write.key !== SUMMARY_KEY);
+      context.memoryWrites.push({
+        key: SUMMARY_KEY,
+        value: this.storeContentOffChain ? this.contentStore.put(summary).uri : summary
+      });
+    }
+    
+    // The summary is a completion of its own with the same model, billed with the execution
+    const usage = { ...completion.usage };
+    
+    if (summaryCompletion) {
+      for (const key of Object.keys(usage)) {
+        usage[key] += summaryCompletion.usage?.[key] || 0;
+      }
+    }
+    
+    const result = {
+      response: completion.content,
+      provider: modelConfig.provider,
+      model: completion.model,
+      // Recorded on-chain so the exact prompt can be verified later
+      promptHash: ethers.id(promptContent),
+      usage,
+      cost: this.llm.estimateCost(modelConfig.provider, completion.model, usage),
+      toolCalls,
+      memoryWrites: context.memoryWrites,
+      actions: context.actions
+    };
+    
+    // Keep the full prompt and response off-chain; only their URIs and hashes are written to the agent
+    if (this.storeContentOffChain) {
+      result.promptURI = this.contentStore.put(promptContent).uri;
+      result.responseURI = this.contentStore.put(completion.content).uri;
+      result.responseHash = ethers.id(completion.content);
+    }
+    
+    return result;
+  }
+  
+  // Fold memories that dropped out of the agent's context into its rolling summary
+  async summarizeMemories(modelConfig, previous, memories, maxTokens) {
+    console.log(`📚 Summarizing ${memories.length} older memories`);
+    
+    return this.llm.complete({ ...modelConfig, maxTokens }, [
+      { role: "system", content: "You keep a running summary of an autonomous agent's older memories. Keep facts, figures and decisions the agent may need later; drop anything superseded." },
+      {
+        role: "user",
+        content: `Current summary:\n${previous || "None"}\n\nMemories to add:\n${memories.map(memory => `${memory.key}: ${memory.value}`).join("\n")}\n\nWrite the updated summary in at most ${Math.floor(maxTokens * 0.75)} words.`
+      }
+    ]);
+  }
+  
+  // Bring the agent's memory index up to date and rank its memories and responses by similarity to the query
+  async searchMemories(agent, query, k) {
+    const { updated, removed } = await this.memoryIndex.sync(agent, { resolveContent: (value) => this.resolveContent(value) });
+    
+    if (updated > 0 || removed > 0) {
+      console.log(`🔎 Memory index updated (${updated} embedded, ${removed} removed)`);
+    }
+    
+    return this.memoryIndex.search(await agent.getAddress(), query, { k });
+  }
+  
+  // Resolve ipfs:// values written by earlier executions back to their content
+  async resolveContent(value) {
+    if (!ContentStore.isContentURI(value)) {
+      return value;
+    }
+    
+    try {
+      return await this.contentStore.get(value);
+    } catch (error) {
+      console.warn(`⚠️  Could not resolve ${value}: ${error.message}`);
+      return value;
     }
   }
   
@@ -0,0 +1,47 @@
+const crypto = require("crypto");
+
+/**
+ * Deterministic offline provider for tests and CI. The same messages and
+ * model always produce the same response, and no network access is needed.
+ */
+class MockProvider {
+  constructor({ name = "mock", defaultModel = "mock-1" } = {}) {
+    this.name = name;
+    this.defaultModel = defaultModel;
+  }
+  
+  async complete({ model, messages, maxTokens }) {
+    const modelName = model || this.defaultModel;
+    const transcript = messages.map(message => `${message.role}:${message.content}`).join("\n");
+    const digest = crypto.createHash("sha256").update(`${modelName}\n${transcript}`).digest("hex");
+    
+    const lastUserMessage = [...messages].reverse().find(message => message.role === "user");
+    const goalMatch = lastUserMessage && lastUserMessage.content.match(/Your goal is: "([^"]*)"/);
+    const subject = goalMatch ? goalMatch[1] : "the current task";
+    
+    let content = `[${modelName}:${digest.substring(0, 12)}] Progress update on ${subject}.`;
+    
+    const estimateTokens = (text) => Math.ceil(text.length / 4);
+    
+    // Respect the completion budget like a real model would
+    if (maxTokens && estimateTokens(content) > maxTokens) {
+      content = content.substring(0, maxTokens * 4);
+    }
+    
+    const promptTokens = estimateTokens(transcript);
+    const completionTokens = estimateTokens(content);
+    
+    return {
+      content,
+      toolCalls: [],
+      model: modelName,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      }
+    };
+  }
+}
+
+module.exports = MockProvider;
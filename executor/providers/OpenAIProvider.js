@@ -0,0 +1,50 @@
+const OpenAI = require("openai");
+
+/**
+ * Chat completion provider backed by the OpenAI API or any
+ * OpenAI-compatible endpoint (e.g. a local llama.cpp, vLLM or Ollama server).
+ */
+class OpenAIProvider {
+  constructor({ name = "openai", apiKey, baseURL, defaultModel = "gpt-4" } = {}) {
+    if (!apiKey) {
+      throw new Error(`API key not configured for provider "${name}"`);
+    }
+    
+    this.name = name;
+    this.defaultModel = defaultModel;
+    this.client = new OpenAI({
+      apiKey,
+      ...(baseURL ? { baseURL } : {})
+    });
+  }
+  
+  async complete({ model, messages, maxTokens, temperature, tools = [], toolChoice }) {
+    const completion = await this.client.chat.completions.create({
+      model: model || this.defaultModel,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(tools.length > 0 ? { tools, tool_choice: toolChoice } : {})
+    });
+    
+    const message = completion.choices[0].message;
+    const usage = completion.usage || {};
+    
+    return {
+      content: message.content || "",
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments
+      })),
+      model: completion.model || model || this.defaultModel,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
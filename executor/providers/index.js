@@ -0,0 +1,97 @@
+const OpenAIProvider = require("./OpenAIProvider");
+const MockProvider = require("./MockProvider");
+const { loadPrices, estimateCost } = require("./pricing");
+
+// Provider name -> factory building it from environment configuration
+const PROVIDER_FACTORIES = {
+  openai: (env) => new OpenAIProvider({
+    name: "openai",
+    apiKey: env.OPENAI_API_KEY,
+    defaultModel: env.OPENAI_MODEL || "gpt-4"
+  }),
+  local: (env) => new OpenAIProvider({
+    name: "local",
+    // Most local OpenAI-compatible servers ignore the key, but the client requires one
+    apiKey: env.LOCAL_LLM_API_KEY || "local",
+    baseURL: env.LOCAL_LLM_BASE_URL || "http://127.0.0.1:11434/v1",
+    defaultModel: env.LOCAL_LLM_MODEL || "llama3"
+  }),
+  mock: (env) => new MockProvider({
+    name: "mock",
+    defaultModel: env.MOCK_LLM_MODEL || "mock-1"
+  })
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+
+/**
+ * Lazily builds and caches LLM providers, and resolves each agent's
+ * on-chain model configuration against the executor defaults.
+ */
+class ProviderRegistry {
+  constructor(env = process.env) {
+    this.env = env;
+    this.providers = new Map();
+    this.defaults = {
+      provider: env.LLM_PROVIDER || "openai",
+      model: env.LLM_MODEL || "",
+      maxTokens: parseInt(env.LLM_MAX_TOKENS) || 500,
+      temperature: env.LLM_TEMPERATURE !== undefined ? parseFloat(env.LLM_TEMPERATURE) : 0.7
+    };
+    this.prices = loadPrices(env);
+  }
+
+  get(name) {
+    if (!PROVIDER_FACTORIES[name]) {
+      throw new Error(`Unknown LLM provider "${name}". Available: ${PROVIDER_NAMES.join(", ")}`);
+    }
+
+    if (!this.providers.has(name)) {
+      this.providers.set(name, PROVIDER_FACTORIES[name](this.env));
+    }
+
+    return this.providers.get(name);
+  }
+
+  // Merge an agent's on-chain ModelConfig with the executor defaults
+  resolve(modelConfig = {}) {
+    const provider = modelConfig.provider || "";
+
+    if (!provider) {
+      return { ...this.defaults };
+    }
+
+    return {
+      provider,
+      model: modelConfig.model || "",
+      maxTokens: Number(modelConfig.maxTokens || 0) || this.defaults.maxTokens,
+      temperature: Number(modelConfig.temperature || 0) / 100
+    };
+  }
+
+  // Run a chat completion using a resolved model configuration, optionally offering tools
+  async complete(config, messages, { tools, toolChoice } = {}) {
+    const provider = this.get(config.provider);
+
+    return provider.complete({
+      model: config.model,
+      messages,
+      maxTokens: config.maxTokens,
+      temperature: config.temperature,
+      tools,
+      toolChoice
+    });
+  }
+
+  // Estimated USD cost of a completion's token usage, or null for models without a known price
+  estimateCost(provider, model, usage) {
+    return estimateCost(this.prices, provider, model, usage);
+  }
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  ProviderRegistry,
+  OpenAIProvider,
+  MockProvider
+};
@@ -0,0 +1,59 @@
+// Estimated USD per million prompt and completion tokens. A model matches the
+// longest name it starts with, so dated snapshots ("gpt-4o-2024-08-06") use
+// their family's price. LLM_PRICES adds or overrides entries as JSON, e.g.
+// {"gpt-4o": {"prompt": 2.5, "completion": 10}}.
+const MODEL_PRICES = {
+  "gpt-4": { prompt: 30, completion: 60 },
+  "gpt-4-turbo": { prompt: 10, completion: 30 },
+  "gpt-4o": { prompt: 2.5, completion: 10 },
+  "gpt-4o-mini": { prompt: 0.15, completion: 0.6 },
+  "gpt-3.5-turbo": { prompt: 0.5, completion: 1.5 }
+};
+
+// Providers that run models without per-token charges
+const FREE_PROVIDERS = ["local", "mock"];
+
+function loadPrices(env = process.env) {
+  if (!env.LLM_PRICES) {
+    return { ...MODEL_PRICES };
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(env.LLM_PRICES);
+  } catch {
+    throw new Error("LLM_PRICES must be a JSON object of model prices");
+  }
+
+  return { ...MODEL_PRICES, ...overrides };
+}
+
+function findPrice(prices, model = "") {
+  const name = Object.keys(prices)
+    .filter(candidate => model === candidate || model.startsWith(`${candidate}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return name ? prices[name] : null;
+}
+
+/**
+ * Estimate what a completion cost in USD from its token usage. Returns null
+ * when the model has no known price.
+ */
+function estimateCost(prices, provider, model, usage = {}) {
+  const price = findPrice(prices, model);
+
+  if (!price) {
+    return FREE_PROVIDERS.includes(provider) ? 0 : null;
+  }
+
+  const cost = ((usage.promptTokens || 0) * price.prompt + (usage.completionTokens || 0) * price.completion) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+module.exports = {
+  MODEL_PRICES,
+  loadPrices,
+  findPrice,
+  estimateCost
+};
@@ -0,0 +1,91 @@
+const { ethers } = require("ethers");
+const { encodeAction, selectorOf } = require("../../utils/actions");
+
+const AgentABI = require("../../artifacts/contracts/Agent.sol/Agent.json").abi;
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+
+/**
+ * Contract calls the agent makes from its own address. Each call is checked
+ * against the agent's on-chain policy (allowed targets and selectors,
+ * spending caps) when the model makes it, and collected in the context's
+ * `actions`. Once the conversation is over the executor sends them with
+ * executeAction, or with proposeAction for the owner to approve unless the
+ * owner enabled autonomous actions.
+ */
+function createExecuteAction({ maxActions = 3, proposalTtl = 86400 }) {
+  return {
+    name: "execute_action",
+    description: "Make a contract call or value transfer from the agent's own address, e.g. a token swap or a DAO vote. " +
+      "Only targets and functions allowed by the agent's owner can be called, and sent value is limited by the owner's spending caps. " +
+      `Calls are sent after you answer, at most ${maxActions} per execution. Unless the owner lets the agent act autonomously, ` +
+      "calls become proposals that only execute once the owner approves them.",
+    parameters: {
+      type: "object",
+      properties: {
+        target: { type: "string", description: "Address to call" },
+        signature: {
+          type: "string",
+          description: "Human-readable function signature, e.g. \"function castVote(uint256 proposalId, uint8 support)\". Omit for a plain value transfer."
+        },
+        args: { type: "array", description: "Function arguments in order", items: {} },
+        value: { type: "string", description: "Native tokens to send, in ether (default \"0\")" }
+      },
+      required: ["target"]
+    },
+    async run({ target, signature, args = [], value = "0" }, { provider, agentAddress, executorAddress, actions }) {
+      if (!ethers.isAddress(target)) {
+        throw new Error(`Invalid address: ${target}`);
+      }
+
+      if (actions.length >= maxActions) {
+        throw new Error(`At most ${maxActions} actions per execution`);
+      }
+
+      const { data, error } = encodeAction({ signature: signature || null, args });
+
+      if (error) {
+        throw new Error(error);
+      }
+
+      const wei = ethers.parseEther(String(value));
+
+      // Simulate against the current policy so the model learns why an action would be rejected
+      const agent = new ethers.Contract(agentAddress, AgentABI, provider);
+      const autonomous = await agent.autonomousActions();
+      try {
+        if (autonomous) {
+          await agent.executeAction.staticCall(target, data, wei, { from: executorAddress });
+        } else {
+          const { timestamp } = await provider.getBlock("latest");
+          await agent.proposeAction.staticCall(target, data, wei, timestamp + proposalTtl, { from: executorAddress });
+        }
+      } catch (error) {
+        throw new Error(`Action would revert: ${revertReason(error)}`);
+      }
+
+      const mode = autonomous ? "execute" : "propose";
+      actions.push({ mode, target, signature: signature || null, args, data, value: wei.toString() });
+
+      return { queued: true, requiresApproval: !autonomous, target, selector: selectorOf(data), value: String(value) };
+    }
+  };
+}
+
+// Revert reason of a failed call; some providers only return the encoded Error(string)
+function revertReason(error) {
+  if (error.reason) {
+    return error.reason;
+  }
+
+  if (typeof error.data === "string" && error.data.startsWith(ERROR_STRING_SELECTOR)) {
+    return ethers.AbiCoder.defaultAbiCoder().decode(["string"], `0x${error.data.substring(10)}`)[0];
+  }
+
+  return error.shortMessage || error.message;
+}
+
+module.exports = {
+  createExecuteAction,
+  revertReason
+};
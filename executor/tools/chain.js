@@ -0,0 +1,120 @@
+const { ethers } = require("ethers");
+
+const AgentABI = require("../../artifacts/contracts/Agent.sol/Agent.json").abi;
+
+const addressParameter = { type: "string", description: "0x-prefixed address" };
+
+// Latest block number and timestamp
+const getBlock = {
+  name: "get_block",
+  description: "Get the latest block number and timestamp of the chain the agent lives on.",
+  parameters: { type: "object", properties: {} },
+  async run(args, { provider }) {
+    const block = await provider.getBlock("latest");
+    return { number: block.number, timestamp: block.timestamp, hash: block.hash };
+  }
+};
+
+// Native balance of an address
+const getBalance = {
+  name: "get_balance",
+  description: "Get the native token balance of an address, in ether.",
+  parameters: {
+    type: "object",
+    properties: { address: addressParameter },
+    required: ["address"]
+  },
+  async run({ address }, { provider }) {
+    requireAddress(address);
+    return { address, balance: ethers.formatEther(await provider.getBalance(address)) };
+  }
+};
+
+// Goal, status and latest response of this or another agent
+const getAgentState = {
+  name: "get_agent_state",
+  description: "Read the goal, owner, activity status, execution count and last response of an agent. Defaults to this agent.",
+  parameters: {
+    type: "object",
+    properties: { address: { ...addressParameter, description: "Agent address (optional)" } }
+  },
+  async run({ address }, { provider, agentAddress, resolveContent }) {
+    const target = address || agentAddress;
+    requireAddress(target);
+
+    const agent = new ethers.Contract(target, AgentABI, provider);
+    const [owner, goal, lastResponse, lastExecution, execCount, isActive, memoryCount] = await agent.getAgentInfo();
+
+    return {
+      address: target,
+      owner,
+      goal,
+      lastResponse: await resolveContent(lastResponse),
+      lastExecution: Number(lastExecution),
+      executionCount: Number(execCount),
+      isActive,
+      memoryCount: Number(memoryCount)
+    };
+  }
+};
+
+// Any view or pure function of any contract
+const callContract = {
+  name: "call_contract",
+  description: "Call a read-only (view or pure) contract function and return its result.",
+  parameters: {
+    type: "object",
+    properties: {
+      address: { ...addressParameter, description: "Contract address" },
+      signature: {
+        type: "string",
+        description: "Human-readable function signature, e.g. \"function balanceOf(address owner) view returns (uint256)\""
+      },
+      args: { type: "array", description: "Function arguments in order", items: {} }
+    },
+    required: ["address", "signature"]
+  },
+  async run({ address, signature, args = [] }, { provider }) {
+    requireAddress(address);
+
+    let fragment;
+    try {
+      fragment = ethers.FunctionFragment.from(signature);
+    } catch {
+      throw new Error(`Invalid function signature: ${signature}`);
+    }
+
+    if (!["view", "pure"].includes(fragment.stateMutability)) {
+      throw new Error("Only view and pure functions can be called");
+    }
+
+    const contract = new ethers.Contract(address, [fragment], provider);
+    const result = await contract.getFunction(fragment).staticCallResult(...args);
+
+    return { result: toJSONValue(result.toArray(true)) };
+  }
+};
+
+function requireAddress(address) {
+  if (!ethers.isAddress(address)) {
+    throw new Error(`Invalid address: ${address}`);
+  }
+}
+
+function toJSONValue(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toJSONValue);
+  }
+
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJSONValue(item)]));
+  }
+
+  return value;
+}
+
+module.exports = [getBlock, getBalance, getAgentState, callContract];
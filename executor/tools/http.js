@@ -0,0 +1,63 @@
+const axios = require("axios");
+
+/**
+ * GET requests to allowlisted hosts. `allowlist` holds host names; a host
+ * also matches its subdomains. The tool is not offered to agents when the
+ * allowlist is empty.
+ */
+function createHttpFetch({ allowlist, timeout = 10000, maxLength = 4000 }) {
+  return {
+    name: "http_fetch",
+    description: `Fetch a URL with an HTTP GET request. Allowed hosts: ${allowlist.join(", ")}.`,
+    parameters: {
+      type: "object",
+      properties: { url: { type: "string", description: "http or https URL" } },
+      required: ["url"]
+    },
+    async run({ url }) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        throw new Error(`Invalid URL: ${url}`);
+      }
+
+      if (!["http:", "https:"].includes(parsed.protocol)) {
+        throw new Error("Only http and https URLs can be fetched");
+      }
+
+      if (!isAllowedHost(parsed.hostname, allowlist)) {
+        throw new Error(`Host ${parsed.hostname} is not allowlisted`);
+      }
+
+      // Redirects are not followed, as they could leave the allowlist
+      const response = await axios.get(parsed.href, {
+        responseType: "text",
+        transformResponse: data => data,
+        timeout,
+        maxRedirects: 0,
+        maxContentLength: 1024 * 1024,
+        validateStatus: () => true
+      });
+
+      const body = String(response.data);
+
+      return {
+        status: response.status,
+        contentType: response.headers["content-type"] || null,
+        body: body.substring(0, maxLength),
+        truncated: body.length > maxLength
+      };
+    }
+  };
+}
+
+function isAllowedHost(hostname, allowlist) {
+  const host = hostname.toLowerCase();
+  return allowlist.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+module.exports = {
+  createHttpFetch,
+  isAllowedHost
+};
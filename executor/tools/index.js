@@ -0,0 +1,178 @@
+const chainTools = require("./chain");
+const { createHttpFetch, isAllowedHost } = require("./http");
+const { createWriteMemory } = require("./memory");
+const { createExecuteAction } = require("./actions");
+
+/**
+ * Tools agents can call through the LLM's function calling. A tool is
+ * `{ name, description, parameters, run(args, context) }`, where `parameters`
+ * is a JSON schema and `context` holds the executor's provider and address,
+ * the agent's address, a `resolveContent` function, and the execution's
+ * `memoryWrites` and `actions`.
+ */
+class ToolRegistry {
+  constructor(env = process.env) {
+    this.tools = new Map();
+    this.maxRounds = parseInt(env.TOOL_MAX_ROUNDS) || 5;
+    this.maxResultLength = parseInt(env.TOOL_MAX_RESULT_LENGTH) || 4000;
+    this.proposalTtl = parseInt(env.PROPOSAL_TTL) || 86400; // Seconds the owner has to approve a proposed action
+
+    const allowlist = parseList(env.TOOL_HTTP_ALLOWLIST).map(host => host.toLowerCase());
+    const builtins = [
+      ...chainTools,
+      ...(allowlist.length > 0 ? [createHttpFetch({ allowlist, maxLength: this.maxResultLength })] : []),
+      createWriteMemory({ maxWrites: parseInt(env.TOOL_MAX_MEMORY_WRITES) || 5 }),
+      createExecuteAction({ maxActions: parseInt(env.TOOL_MAX_ACTIONS) || 3, proposalTtl: this.proposalTtl })
+    ];
+
+    // EXECUTOR_TOOLS limits the built-in tools offered to agents ("none" disables tool calling)
+    const enabled = env.EXECUTOR_TOOLS ? parseList(env.EXECUTOR_TOOLS) : null;
+
+    for (const tool of builtins) {
+      if (!enabled || enabled.includes(tool.name)) {
+        this.register(tool);
+      }
+    }
+  }
+
+  register(tool) {
+    this.tools.set(tool.name, tool);
+  }
+
+  get names() {
+    return [...this.tools.keys()];
+  }
+
+  // Tool declarations in the OpenAI function calling format
+  definitions() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({
+      type: "function",
+      function: { name, description, parameters }
+    }));
+  }
+
+  // Run one tool call. Failures are returned to the model as an error rather than thrown.
+  async call({ id, name, arguments: rawArgs }, context) {
+    const record = { id, name, arguments: rawArgs };
+
+    try {
+      try {
+        record.arguments = typeof rawArgs === "string" ? JSON.parse(rawArgs || "{}") : (rawArgs || {});
+      } catch {
+        throw new Error("Arguments must be a JSON object");
+      }
+
+      const tool = this.tools.get(name);
+
+      if (!tool) {
+        throw new Error(`Unknown tool "${name}"`);
+      }
+
+      record.result = this.limit(await tool.run(record.arguments, context));
+    } catch (error) {
+      record.error = error.message;
+    }
+
+    return record;
+  }
+
+  // Keep large results from filling the model's context window
+  limit(result) {
+    const json = JSON.stringify(result);
+
+    if (json === undefined || json.length <= this.maxResultLength) {
+      return result;
+    }
+
+    return { truncated: true, json: json.substring(0, this.maxResultLength) };
+  }
+
+  /**
+   * Complete a conversation, running the tools the model calls and sending it
+   * their results, until it answers without calling tools. After `maxRounds`
+   * rounds of tool calls the model must answer. Returns the final completion
+   * (with usage summed over all rounds), the full transcript and the tool calls.
+   */
+  async run(llm, config, messages, context) {
+    const transcript = [...messages];
+    const toolCalls = [];
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    const tools = this.definitions();
+
+    for (let round = 0; ; round++) {
+      const completion = tools.length > 0
+        ? await llm.complete(config, transcript, { tools, toolChoice: round < this.maxRounds ? "auto" : "none" })
+        : await llm.complete(config, transcript);
+
+      for (const key of Object.keys(usage)) {
+        usage[key] += completion.usage?.[key] || 0;
+      }
+
+      if (!completion.toolCalls || completion.toolCalls.length === 0 || round >= this.maxRounds) {
+        return { completion: { ...completion, usage }, messages: transcript, toolCalls };
+      }
+
+      transcript.push({
+        role: "assistant",
+        content: completion.content || null,
+        tool_calls: completion.toolCalls.map(({ id, name, arguments: args }) => ({
+          id,
+          type: "function",
+          function: { name, arguments: args }
+        }))
+      });
+
+      for (const call of completion.toolCalls) {
+        console.log(`🛠️  Calling tool ${call.name}`);
+        const record = await this.call(call, context);
+        toolCalls.push(record);
+
+        transcript.push({
+          role: "tool",
+          tool_call_id: call.id,
+          content: JSON.stringify(record.error ? { error: record.error } : record.result)
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Tool calls and their results from a recorded conversation transcript (the
+ * prompt content stored with an execution record).
+ */
+function toolCallsFromTranscript(messages) {
+  const results = new Map(
+    messages.filter(message => message.role === "tool").map(message => [message.tool_call_id, parseJSON(message.content)])
+  );
+
+  return messages
+    .filter(message => message.role === "assistant" && message.tool_calls)
+    .flatMap(message => message.tool_calls)
+    .map(({ id, function: { name, arguments: args } }) => {
+      const output = results.get(id);
+      const error = output && output.error !== undefined && Object.keys(output).length === 1 ? output.error : undefined;
+
+      return error !== undefined
+        ? { id, name, arguments: parseJSON(args), error }
+        : { id, name, arguments: parseJSON(args), result: output };
+    });
+}
+
+function parseJSON(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function parseList(value = "") {
+  return value.split(",").map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+  ToolRegistry,
+  toolCallsFromTranscript,
+  isAllowedHost
+};
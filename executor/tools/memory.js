@@ -0,0 +1,39 @@
+/**
+ * Memory writes are collected during the conversation and stored together with
+ * the execution record, in the same transaction as the response.
+ */
+function createWriteMemory({ maxWrites = 5 }) {
+  return {
+    name: "write_memory",
+    description: `Store a key-value pair in the agent's on-chain memory, visible in future executions. At most ${maxWrites} writes per execution.`,
+    parameters: {
+      type: "object",
+      properties: {
+        key: { type: "string", description: "Memory key; an existing key is overwritten" },
+        value: { type: "string", description: "Value to remember" }
+      },
+      required: ["key", "value"]
+    },
+    async run({ key, value }, { memoryWrites }) {
+      if (typeof key !== "string" || !key.trim() || typeof value !== "string") {
+        throw new Error("key must be a non-empty string and value a string");
+      }
+
+      const existing = memoryWrites.find(write => write.key === key);
+
+      if (existing) {
+        existing.value = value;
+      } else if (memoryWrites.length >= maxWrites) {
+        throw new Error(`At most ${maxWrites} memory writes per execution`);
+      } else {
+        memoryWrites.push({ key, value });
+      }
+
+      return { stored: key };
+    }
+  };
+}
+
+module.exports = {
+  createWriteMemory
+};
@@ -0,0 +1,28 @@
+/**
+ * Run an async worker over a list of items with at most `concurrency`
+ * workers in flight. Worker errors are collected rather than thrown so one
+ * failing item never stops the rest of the batch.
+ */
+async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      
+      try {
+        results[index] = { status: "fulfilled", value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: "rejected", reason: error };
+      }
+    }
+  };
+  
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  
+  return results;
+}
+
+module.exports = { runWithConcurrency };
@@ -9,7 +9,8 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
-      }
+      },
+      viaIR: true // Smaller bytecode, keeping Agent under the 24 KB contract size limit
     }
   },
   networks: {
@@ -0,0 +1,284 @@
+const fs = require("fs");
+const path = require("path");
+const { applyAgentQuery } = require("../utils/agentQuery");
+
+const DEFAULT_DB_FILE = path.join(__dirname, "../data/indexer-db.json");
+
+/**
+ * File-backed read model of the AgentFactory and its agents, built from
+ * contract events by the indexer.
+ *
+ * The indexer is the only writer. Every block that changes state keeps an
+ * undo entry with the previous state of each agent it touched, so a chain
+ * reorganization can be rolled back to the last block still on the canonical
+ * chain. Readers (API, monitor) call `refresh()` to pick up new writes.
+ */
+class IndexerDB {
+  constructor({ file = process.env.INDEXER_DB_FILE || DEFAULT_DB_FILE } = {}) {
+    this.file = file;
+    this.mtime = 0;
+    this.state = IndexerDB.emptyState();
+
+    this.load();
+  }
+
+  static emptyState({ chainId = null, factory = null, startBlock = 0 } = {}) {
+    return {
+      chainId,
+      factory,
+      startBlock,
+      lastBlock: startBlock - 1,
+      updatedAt: 0,
+      blocks: [], // { number, hash, undo: { [agent]: previous state or null } }, oldest first
+      agentOrder: [], // Lowercase addresses in factory order
+      agents: {}
+    };
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+
+    this.mtime = fs.statSync(this.file).mtimeMs;
+    this.state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+  }
+
+  // Reload if the indexer has written since the last read
+  refresh() {
+    if (fs.existsSync(this.file) && fs.statSync(this.file).mtimeMs !== this.mtime) {
+      this.load();
+    }
+
+    return this;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial database
+    this.state.updatedAt = Date.now();
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.state));
+    fs.renameSync(tmpFile, this.file);
+    this.mtime = fs.statSync(this.file).mtimeMs;
+  }
+
+  reset(options) {
+    this.state = IndexerDB.emptyState(options);
+  }
+
+  // Whether the database was built for this factory and the indexer is still running
+  isReady(factory = null, maxAge = (parseInt(process.env.INDEXER_MAX_STALENESS) || 300) * 1000) {
+    const { state } = this.refresh();
+
+    if (!state.factory || state.lastBlock < state.startBlock) {
+      return false;
+    }
+
+    if (factory && state.factory.toLowerCase() !== factory.toLowerCase()) {
+      return false;
+    }
+
+    return Date.now() - state.updatedAt <= maxAge;
+  }
+
+  getStatus() {
+    const { chainId, factory, startBlock, lastBlock, updatedAt, agentOrder } = this.state;
+    return { chainId, factory, startBlock, lastBlock, updatedAt, agentCount: agentOrder.length };
+  }
+
+  // ---- Writes (indexer only) ----
+
+  // Start recording changes made by a block
+  beginBlock(number, hash) {
+    let block = this.state.blocks[this.state.blocks.length - 1];
+
+    if (!block || block.number !== number) {
+      block = { number, hash, undo: {} };
+      this.state.blocks.push(block);
+    }
+
+    return block;
+  }
+
+  // Mark a block as fully indexed (also the reference point for reorg detection)
+  checkpoint(number, hash) {
+    this.beginBlock(number, hash);
+    this.state.lastBlock = number;
+  }
+
+  getCheckpoints() {
+    return this.state.blocks.map(({ number, hash }) => ({ number, hash }));
+  }
+
+  addAgent(agent) {
+    const key = agent.address.toLowerCase();
+
+    this.recordUndo(key);
+    this.state.agents[key] = agent;
+    this.state.agentOrder.push(key);
+  }
+
+  // Get an agent for modification, saving its previous state for rollback
+  touchAgent(address) {
+    const key = address.toLowerCase();
+
+    if (!this.state.agents[key]) {
+      return null;
+    }
+
+    this.recordUndo(key);
+    return this.state.agents[key];
+  }
+
+  recordUndo(key) {
+    const block = this.state.blocks[this.state.blocks.length - 1];
+
+    if (block && !(key in block.undo)) {
+      const previous = this.state.agents[key];
+      block.undo[key] = previous ? structuredClone(previous) : null;
+    }
+  }
+
+  // Undo every block after `blockNumber`
+  rollback(blockNumber) {
+    while (this.state.blocks.length > 0 && this.state.blocks[this.state.blocks.length - 1].number > blockNumber) {
+      const block = this.state.blocks.pop();
+
+      for (const [key, previous] of Object.entries(block.undo)) {
+        if (previous) {
+          this.state.agents[key] = previous;
+        } else {
+          delete this.state.agents[key];
+          this.state.agentOrder = this.state.agentOrder.filter(address => address !== key);
+        }
+      }
+    }
+
+    this.state.lastBlock = blockNumber;
+  }
+
+  // Drop undo history older than the reorg window, keeping the latest checkpoint
+  prune(minBlock) {
+    const blocks = this.state.blocks;
+    let keep = blocks.findIndex(block => block.number >= minBlock);
+
+    if (keep === -1) {
+      keep = blocks.length - 1;
+    }
+
+    this.state.blocks = blocks.slice(Math.max(keep, 0));
+  }
+
+  // ---- Reads ----
+
+  hasAgent(address) {
+    return Boolean(this.state.agents[address.toLowerCase()]);
+  }
+
+  // Agent details in the same shape as AgentXUtils.getAgentInfo
+  getAgent(address, { memoryOffset = 0, memoryLimit = 100 } = {}) {
+    const agent = this.state.agents[address.toLowerCase()];
+
+    if (!agent) {
+      return null;
+    }
+
+    return formatAgent(agent, agent.memories.slice(memoryOffset, memoryOffset + memoryLimit));
+  }
+
+  getAgentAddresses(offset = 0, limit = 100) {
+    return this.state.agentOrder
+      .slice(offset, offset + limit)
+      .map(key => this.state.agents[key].address);
+  }
+
+  getAgentCount() {
+    return this.state.agentOrder.length;
+  }
+
+  // Agents created by an address (same semantics as AgentFactory.getUserAgents)
+  getUserAgents(creator) {
+    const key = creator.toLowerCase();
+
+    return this.state.agentOrder
+      .map(address => this.state.agents[address])
+      .filter(agent => agent.creator.toLowerCase() === key)
+      .map(agent => agent.address);
+  }
+
+  // Filter, search and sort agents (see utils/agentQuery.js); returns one page of addresses
+  queryAgents(query, offset = 0, limit = 50) {
+    const agents = this.state.agentOrder.map(key => {
+      const agent = this.state.agents[key];
+
+      return {
+        address: agent.address,
+        owner: agent.owner,
+        goal: agent.goal,
+        // Full-text search covers the off-chain response, not its URI
+        lastResponse: agent.lastResponseText ?? agent.lastResponse,
+        lastExecution: agent.lastExecution,
+        executionCount: agent.executionCount,
+        isActive: agent.isActive,
+        memoryCount: agent.memories.length
+      };
+    });
+
+    const matches = applyAgentQuery(agents, query);
+
+    return {
+      addresses: matches.slice(offset, offset + limit).map(agent => agent.address),
+      totalCount: matches.length
+    };
+  }
+
+  getMemories(address, offset = 0, limit = 100) {
+    const agent = this.state.agents[address.toLowerCase()];
+
+    if (!agent) {
+      return null;
+    }
+
+    return {
+      memories: agent.memories.slice(offset, offset + limit),
+      totalCount: agent.memories.length,
+      hasMore: offset + limit < agent.memories.length
+    };
+  }
+
+  // Aggregate figures for the monitor
+  getStats(since = 0) {
+    const agents = Object.values(this.state.agents);
+
+    return {
+      totalAgents: agents.length,
+      activeAgents: agents.filter(agent => agent.isActive).length,
+      totalExecutions: agents.reduce((sum, agent) => sum + agent.executionCount, 0),
+      recentExecutions: agents.filter(agent => agent.lastExecution > since).length
+    };
+  }
+}
+
+function formatAgent(agent, memories) {
+  return {
+    address: agent.address,
+    owner: agent.owner,
+    goal: agent.goal,
+    lastResponse: agent.lastResponse,
+    lastExecution: agent.lastExecution,
+    executionCount: agent.executionCount,
+    isActive: agent.isActive,
+    memoryCount: agent.memories.length,
+    executors: [...agent.executors],
+    schedule: { ...agent.schedule },
+    modelConfig: { ...agent.modelConfig },
+    dailyTokenLimit: agent.dailyTokenLimit ?? 0,
+    promptConfig: agent.promptConfig ?? "",
+    creditBalance: agent.creditBalance ?? "0.0",
+    memories: memories.map(memory => ({ ...memory }))
+  };
+}
+
+module.exports = IndexerDB;
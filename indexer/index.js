@@ -0,0 +1,440 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+require("dotenv").config();
+const IndexerDB = require("./IndexerDB");
+const ContentStore = require("../utils/ContentStore");
+
+// Import contract ABIs
+const AgentFactoryABI = require("../artifacts/contracts/AgentFactory.sol/AgentFactory.json").abi;
+const AgentABI = require("../artifacts/contracts/Agent.sol/Agent.json").abi;
+
+const factoryInterface = new ethers.Interface(AgentFactoryABI);
+const agentInterface = new ethers.Interface(AgentABI);
+
+// Agent events that change the indexed state
+const AGENT_EVENTS = [
+  "GoalUpdated",
+  "ResponseUpdated",
+  "MemoryStored",
+  "MemoryDeleted",
+  "AgentActivated",
+  "AgentDeactivated",
+  "ExecutorAuthorized",
+  "ExecutorRevoked",
+  "ScheduleUpdated",
+  "ModelConfigUpdated",
+  "DailyTokenLimitUpdated",
+  "PromptConfigUpdated",
+  "OwnershipTransferred",
+  "CreditsDeposited",
+  "CreditsWithdrawn",
+  "ExecutionFeeCharged"
+];
+
+/**
+ * Follows AgentFactory and Agent events into a local database (see IndexerDB)
+ * so the API and monitor can answer queries without fanning out RPC calls.
+ *
+ * Blocks are indexed from a start block in ranges up to `head - confirmations`.
+ * Before each sync the hash of the last indexed block is compared with the
+ * chain; on a mismatch the database is rolled back to the newest block that is
+ * still canonical and re-indexed from there.
+ */
+class AgentIndexer {
+  constructor({
+    db = new IndexerDB(),
+    contentStore = new ContentStore(),
+    provider = null,
+    factoryAddress = null,
+    startBlock = process.env.INDEXER_START_BLOCK,
+    confirmations = parseInt(process.env.INDEXER_CONFIRMATIONS) || 0,
+    reorgDepth = parseInt(process.env.INDEXER_REORG_DEPTH) || 64,
+    blockRange = parseInt(process.env.INDEXER_BLOCK_RANGE) || 2000,
+    pollInterval = (parseInt(process.env.INDEXER_POLL_INTERVAL) || 5) * 1000
+  } = {}) {
+    this.db = db;
+    this.provider = provider;
+    this.factoryAddress = factoryAddress;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.reorgDepth = reorgDepth;
+    this.blockRange = blockRange;
+    this.pollInterval = pollInterval;
+    this.contentStore = contentStore;
+    this.isRunning = false;
+    this.isSyncing = false;
+    this.timer = null;
+    this.topics = [
+      factoryInterface.getEvent("AgentCreated").topicHash,
+      ...AGENT_EVENTS.map(name => agentInterface.getEvent(name).topicHash)
+    ];
+  }
+
+  async init() {
+    if (!this.provider) {
+      const rpcUrl = process.env.MONARD_RPC_URL || "https://rpc.monard.network";
+      this.provider = new ethers.JsonRpcProvider(rpcUrl);
+    }
+
+    let deployment = {};
+
+    if (!this.factoryAddress || this.startBlock === undefined) {
+      try {
+        deployment = JSON.parse(fs.readFileSync("deployment.json", "utf8"));
+      } catch (error) {
+        console.error("❌ Failed to load deployment info. Run deployment first.");
+        throw error;
+      }
+    }
+
+    this.factoryAddress = ethers.getAddress(this.factoryAddress || deployment.agentFactory);
+    this.startBlock = parseInt(this.startBlock ?? deployment.deploymentBlock) || 0;
+    this.factory = new ethers.Contract(this.factoryAddress, AgentFactoryABI, this.provider);
+
+    const chainId = Number((await this.provider.getNetwork()).chainId);
+    const { state } = this.db;
+
+    // A database built for another chain, factory or start block is rebuilt from scratch
+    if (state.chainId !== chainId || state.factory !== this.factoryAddress || state.startBlock !== this.startBlock) {
+      console.log(`🗄️  Creating index for factory ${this.factoryAddress} from block ${this.startBlock}`);
+      this.db.reset({ chainId, factory: this.factoryAddress, startBlock: this.startBlock });
+      await this.bootstrap();
+      this.db.save();
+    } else {
+      console.log(`🗄️  Resuming index at block ${state.lastBlock} (${state.agentOrder.length} agents)`);
+    }
+  }
+
+  async start() {
+    console.log("🚀 Starting AgentX Indexer...");
+    await this.init();
+
+    this.isRunning = true;
+    await this.poll();
+    console.log(`⏰ Polling for new blocks every ${this.pollInterval / 1000}s`);
+  }
+
+  async poll() {
+    try {
+      await this.sync();
+    } catch (error) {
+      console.error("❌ Error while indexing:", error);
+    }
+
+    if (this.isRunning) {
+      this.timer = setTimeout(() => this.poll(), this.pollInterval);
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.timer);
+    console.log("🛑 Indexer stopped");
+  }
+
+  // Index every new block up to the confirmation depth
+  async sync() {
+    if (this.isSyncing) {
+      return;
+    }
+
+    this.isSyncing = true;
+
+    try {
+      await this.handleReorg();
+
+      const head = await this.provider.getBlockNumber();
+      const target = head - this.confirmations;
+
+      for (let from = this.db.state.lastBlock + 1; from <= target; from += this.blockRange) {
+        const to = Math.min(from + this.blockRange - 1, target);
+        await this.indexRange(from, to);
+        this.db.prune(to - this.reorgDepth);
+        this.db.save();
+      }
+
+      // Heartbeat, so readers can tell the index is live
+      this.db.save();
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  async indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ fromBlock, toBlock, topics: [this.topics] });
+
+    for (const log of logs) {
+      this.db.beginBlock(log.blockNumber, log.blockHash);
+      await this.applyLog(log);
+    }
+
+    const block = await this.provider.getBlock(toBlock);
+    this.db.checkpoint(toBlock, block.hash);
+
+    if (logs.length > 0) {
+      console.log(`📦 Indexed blocks ${fromBlock}-${toBlock}: ${logs.length} events`);
+    }
+  }
+
+  // Roll back to the newest indexed block that is still on the canonical chain
+  async handleReorg() {
+    const checkpoints = this.db.getCheckpoints().reverse();
+
+    for (let i = 0; i < checkpoints.length; i++) {
+      const { number, hash } = checkpoints[i];
+      const block = await this.provider.getBlock(number);
+
+      if (block && block.hash === hash) {
+        if (i > 0) {
+          console.log(`🔀 Reorg detected, rolling back to block ${number}`);
+          this.db.rollback(number);
+          this.db.save();
+        }
+        return;
+      }
+    }
+
+    if (checkpoints.length > 0) {
+      console.log(`🔀 Reorg deeper than ${this.reorgDepth} blocks, rebuilding index`);
+      const { chainId, factory, startBlock } = this.db.state;
+      this.db.reset({ chainId, factory, startBlock });
+      await this.bootstrap();
+      this.db.save();
+    }
+  }
+
+  // Load agents created before the start block directly from the chain
+  async bootstrap() {
+    if (this.startBlock === 0) {
+      return;
+    }
+
+    const blockTag = this.startBlock - 1;
+    const count = Number(await this.factory.getAgentCount({ blockTag }));
+
+    if (count === 0) {
+      return;
+    }
+
+    console.log(`📥 Loading ${count} agents that existed at block ${blockTag}`);
+    const block = await this.provider.getBlock(blockTag);
+    this.db.checkpoint(blockTag, block.hash);
+
+    for (let offset = 0; offset < count; offset += 100) {
+      const addresses = await this.factory.getAgents(offset, 100, { blockTag });
+
+      for (const address of addresses) {
+        const agent = await this.loadAgent(address, blockTag);
+        agent.lastResponseText = await this.resolveText(agent.lastResponse);
+        this.db.addAgent(agent);
+      }
+    }
+  }
+
+  async loadAgent(address, blockTag) {
+    const agent = new ethers.Contract(address, AgentABI, this.provider);
+    const [owner, goal, lastResponse, lastExecution, execCount, isActive] = await agent.getAgentInfo({ blockTag });
+    const [interval, cronSchedule] = await agent.getSchedule({ blockTag });
+    const modelConfig = await agent.getModelConfig({ blockTag });
+    const executors = await agent.getExecutors({ blockTag });
+    const memories = await agent.getAllMemories({ blockTag });
+    const creditBalance = await agent.creditBalance({ blockTag });
+    const dailyTokenLimit = await agent.dailyTokenLimit({ blockTag });
+    const promptConfig = await agent.promptConfig({ blockTag });
+
+    return {
+      address: ethers.getAddress(address),
+      owner,
+      creator: owner,
+      goal,
+      lastResponse,
+      lastExecution: Number(lastExecution),
+      executionCount: Number(execCount),
+      isActive,
+      executors: [...executors],
+      schedule: { interval: Number(interval), cron: cronSchedule },
+      modelConfig: {
+        provider: modelConfig.provider,
+        model: modelConfig.model,
+        maxTokens: Number(modelConfig.maxTokens),
+        temperature: Number(modelConfig.temperature) / 100
+      },
+      dailyTokenLimit: Number(dailyTokenLimit),
+      promptConfig,
+      memories: memories.map(memory => ({ key: memory.key, value: memory.value, timestamp: Number(memory.timestamp) })),
+      creditBalance: ethers.formatEther(creditBalance),
+      createdAt: null
+    };
+  }
+
+  async applyLog(log) {
+    if (log.address.toLowerCase() === this.factoryAddress.toLowerCase()) {
+      const { name, args } = factoryInterface.parseLog(log);
+
+      if (name === "AgentCreated") {
+        this.db.addAgent({
+          address: args.agent,
+          owner: args.owner,
+          creator: args.owner,
+          goal: args.goal,
+          lastResponse: "",
+          lastResponseText: "",
+          lastExecution: Number(args.timestamp),
+          executionCount: 0,
+          isActive: true,
+          executors: [],
+          schedule: { interval: 0, cron: "" },
+          modelConfig: { provider: "", model: "", maxTokens: 0, temperature: 0 },
+          dailyTokenLimit: 0,
+          promptConfig: "",
+          memories: [],
+          creditBalance: "0.0",
+          createdAt: Number(args.timestamp)
+        });
+      }
+
+      return;
+    }
+
+    // Events with the same signature from contracts that are not our agents are ignored
+    const agent = this.db.touchAgent(log.address);
+
+    if (!agent) {
+      return;
+    }
+
+    const { name, args } = agentInterface.parseLog(log);
+    applyAgentEvent(agent, name, args);
+
+    if (name === "ResponseUpdated") {
+      agent.lastResponseText = await this.resolveText(agent.lastResponse);
+    }
+  }
+
+  // Text used for full-text search: off-chain content for ipfs:// URIs (null if unavailable)
+  async resolveText(value) {
+    if (!ContentStore.isContentURI(value)) {
+      return value;
+    }
+
+    try {
+      return await this.contentStore.get(value);
+    } catch (error) {
+      console.warn(`⚠️  Could not resolve ${value}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+// Mirror the state change the Agent contract made when it emitted the event
+function applyAgentEvent(agent, name, args) {
+  switch (name) {
+    case "GoalUpdated":
+      agent.goal = args.newGoal;
+      break;
+
+    case "ResponseUpdated":
+      agent.lastResponse = args.response;
+      agent.lastExecution = Number(args.timestamp);
+      agent.executionCount++;
+      break;
+
+    case "MemoryStored": {
+      const memory = agent.memories.find(entry => entry.key === args.key);
+
+      if (memory) {
+        memory.value = args.value;
+        memory.timestamp = Number(args.timestamp);
+      } else {
+        agent.memories.push({ key: args.key, value: args.value, timestamp: Number(args.timestamp) });
+      }
+      break;
+    }
+
+    case "MemoryDeleted": {
+      // Same swap-and-pop as the contract, so memory order (and pagination) matches
+      const index = agent.memories.findIndex(entry => entry.key === args.key);
+
+      if (index !== -1) {
+        agent.memories[index] = agent.memories[agent.memories.length - 1];
+        agent.memories.pop();
+      }
+      break;
+    }
+
+    case "AgentActivated":
+      agent.isActive = true;
+      break;
+
+    case "AgentDeactivated":
+      agent.isActive = false;
+      break;
+
+    case "ExecutorAuthorized":
+      agent.executors.push(args.executor);
+      break;
+
+    case "ExecutorRevoked": {
+      const index = agent.executors.indexOf(args.executor);
+
+      if (index !== -1) {
+        agent.executors[index] = agent.executors[agent.executors.length - 1];
+        agent.executors.pop();
+      }
+      break;
+    }
+
+    case "ScheduleUpdated":
+      agent.schedule = { interval: Number(args.executionInterval), cron: args.cronSchedule };
+      break;
+
+    case "ModelConfigUpdated":
+      agent.modelConfig = {
+        provider: args.provider,
+        model: args.model,
+        maxTokens: Number(args.maxTokens),
+        temperature: Number(args.temperature) / 100
+      };
+      break;
+
+    case "DailyTokenLimitUpdated":
+      agent.dailyTokenLimit = Number(args.limit);
+      break;
+
+    case "PromptConfigUpdated":
+      agent.promptConfig = args.promptConfig;
+      break;
+
+    case "OwnershipTransferred":
+      agent.owner = args.newOwner;
+      break;
+
+    case "CreditsDeposited":
+    case "CreditsWithdrawn":
+    case "ExecutionFeeCharged":
+      agent.creditBalance = ethers.formatEther(args.balance);
+      break;
+  }
+}
+
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+  console.log('\n🛑 Received SIGINT, shutting down indexer...');
+  process.exit(0);
+});
+
+process.on('SIGTERM', () => {
+  console.log('\n🛑 Received SIGTERM, shutting down indexer...');
+  process.exit(0);
+});
+
+// Start the indexer if run directly
+if (require.main === module) {
+  const indexer = new AgentIndexer();
+  indexer.start().catch((error) => {
+    console.error("❌ Failed to start indexer:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = AgentIndexer;
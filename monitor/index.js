@@ -1,10 +1,12 @@
 const AgentXUtils = require("../utils/AgentXUtils");
+const IndexerDB = require("../indexer/IndexerDB");
 const fs = require("fs");
 const path = require("path");
 
 class AgentMonitor {
   constructor() {
     this.utils = new AgentXUtils();
+    this.utils.useIndex(new IndexerDB()); // Scan the indexer's database instead of RPC when available
     this.monitoringInterval = 30000; // 30 seconds
     this.logFile = path.join(__dirname, "../logs/monitor.log");
     this.isRunning = false;
@@ -62,8 +64,9 @@ class AgentMonitor {
     try {
       const result = await this.utils.getAllAgents(0, 1000); // Monitor up to 1000 agents
       
-      this.log(`📊 Scanning ${result.agents.length} agents...`);
+      this.log(`📊 Scanning ${result.agents.length} agents${this.utils.readIndex() ? " (from index)" : ""}...`);
       
+      const agents = [];
       let activeAgents = 0;
       let totalExecutions = 0;
       let recentExecutions = 0;
@@ -73,6 +76,7 @@ class AgentMonitor {
       for (const agentAddress of result.agents) {
         try {
           const agentInfo = await this.utils.getAgentInfo(agentAddress);
+          agents.push(agentInfo);
           
           if (agentInfo.isActive) {
             activeAgents++;
@@ -92,14 +96,22 @@ class AgentMonitor {
         }
       }
       
+      // Active agents whose executors won't run them until they are topped up
+      const outOfCredit = await this.utils.findOutOfCreditAgents(agents);
+      
+      for (const credits of outOfCredit) {
+        this.log(`💸 Agent ${credits.agentAddress} is out of credit (${credits.creditBalance} ETH left)`);
+      }
+      
       // Log summary
-      this.log(`📈 Summary: ${result.totalCount} total, ${activeAgents} active, ${totalExecutions} total executions, ${recentExecutions} recent executions`);
+      this.log(`📈 Summary: ${result.totalCount} total, ${activeAgents} active, ${outOfCredit.length} out of credit, ${totalExecutions} total executions, ${recentExecutions} recent executions`);
       
       // Save monitoring data
       await this.saveMonitoringData({
         timestamp: currentTime,
         totalAgents: result.totalCount,
         activeAgents,
+        outOfCreditAgents: outOfCredit.length,
         totalExecutions,
         recentExecutions
       });
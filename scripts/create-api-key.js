@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+// Create an API key for a service account.
+//
+//   npm run apikey -- <name> --server            # acts as the server wallet (PRIVATE_KEY)
+//   npm run apikey -- <name> --key-env <ENV_VAR> # signs with the key in ENV_VAR
+//   npm run apikey -- <name> --address <0x...>   # identity only; the server cannot sign for it
+//
+// The key is printed once; only its hash is stored in the API keys file.
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { AuthManager } = require("../api/auth");
+require("dotenv").config();
+
+function usage(message) {
+  console.error(`❌ ${message}`);
+  console.error("Usage: npm run apikey -- <name> (--server | --key-env <ENV_VAR> | --address <0x...>)");
+  process.exit(1);
+}
+
+function main() {
+  const [name, option, value] = process.argv.slice(2);
+
+  if (!name || name.startsWith("--")) {
+    usage("A name is required");
+  }
+
+  const entry = { name };
+
+  if (option === "--server") {
+    if (!process.env.PRIVATE_KEY) {
+      usage("PRIVATE_KEY is not set");
+    }
+    entry.address = new ethers.Wallet(process.env.PRIVATE_KEY).address;
+  } else if (option === "--key-env") {
+    if (!value || !process.env[value]) {
+      usage(`Environment variable ${value || "<ENV_VAR>"} is not set`);
+    }
+    entry.address = new ethers.Wallet(process.env[value]).address;
+    entry.privateKeyEnv = value;
+  } else if (option === "--address") {
+    if (!ethers.isAddress(value)) {
+      usage("--address must be an address");
+    }
+    entry.address = ethers.getAddress(value);
+  } else {
+    usage("Choose how the account signs");
+  }
+
+  const auth = new AuthManager();
+  const file = auth.apiKeysFile;
+  const data = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { keys: [] };
+
+  if (data.keys.some(key => key.name === name)) {
+    usage(`An API key named "${name}" already exists`);
+  }
+
+  const key = AuthManager.generateApiKey();
+  data.keys.push({ ...entry, keyHash: AuthManager.hashApiKey(key), createdAt: new Date().toISOString() });
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+
+  console.log(`🔑 API key for "${name}" (${entry.address}):`);
+  console.log(`\n   ${key}\n`);
+  console.log("⚠️  Store it now - it cannot be shown again. Send it in the X-API-Key header.");
+}
+
+main();
@@ -17,6 +17,7 @@ async function main() {
   
   await agentFactory.waitForDeployment();
   const factoryAddress = await agentFactory.getAddress();
+  const deploymentReceipt = await agentFactory.deploymentTransaction().wait();
   
   console.log("✅ AgentFactory deployed to:", factoryAddress);
   
@@ -46,6 +47,7 @@ async function main() {
     network: (await ethers.provider.getNetwork()).name,
     chainId: (await ethers.provider.getNetwork()).chainId,
     agentFactory: factoryAddress,
+    deploymentBlock: deploymentReceipt.blockNumber, // Indexer start block
     testAgent: userAgents[0],
     deployer: deployer.address,
     timestamp: new Date().toISOString()
@@ -1,11 +1,22 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { buildCallIntent, buildCreateAgentIntent } = require("../utils/intents");
 
 describe("AgentX", function () {
   let AgentFactory, agentFactory;
   let Agent, agent;
   let owner, addr1, addr2;
 
+  async function deadlineIn(seconds) {
+    const block = await ethers.provider.getBlock("latest");
+    return block.timestamp + seconds;
+  }
+
+  async function signIntent(signer, intent) {
+    return signer.signTypedData(intent.domain, intent.types, intent.message);
+  }
+
   beforeEach(async function () {
     // Get signers
     [owner, addr1, addr2] = await ethers.getSigners();
@@ -21,6 +32,21 @@ describe("AgentX", function () {
       expect(await agentFactory.getAgentCount()).to.equal(0);
     });
 
+    it("Should deploy agents as clones of a locked implementation", async function () {
+      const implementation = await ethers.getContractFactory("Agent");
+      const agentImplementation = implementation.attach(await agentFactory.agentImplementation());
+      
+      await expect(agentImplementation.initialize(owner.address, "Hijacked")).to.be.revertedWith("Already initialized");
+      
+      await agentFactory.createAgent("Cloned agent");
+      const [agentAddress] = await agentFactory.getUserAgents(owner.address);
+      const clone = implementation.attach(agentAddress);
+      
+      expect((await ethers.provider.getCode(agentAddress)).length).to.be.below(100);
+      expect(await clone.goal()).to.equal("Cloned agent");
+      await expect(clone.initialize(addr1.address, "Hijacked")).to.be.revertedWith("Already initialized");
+    });
+
     it("Should create a new agent", async function () {
       const goal = "Test AI agent goal";
       
@@ -59,6 +85,70 @@ describe("AgentX", function () {
       expect(addr2Agents.length).to.equal(1);
     });
 
+    it("Should create an agent with authorized executors", async function () {
+      await agentFactory.createAgentWithExecutors("Shared executor agent", [addr1.address]);
+      
+      const userAgents = await agentFactory.getUserAgents(owner.address);
+      Agent = await ethers.getContractFactory("Agent");
+      const newAgent = Agent.attach(userAgents[0]);
+      
+      expect(await newAgent.owner()).to.equal(owner.address);
+      expect(await newAgent.isExecutor(addr1.address)).to.be.true;
+      expect(await newAgent.getExecutors()).to.deep.equal([addr1.address]);
+    });
+
+    it("Should create an agent from a signed intent", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const intent = buildCreateAgentIntent({
+        owner: addr1.address,
+        factory: await agentFactory.getAddress(),
+        chainId,
+        goal: "Gasless agent",
+        executors: [owner.address],
+        nonce: await agentFactory.nonces(addr1.address),
+        deadline: await deadlineIn(3600)
+      });
+      const signature = await signIntent(addr1, intent);
+      const { goal, executors, deadline } = intent.message;
+      
+      // Anyone can relay the owner's signed request and pay the gas
+      await expect(agentFactory.connect(addr2).createAgentBySig(addr1.address, goal, executors, deadline, signature))
+        .to.emit(agentFactory, "AgentCreated")
+        .withArgs(anyValue, addr1.address, "Gasless agent", anyValue);
+      
+      const [agentAddress] = await agentFactory.getUserAgents(addr1.address);
+      const newAgent = await ethers.getContractAt("Agent", agentAddress);
+      expect(await newAgent.owner()).to.equal(addr1.address);
+      expect(await newAgent.getExecutors()).to.deep.equal([owner.address]);
+      expect(await agentFactory.nonces(addr1.address)).to.equal(1);
+      
+      // The nonce is used up, so the signature can't be replayed
+      await expect(agentFactory.connect(addr2).createAgentBySig(addr1.address, goal, executors, deadline, signature))
+        .to.be.revertedWith("Invalid signature");
+      
+      // Signed fields can't be changed
+      const next = { ...intent, message: { ...intent.message, nonce: "1" } };
+      const nextSignature = await signIntent(addr1, next);
+      await expect(agentFactory.connect(addr2).createAgentBySig(addr1.address, "Other goal", executors, deadline, nextSignature))
+        .to.be.revertedWith("Invalid signature");
+    });
+
+    it("Should reject expired agent creation intents", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const deadline = await deadlineIn(-1);
+      const intent = buildCreateAgentIntent({
+        owner: addr1.address,
+        factory: await agentFactory.getAddress(),
+        chainId,
+        goal: "Too late",
+        nonce: 0,
+        deadline
+      });
+      
+      await expect(agentFactory.createAgentBySig(addr1.address, "Too late", [], deadline, await signIntent(addr1, intent)))
+        .to.be.revertedWith("Intent expired");
+    });
+
     it("Should return paginated agents", async function () {
       // Create 5 agents
       for (let i = 0; i < 5; i++) {
@@ -155,6 +245,263 @@ describe("AgentX", function () {
       expect(memories.length).to.equal(1); // Should not create duplicate
     });
 
+    it("Should delete memories", async function () {
+      await agent.storeMemory("first", "1");
+      await agent.storeMemory("second", "2");
+      await agent.storeMemory("third", "3");
+      
+      await expect(agent.deleteMemory("first"))
+        .to.emit(agent, "MemoryDeleted")
+        .withArgs("first", anyValue);
+      
+      const [deletedValue, deletedTimestamp] = await agent.getMemory("first");
+      expect(deletedValue).to.equal("");
+      expect(deletedTimestamp).to.equal(0);
+      
+      // The last memory takes the freed slot and stays addressable by key
+      const memories = await agent.getAllMemories();
+      expect(memories.map(memory => memory.key)).to.deep.equal(["third", "second"]);
+      
+      const [thirdValue] = await agent.getMemory("third");
+      expect(thirdValue).to.equal("3");
+      
+      // Updating a moved memory should not create a duplicate
+      await agent.storeMemory("third", "3b");
+      expect((await agent.getAllMemories()).length).to.equal(2);
+      
+      // Deleted keys can be stored again
+      await agent.storeMemory("first", "1b");
+      const [restoredValue] = await agent.getMemory("first");
+      expect(restoredValue).to.equal("1b");
+    });
+
+    it("Should reject deleting unknown memories", async function () {
+      await expect(agent.deleteMemory("missing"))
+        .to.be.revertedWith("Memory not found");
+      
+      await agent.storeMemory("key", "value");
+      await expect(agent.connect(addr1).deleteMemory("key"))
+        .to.be.revertedWith("Only owner, factory or executor can call this function");
+    });
+
+    it("Should return paginated memories", async function () {
+      for (let i = 0; i < 5; i++) {
+        await agent.storeMemory(`key_${i}`, `value_${i}`);
+      }
+      
+      const firstTwo = await agent.getMemories(0, 2);
+      const lastOne = await agent.getMemories(4, 2);
+      const pastEnd = await agent.getMemories(10, 2);
+      
+      expect(firstTwo.map(memory => memory.key)).to.deep.equal(["key_0", "key_1"]);
+      expect(lastOne.map(memory => memory.key)).to.deep.equal(["key_4"]);
+      expect(pastEnd.length).to.equal(0);
+    });
+
+    it("Should record a response and memories in one transaction", async function () {
+      const promptHash = ethers.id("prompt");
+      const tx = agent.recordExecution("Batched response", ethers.ZeroHash, promptHash, "", "gpt-4", ["summary", "topic"], ["DAO digest", "DAO"]);
+      
+      await expect(tx).to.emit(agent, "ResponseUpdated");
+      await expect(tx).to.emit(agent, "MemoryStored").withArgs("summary", "DAO digest", anyValue);
+      await expect(tx).to.emit(agent, "MemoryStored").withArgs("topic", "DAO", anyValue);
+      
+      const agentInfo = await agent.getAgentInfo();
+      expect(agentInfo[2]).to.equal("Batched response");
+      expect(agentInfo[4]).to.equal(1); // executionCount
+      expect(agentInfo[6]).to.equal(2); // memoryCount
+      
+      const [topic] = await agent.getMemory("topic");
+      expect(topic).to.equal("DAO");
+    });
+
+    it("Should store a structured execution record", async function () {
+      const promptHash = ethers.id("prompt");
+      
+      await expect(agent.recordExecution("First response", ethers.ZeroHash, promptHash, "", "gpt-4", [], []))
+        .to.emit(agent, "ExecutionRecorded")
+        .withArgs(0, owner.address, promptHash, ethers.id("First response"), "gpt-4", anyValue);
+      
+      const record = await agent.getExecution(0);
+      expect(record.index).to.equal(0);
+      expect(record.promptHash).to.equal(promptHash);
+      expect(record.responseHash).to.equal(ethers.id("First response"));
+      expect(record.model).to.equal("gpt-4");
+      expect(record.executor).to.equal(owner.address);
+      expect(record.timestamp).to.be.gt(0);
+      expect(record.responseURI).to.equal("");
+      
+      // Execution records do not pollute memories
+      expect((await agent.getAllMemories()).length).to.equal(0);
+    });
+
+    it("Should store only the URI and hash of off-chain content", async function () {
+      const responseURI = "ipfs://bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy";
+      const promptURI = "ipfs://bafkreibm6jg3ux5qumhcn2b3flc3tyu6dmlb4xa7u5bf44yegnrjhc4yeq";
+      const responseHash = ethers.id("Full response stored off-chain");
+      
+      await expect(agent.recordExecution(responseURI, responseHash, ethers.id("prompt"), promptURI, "gpt-4", [], []))
+        .to.emit(agent, "ExecutionRecorded")
+        .withArgs(0, owner.address, ethers.id("prompt"), responseHash, "gpt-4", anyValue);
+      
+      expect(await agent.lastResponse()).to.equal(responseURI);
+      
+      const record = await agent.getExecution(0);
+      expect(record.responseHash).to.equal(responseHash);
+      expect(record.responseURI).to.equal(responseURI);
+      expect(record.promptURI).to.equal(promptURI);
+    });
+
+    it("Should keep one execution record per response", async function () {
+      await agent.authorizeExecutor(addr1.address);
+      
+      await agent.storeResponse("Plain response");
+      await agent.connect(addr1).recordExecution("Executor response", ethers.ZeroHash, ethers.id("p"), "", "mock-1", [], []);
+      await agent.storeResponse("Another response");
+      
+      expect(await agent.executionCount()).to.equal(3);
+      
+      const records = await agent.getExecutions(0, 10);
+      expect(records.map(record => record.index)).to.deep.equal([0n, 1n, 2n]);
+      expect(records[0].promptHash).to.equal(ethers.ZeroHash);
+      expect(records[1].executor).to.equal(addr1.address);
+      
+      const lastTwo = await agent.getExecutions(1, 2);
+      expect(lastTwo.map(record => record.model)).to.deep.equal(["mock-1", ""]);
+      expect((await agent.getExecutions(5, 2)).length).to.equal(0);
+      
+      await expect(agent.getExecution(3))
+        .to.be.revertedWith("Execution not found");
+    });
+
+    it("Should reject mismatched batch memory updates", async function () {
+      await expect(agent.recordExecution("Response", ethers.ZeroHash, ethers.ZeroHash, "", "", ["a", "b"], ["only one"]))
+        .to.be.revertedWith("Keys and values length mismatch");
+      
+      await expect(agent.connect(addr1).recordExecution("Response", ethers.ZeroHash, ethers.ZeroHash, "", "", [], []))
+        .to.be.revertedWith("Only owner, factory or executor can call this function");
+    });
+
+    it("Should not allow unauthorized addresses to store responses or memories", async function () {
+      await expect(agent.connect(addr1).storeResponse("Unauthorized"))
+        .to.be.revertedWith("Only owner, factory or executor can call this function");
+      
+      await expect(agent.connect(addr1).storeMemory("key", "value"))
+        .to.be.revertedWith("Only owner, factory or executor can call this function");
+    });
+
+    it("Should allow owner to authorize and revoke executors", async function () {
+      await expect(agent.authorizeExecutor(addr1.address))
+        .to.emit(agent, "ExecutorAuthorized")
+        .withArgs(addr1.address, anyValue);
+      
+      expect(await agent.canExecute(addr1.address)).to.be.true;
+      
+      await agent.connect(addr1).storeResponse("Executor response");
+      await agent.connect(addr1).storeMemory("executor_key", "executor value");
+      expect(await agent.lastResponse()).to.equal("Executor response");
+      
+      await expect(agent.revokeExecutor(addr1.address))
+        .to.emit(agent, "ExecutorRevoked")
+        .withArgs(addr1.address, anyValue);
+      
+      expect(await agent.canExecute(addr1.address)).to.be.false;
+      expect(await agent.getExecutors()).to.deep.equal([]);
+      
+      await expect(agent.connect(addr1).storeResponse("Revoked response"))
+        .to.be.revertedWith("Only owner, factory or executor can call this function");
+    });
+
+    it("Should track multiple executors", async function () {
+      await agent.authorizeExecutor(addr1.address);
+      await agent.authorizeExecutor(addr2.address);
+      
+      await agent.revokeExecutor(addr1.address);
+      
+      expect(await agent.getExecutors()).to.deep.equal([addr2.address]);
+      expect(await agent.canExecute(addr2.address)).to.be.true;
+    });
+
+    it("Should not allow non-owner to manage executors", async function () {
+      await expect(agent.connect(addr1).authorizeExecutor(addr1.address))
+        .to.be.revertedWith("Only owner or factory can call this function");
+      
+      await agent.authorizeExecutor(addr2.address);
+      
+      // Executors cannot manage other executors
+      await expect(agent.connect(addr2).revokeExecutor(addr2.address))
+        .to.be.revertedWith("Only owner or factory can call this function");
+    });
+
+    it("Should reject invalid executor changes", async function () {
+      await expect(agent.authorizeExecutor(ethers.ZeroAddress))
+        .to.be.revertedWith("Executor cannot be zero address");
+      
+      await agent.authorizeExecutor(addr1.address);
+      await expect(agent.authorizeExecutor(addr1.address))
+        .to.be.revertedWith("Executor already authorized");
+      
+      await expect(agent.revokeExecutor(addr2.address))
+        .to.be.revertedWith("Executor not authorized");
+    });
+
+    it("Should allow owner to set an execution schedule", async function () {
+      await expect(agent.setSchedule(86400, "0 9 * * *"))
+        .to.emit(agent, "ScheduleUpdated")
+        .withArgs(86400, "0 9 * * *", anyValue);
+      
+      const [interval, cron] = await agent.getSchedule();
+      expect(interval).to.equal(86400);
+      expect(cron).to.equal("0 9 * * *");
+    });
+
+    it("Should not allow non-owner to set schedule", async function () {
+      await expect(agent.connect(addr1).setSchedule(60, ""))
+        .to.be.revertedWith("Only owner can call this function");
+    });
+
+    it("Should allow owner to set model config", async function () {
+      await expect(agent.setModelConfig("local", "llama3", 800, 20))
+        .to.emit(agent, "ModelConfigUpdated")
+        .withArgs("local", "llama3", 800, 20, anyValue);
+      
+      const modelConfig = await agent.getModelConfig();
+      expect(modelConfig.provider).to.equal("local");
+      expect(modelConfig.model).to.equal("llama3");
+      expect(modelConfig.maxTokens).to.equal(800);
+      expect(modelConfig.temperature).to.equal(20);
+    });
+
+    it("Should reject invalid model config", async function () {
+      await expect(agent.setModelConfig("openai", "gpt-4", 500, 201))
+        .to.be.revertedWith("Temperature must be between 0 and 200");
+      
+      await expect(agent.connect(addr1).setModelConfig("mock", "", 0, 0))
+        .to.be.revertedWith("Only owner can call this function");
+    });
+
+    it("Should allow owner to set a daily token limit", async function () {
+      await expect(agent.setDailyTokenLimit(20000))
+        .to.emit(agent, "DailyTokenLimitUpdated")
+        .withArgs(20000, anyValue);
+      expect(await agent.dailyTokenLimit()).to.equal(20000);
+      
+      await expect(agent.connect(addr1).setDailyTokenLimit(0))
+        .to.be.revertedWith("Only owner can call this function");
+    });
+
+    it("Should allow owner to set a prompt config", async function () {
+      const config = JSON.stringify({ name: "digest", systemPrompt: "Be brief." });
+      
+      await expect(agent.setPromptConfig(config))
+        .to.emit(agent, "PromptConfigUpdated")
+        .withArgs(config, anyValue);
+      expect(await agent.promptConfig()).to.equal(config);
+      
+      await expect(agent.connect(addr1).setPromptConfig(""))
+        .to.be.revertedWith("Only owner can call this function");
+    });
+
     it("Should allow activating/deactivating agent", async function () {
       await expect(agent.setActive(false))
         .to.emit(agent, "AgentDeactivated");
@@ -170,7 +517,9 @@ describe("AgentX", function () {
     });
 
     it("Should allow ownership transfer", async function () {
-      await agent.transferOwnership(addr1.address);
+      await expect(agent.transferOwnership(addr1.address))
+        .to.emit(agent, "OwnershipTransferred")
+        .withArgs(owner.address, addr1.address, anyValue);
       
       const agentInfo = await agent.getAgentInfo();
       expect(agentInfo[0]).to.equal(addr1.address);
@@ -184,6 +533,353 @@ describe("AgentX", function () {
       expect(await agent.goal()).to.equal("New owner's goal");
     });
 
+    describe("Signed intents", function () {
+      async function callIntent(signer, method, args, deadline) {
+        const { chainId } = await ethers.provider.getNetwork();
+        return buildCallIntent({
+          signer: signer.address,
+          agent: agentAddress,
+          chainId,
+          data: agent.interface.encodeFunctionData(method, args),
+          nonce: await agent.nonces(signer.address),
+          deadline: deadline ?? await deadlineIn(3600)
+        });
+      }
+      
+      async function relay(intent, signature, relayer = addr2) {
+        const { data, deadline } = intent.message;
+        return agent.connect(relayer).executeBySig(intent.signer, data, deadline, signature);
+      }
+      
+      it("Should execute calls signed by the owner", async function () {
+        const intent = await callIntent(owner, "updateGoal", ["Signed goal"]);
+        const signature = await signIntent(owner, intent);
+        
+        await expect(relay(intent, signature))
+          .to.emit(agent, "GoalUpdated").withArgs("Signed goal", anyValue)
+          .and.to.emit(agent, "IntentExecuted").withArgs(owner.address, 0, anyValue);
+        
+        expect(await agent.goal()).to.equal("Signed goal");
+        expect(await agent.nonces(owner.address)).to.equal(1);
+        
+        await expect(relay(intent, signature)).to.be.revertedWith("Invalid signature");
+      });
+      
+      it("Should run signed calls with the signer's permissions", async function () {
+        // Only the owner and executors can sign calls
+        const goalIntent = await callIntent(addr1, "updateGoal", ["Hijacked"]);
+        await expect(relay(goalIntent, await signIntent(addr1, goalIntent)))
+          .to.be.revertedWith("Signer cannot call this agent");
+        
+        // An executor's signature is valid but the call itself is not allowed
+        await agent.authorizeExecutor(addr1.address);
+        await expect(relay(goalIntent, await signIntent(addr1, goalIntent)))
+          .to.be.revertedWith("Only owner can call this function");
+        
+        // Executors sign their own writes, and are recorded as the executor
+        const recordIntent = await callIntent(addr1, "recordExecution", [
+          "Signed response", ethers.ZeroHash, ethers.ZeroHash, "", "mock-1", ["topic"], ["DAO"]
+        ]);
+        await relay(recordIntent, await signIntent(addr1, recordIntent));
+        
+        const [record] = await agent.getExecutions(0, 1);
+        expect(record.executor).to.equal(addr1.address);
+        expect(await agent.lastResponse()).to.equal("Signed response");
+      });
+      
+      it("Should reject forged and expired signatures", async function () {
+        const intent = await callIntent(owner, "setActive", [false]);
+        
+        // Signed by someone else on the owner's behalf
+        await expect(relay(intent, await signIntent(addr1, intent))).to.be.revertedWith("Invalid signature");
+        await expect(relay(intent, "0x1234")).to.be.revertedWith("Invalid signature");
+        
+        const expired = await callIntent(owner, "setActive", [false], await deadlineIn(-1));
+        await expect(relay(expired, await signIntent(owner, expired))).to.be.revertedWith("Intent expired");
+        
+        expect(await agent.isActive()).to.be.true;
+      });
+    });
+
+    describe("Actions", function () {
+      const TRANSFER = "0x00000000";
+      let target;
+      let storeMemory;
+      
+      beforeEach(async function () {
+        // Another agent, which lets this one write its memory
+        await agentFactory.connect(addr1).createAgent("Target agent");
+        const [targetAddress] = await agentFactory.getUserAgents(addr1.address);
+        target = Agent.attach(targetAddress).connect(addr1);
+        await target.authorizeExecutor(agentAddress);
+        
+        storeMemory = target.interface.getFunction("storeMemory").selector;
+        await agent.authorizeExecutor(addr2.address);
+        await agent.setAutonomousActions(true);
+      });
+      
+      it("Should execute allowed calls from the agent's address", async function () {
+        await expect(agent.setActionPermission(target.target, storeMemory, true))
+          .to.emit(agent, "ActionPermissionUpdated")
+          .withArgs(target.target, storeMemory, true, anyValue);
+        
+        const data = target.interface.encodeFunctionData("storeMemory", ["source", "agent"]);
+        await expect(agent.connect(addr2).executeAction(target.target, data, 0))
+          .to.emit(agent, "ActionExecuted")
+          .withArgs(addr2.address, target.target, storeMemory, 0, data, anyValue);
+        
+        const [value] = await target.getMemory("source");
+        expect(value).to.equal("agent");
+        
+        // Failing calls revert with the target's reason
+        await agent.setActionPermission(target.target, target.interface.getFunction("updateGoal").selector, true);
+        const goalData = target.interface.encodeFunctionData("updateGoal", ["Hijacked"]);
+        await expect(agent.connect(addr2).executeAction(target.target, goalData, 0))
+          .to.be.revertedWith("Only owner can call this function");
+      });
+      
+      it("Should reject calls the owner did not allow", async function () {
+        const data = target.interface.encodeFunctionData("storeMemory", ["source", "agent"]);
+        
+        await expect(agent.connect(addr2).executeAction(target.target, data, 0)).to.be.revertedWith("Action not allowed");
+        await expect(agent.connect(addr1).executeAction(target.target, data, 0))
+          .to.be.revertedWith("Only owner, factory or executor can call this function");
+        await expect(agent.connect(addr2).setActionPermission(target.target, storeMemory, true))
+          .to.be.revertedWith("Only owner can call this function");
+        await expect(agent.setActionPermission(agentAddress, storeMemory, true)).to.be.revertedWith("Agent cannot call itself");
+        
+        await agent.setActionPermission(target.target, storeMemory, true);
+        await agent.setActionPermission(addr1.address, TRANSFER, true);
+        await agent.setActionPermission(target.target, storeMemory, false);
+        
+        expect(await agent.isActionAllowed(target.target, storeMemory)).to.be.false;
+        expect((await agent.getAllowedActions()).map(action => [action.target, action.selector]))
+          .to.deep.equal([[addr1.address, TRANSFER]]);
+        await expect(agent.connect(addr2).executeAction(target.target, data, 0)).to.be.revertedWith("Action not allowed");
+        
+        // Inactive agents don't act
+        await agent.setActionPermission(target.target, storeMemory, true);
+        await agent.setActive(false);
+        await expect(agent.connect(addr2).executeAction(target.target, data, 0)).to.be.revertedWith("Agent is not active");
+      });
+      
+      it("Should enforce spending caps", async function () {
+        await owner.sendTransaction({ to: agentAddress, value: ethers.parseEther("2") });
+        await agent.setActionPermission(addr1.address, TRANSFER, true);
+        
+        const send = (ether) => agent.connect(addr2).executeAction(addr1.address, "0x", ethers.parseEther(ether));
+        
+        // Nothing can be spent until the owner sets limits
+        await expect(send("0.1")).to.be.revertedWith("Exceeds max action value");
+        
+        await expect(agent.setSpendingLimits(ethers.parseEther("0.5"), ethers.parseEther("0.8")))
+          .to.emit(agent, "SpendingLimitsUpdated");
+        await expect(send("0.6")).to.be.revertedWith("Exceeds max action value");
+        await expect(send("0.5")).to.changeEtherBalances([agent, addr1], [ethers.parseEther("-0.5"), ethers.parseEther("0.5")]);
+        await expect(send("0.4")).to.be.revertedWith("Exceeds daily spend limit");
+        
+        const [, , spent, periodEnd] = await agent.getSpending();
+        expect(spent).to.equal(ethers.parseEther("0.5"));
+        
+        // The next period starts a day after the first spend
+        await ethers.provider.send("evm_setNextBlockTimestamp", [Number(periodEnd)]);
+        await send("0.4");
+        
+        expect((await agent.getSpending())[2]).to.equal(ethers.parseEther("0.4"));
+      });
+      
+      describe("Proposals", function () {
+        let data;
+        
+        beforeEach(async function () {
+          await expect(agent.setAutonomousActions(false))
+            .to.emit(agent, "AutonomousActionsUpdated")
+            .withArgs(false, anyValue);
+          await agent.setActionPermission(target.target, storeMemory, true);
+          data = target.interface.encodeFunctionData("storeMemory", ["source", "proposal"]);
+        });
+        
+        it("Should require owner approval unless actions are autonomous", async function () {
+          await expect(agent.connect(addr2).executeAction(target.target, data, 0))
+            .to.be.revertedWith("Actions require owner approval");
+          await expect(agent.connect(addr2).setAutonomousActions(true))
+            .to.be.revertedWith("Only owner can call this function");
+        });
+        
+        it("Should execute a proposal once the owner approves it", async function () {
+          const expiresAt = await deadlineIn(3600);
+          
+          await expect(agent.connect(addr2).proposeAction(target.target, data, 0, expiresAt))
+            .to.emit(agent, "ActionProposed")
+            .withArgs(0, addr2.address, target.target, 0, data, expiresAt, anyValue);
+          expect((await target.getMemory("source"))[0]).to.equal("");
+          
+          await expect(agent.connect(addr2).approveProposal(0)).to.be.revertedWith("Only owner can call this function");
+          await expect(agent.approveProposal(0))
+            .to.emit(agent, "ProposalApproved").withArgs(0, anyValue)
+            .and.to.emit(agent, "ActionExecuted").withArgs(addr2.address, target.target, storeMemory, 0, data, anyValue);
+          
+          expect((await target.getMemory("source"))[0]).to.equal("proposal");
+          expect((await agent.getProposals(0, 10))[0].status).to.equal(1); // Executed
+          await expect(agent.approveProposal(0)).to.be.revertedWith("Proposal is not pending");
+          await expect(agent.approveProposal(1)).to.be.revertedWith("Proposal not found");
+        });
+        
+        it("Should let the owner reject proposals and not approve expired ones", async function () {
+          await agent.connect(addr2).proposeAction(target.target, data, 0, await deadlineIn(3600));
+          const expiresAt = await deadlineIn(60);
+          await agent.connect(addr2).proposeAction(target.target, data, 0, expiresAt);
+          
+          await expect(agent.rejectProposal(0)).to.emit(agent, "ProposalRejected").withArgs(0, anyValue);
+          await expect(agent.approveProposal(0)).to.be.revertedWith("Proposal is not pending");
+          
+          await ethers.provider.send("evm_setNextBlockTimestamp", [expiresAt + 1]);
+          await expect(agent.approveProposal(1)).to.be.revertedWith("Proposal expired");
+          await agent.rejectProposal(1);
+          
+          expect(await agent.getProposalCount()).to.equal(2);
+          expect((await agent.getProposals(0, 10)).map(proposal => proposal.status)).to.deep.equal([2n, 2n]);
+          expect((await target.getMemory("source"))[0]).to.equal("");
+        });
+        
+        it("Should only accept proposals the policy allows", async function () {
+          const expiresAt = await deadlineIn(3600);
+          const goalData = target.interface.encodeFunctionData("updateGoal", ["Hijacked"]);
+          
+          await expect(agent.connect(addr2).proposeAction(target.target, goalData, 0, expiresAt))
+            .to.be.revertedWith("Action not allowed");
+          await expect(agent.connect(addr2).proposeAction(target.target, data, 1, expiresAt))
+            .to.be.revertedWith("Exceeds max action value");
+          await expect(agent.connect(addr2).proposeAction(target.target, data, 0, await deadlineIn(0)))
+            .to.be.revertedWith("Expiry must be in the future");
+          await expect(agent.connect(addr1).proposeAction(target.target, data, 0, expiresAt))
+            .to.be.revertedWith("Only owner, factory or executor can call this function");
+        });
+      });
+    });
+    
+    describe("Execution credits", function () {
+      const fee = ethers.parseEther("0.01");
+      
+      beforeEach(async function () {
+        await expect(agentFactory.connect(addr2).setExecutionFee(fee))
+          .to.emit(agentFactory, "ExecutionFeeUpdated")
+          .withArgs(addr2.address, fee, anyValue);
+        await expect(agent.authorizeExecutor(addr2.address))
+          .to.emit(agent, "MaxExecutionFeeUpdated")
+          .withArgs(addr2.address, fee, anyValue);
+      });
+      
+      it("Should charge the executor's fee from prepaid credits", async function () {
+        await expect(agent.connect(addr1).depositCredits({ value: ethers.parseEther("0.015") }))
+          .to.emit(agent, "CreditsDeposited")
+          .withArgs(addr1.address, ethers.parseEther("0.015"), ethers.parseEther("0.015"), anyValue);
+        
+        expect(await agent.executionFee(addr2.address)).to.equal(fee);
+        expect(await agent.executionFee(owner.address)).to.equal(0);
+        
+        const tx = agent.connect(addr2).storeResponse("Paid response");
+        await expect(tx).to.emit(agent, "ExecutionFeeCharged").withArgs(addr2.address, fee, ethers.parseEther("0.005"), anyValue);
+        await expect(tx).to.changeEtherBalances([agent, addr2], [-fee, fee]);
+        
+        // Too little credit left for another execution, except by the owner
+        await ethers.provider.send("evm_setNextBlockTimestamp", [Number(await agent.lastChargeTime()) + 900]);
+        await expect(agent.connect(addr2).storeResponse("Unpaid response")).to.be.revertedWith("Insufficient credits");
+        await agent.storeResponse("Owner response");
+        
+        expect(await agent.creditBalance()).to.equal(ethers.parseEther("0.005"));
+      });
+      
+      it("Should not charge more than the fee approved at authorization", async function () {
+        await agent.depositCredits({ value: ethers.parseEther("1") });
+        await agentFactory.connect(addr2).setExecutionFee(ethers.parseEther("0.5"));
+        
+        await expect(agent.connect(addr2).storeResponse("Expensive response")).to.be.revertedWith("Fee above approved maximum");
+        await expect(agent.connect(addr2).setMaxExecutionFee(addr2.address, ethers.parseEther("0.5")))
+          .to.be.revertedWith("Only owner can call this function");
+        await expect(agent.setMaxExecutionFee(addr1.address, 1)).to.be.revertedWith("Executor not authorized");
+        
+        // Until the owner agrees to the new fee
+        await expect(agent.setMaxExecutionFee(addr2.address, ethers.parseEther("0.5")))
+          .to.emit(agent, "MaxExecutionFeeUpdated")
+          .withArgs(addr2.address, ethers.parseEther("0.5"), anyValue);
+        await expect(agent.connect(addr2).storeResponse("Expensive response"))
+          .to.changeEtherBalances([agent, addr2], [ethers.parseEther("-0.5"), ethers.parseEther("0.5")]);
+        
+        // Lowering the fee needs no approval
+        await agentFactory.connect(addr2).setExecutionFee(fee);
+        await ethers.provider.send("evm_setNextBlockTimestamp", [Number(await agent.lastChargeTime()) + 900]);
+        await agent.connect(addr2).storeResponse("Cheap response");
+        expect(await agent.creditBalance()).to.equal(ethers.parseEther("0.49"));
+        
+        await agent.revokeExecutor(addr2.address);
+        expect(await agent.maxExecutionFee(addr2.address)).to.equal(0);
+      });
+      
+      it("Should not charge for responses more often than the agent's interval", async function () {
+        await agent.depositCredits({ value: ethers.parseEther("1") });
+        await agent.setSchedule(3600, "");
+        
+        await agent.connect(addr2).storeResponse("First response");
+        await expect(agent.connect(addr2).storeResponse("Early response")).to.be.revertedWith("Execution not due");
+        
+        // The owner pays no fee, so isn't limited
+        await agent.storeResponse("Owner response");
+        
+        await ethers.provider.send("evm_setNextBlockTimestamp", [Number(await agent.lastExecutionTime()) + 3600]);
+        await agent.connect(addr2).storeResponse("Due response");
+        
+        expect(await agent.creditBalance()).to.equal(ethers.parseEther("0.98"));
+      });
+      
+      it("Should not charge more than once per minimum charge interval without an interval", async function () {
+        await agent.depositCredits({ value: ethers.parseEther("1") });
+        await agent.setSchedule(0, "* * * * *");
+        expect(await agent.MIN_CHARGE_INTERVAL()).to.equal(900);
+        
+        await agent.connect(addr2).storeResponse("First response");
+        const chargedAt = Number(await agent.lastChargeTime());
+        
+        // Owner responses don't move the window
+        await agent.storeResponse("Owner response");
+        
+        await ethers.provider.send("evm_setNextBlockTimestamp", [chargedAt + 899]);
+        await expect(agent.connect(addr2).storeResponse("Same window")).to.be.revertedWith("Charged too recently");
+        
+        await ethers.provider.send("evm_setNextBlockTimestamp", [chargedAt + 900]);
+        await agent.connect(addr2).storeResponse("Next window");
+        
+        expect(await agent.lastChargeTime()).to.equal(chargedAt + 900);
+        expect(await agent.creditBalance()).to.equal(ethers.parseEther("0.98"));
+      });
+      
+      it("Should let only the owner withdraw credits", async function () {
+        await agent.depositCredits({ value: ethers.parseEther("1") });
+        
+        await expect(agent.connect(addr1).withdrawCredits(1)).to.be.revertedWith("Only owner can call this function");
+        await expect(agent.withdrawCredits(ethers.parseEther("2"))).to.be.revertedWith("Insufficient credits");
+        await expect(agent.withdrawCredits(ethers.parseEther("0.4")))
+          .to.changeEtherBalances([agent, owner], [ethers.parseEther("-0.4"), ethers.parseEther("0.4")]);
+        
+        expect(await agent.creditBalance()).to.equal(ethers.parseEther("0.6"));
+        await expect(agent.depositCredits()).to.be.revertedWith("Deposit must be positive");
+      });
+      
+      it("Should keep credits out of reach of actions", async function () {
+        await agent.depositCredits({ value: ethers.parseEther("1") });
+        await owner.sendTransaction({ to: agentAddress, value: ethers.parseEther("0.1") });
+        await agent.setActionPermission(addr1.address, "0x00000000", true);
+        await agent.setSpendingLimits(ethers.parseEther("1"), ethers.parseEther("1"));
+        await agent.setAutonomousActions(true);
+        
+        await expect(agent.connect(addr2).executeAction(addr1.address, "0x", ethers.parseEther("0.2")))
+          .to.be.revertedWith("Insufficient action funds");
+        await agent.connect(addr2).executeAction(addr1.address, "0x", ethers.parseEther("0.1"));
+        
+        expect(await ethers.provider.getBalance(agentAddress)).to.equal(ethers.parseEther("1"));
+      });
+    });
+    
     it("Should not allow transfer to zero address", async function () {
       await expect(agent.transferOwnership(ethers.ZeroAddress))
         .to.be.revertedWith("New owner cannot be zero address");
@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JobQueue = require("../executor/JobQueue");
+const { ActivityFeed, parseActivityFilter, matchesActivity } = require("../api/ActivityFeed");
+
+describe("ActivityFeed", function () {
+  let agentFactory;
+  let owner;
+  let addr1;
+  let queueFile;
+  let feed;
+  let activities;
+
+  async function createAgent(goal, signer = owner) {
+    await agentFactory.connect(signer).createAgent(goal);
+    const agents = await agentFactory.getUserAgents(signer.address);
+    return ethers.getContractAt("Agent", agents[agents.length - 1], signer);
+  }
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+    queueFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "agentx-feed-")), "queue.json");
+
+    const AgentFactory = await ethers.getContractFactory("AgentFactory");
+    agentFactory = await AgentFactory.deploy();
+    await agentFactory.waitForDeployment();
+
+    feed = new ActivityFeed({ provider: ethers.provider, factory: agentFactory, queueFile, pollInterval: 60000 });
+    activities = [];
+    feed.on("activity", activity => activities.push(activity));
+    await feed.start();
+  });
+
+  afterEach(function () {
+    feed.stop();
+  });
+
+  it("Should publish agent events with their agent and owner", async function () {
+    const agent = await createAgent("Track DeFi yields");
+    const address = await agent.getAddress();
+
+    await agent.updateGoal("Track DeFi and NFT yields");
+    await agent.storeMemory("topic", "DeFi");
+    await agent.storeResponse("Yields are up");
+    await agent.transferOwnership(addr1.address);
+    await agent.connect(addr1).setActive(false);
+    await feed.sync();
+
+    expect(activities.map(activity => activity.type)).to.deep.equal([
+      "AgentCreated",
+      "GoalUpdated",
+      "MemoryStored",
+      "ResponseUpdated",
+      "ExecutionRecorded",
+      "OwnershipTransferred",
+      "AgentDeactivated"
+    ]);
+    expect(activities.every(activity => activity.agent === address)).to.equal(true);
+
+    const [created, goal, memory] = activities;
+    expect(created.owner).to.equal(owner.address);
+    expect(created.data.goal).to.equal("Track DeFi yields");
+    expect(goal.data).to.deep.equal({ newGoal: "Track DeFi and NFT yields" });
+    expect(memory.data).to.deep.equal({ key: "topic", value: "DeFi" });
+    expect(memory.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    // Ownership changes are followed
+    expect(activities[5].data).to.deep.equal({ previousOwner: owner.address, newOwner: addr1.address });
+    expect(activities[6].owner).to.equal(addr1.address);
+  });
+
+  it("Should publish executor job status changes", async function () {
+    const agent = await createAgent("Summarize DAO proposals");
+    const address = await agent.getAddress();
+    await feed.sync();
+    activities = [];
+
+    const queue = new JobQueue({ file: queueFile });
+    const job = queue.enqueue(address, 0);
+    await feed.sync();
+
+    queue.markRunning(job.id);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    queue.fail(job.id, new Error("LLM timeout"));
+    await feed.sync();
+
+    expect(activities.map(activity => [activity.type, activity.data.status])).to.deep.equal([
+      ["JobUpdated", "pending"],
+      ["JobUpdated", "pending"]
+    ]);
+    expect(activities[1].data).to.include({ jobId: job.id, attempts: 1, lastError: "LLM timeout" });
+    expect(activities[1].owner).to.equal(owner.address);
+  });
+
+  it("Should replay buffered activity after a given id", async function () {
+    const agent = await createAgent("First goal");
+    await agent.updateGoal("Second goal");
+    await agent.updateGoal("Third goal");
+    await feed.sync();
+
+    expect(feed.since(activities[0].id).map(activity => activity.data.newGoal)).to.deep.equal(["Second goal", "Third goal"]);
+    expect(feed.since("unknown")).to.deep.equal([]);
+  });
+
+  it("Should filter activity by agent, owner and type", async function () {
+    const agent = await createAgent("Owner agent");
+    const otherAgent = await createAgent("Other agent", addr1);
+    await agent.updateGoal("Updated");
+    await feed.sync();
+
+    const matching = (params) => {
+      const { filter } = parseActivityFilter(params);
+      return activities.filter(activity => matchesActivity(activity, filter)).map(activity => activity.type);
+    };
+
+    expect(matching({ agent: await agent.getAddress() })).to.deep.equal(["AgentCreated", "GoalUpdated"]);
+    expect(matching({ owner: addr1.address })).to.deep.equal(["AgentCreated"]);
+    expect(matching({ types: "GoalUpdated,ResponseUpdated" })).to.deep.equal(["GoalUpdated"]);
+    expect(matching({ agent: await otherAgent.getAddress(), types: "GoalUpdated" })).to.deep.equal([]);
+
+    expect(parseActivityFilter({ owner: "nobody" }).error).to.equal("owner must be an address");
+    expect(parseActivityFilter({ types: "Transfer" }).error).to.match(/^Unknown activity type: Transfer/);
+  });
+});
@@ -0,0 +1,54 @@
+const { expect } = require("chai");
+const { parseAgentQuery, applyAgentQuery } = require("../utils/agentQuery");
+
+describe("Agent listing queries", function () {
+  const owner = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+  const other = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const now = 1700000000;
+
+  const agents = [
+    { address: "0x1", owner, goal: "Summarize DAO proposals", lastResponse: "Two proposals passed", isActive: true, executionCount: 12, lastExecution: now - 2 * 86400, memoryCount: 3 },
+    { address: "0x2", owner: other, goal: "Track NFT floor prices", lastResponse: "Floor is flat; DAO treasury unchanged", isActive: true, executionCount: 4, lastExecution: now - 600, memoryCount: 0 },
+    { address: "0x3", owner, goal: "Watch dao governance forums", lastResponse: "", isActive: false, executionCount: 0, lastExecution: now - 5 * 86400, memoryCount: 1 },
+    { address: "0x4", owner: other, goal: "Report gas prices", lastResponse: "Gas is low", isActive: true, executionCount: 30, lastExecution: now - 3 * 86400, memoryCount: 7 }
+  ];
+
+  function run(params) {
+    const { query, error } = parseAgentQuery(params);
+    expect(error).to.equal(undefined);
+    return applyAgentQuery(agents, query).map(agent => agent.address);
+  }
+
+  it("Should return agents in factory order by default", function () {
+    expect(run({})).to.deep.equal(["0x1", "0x2", "0x3", "0x4"]);
+  });
+
+  it("Should filter by owner, active state and execution count", function () {
+    expect(run({ owner: owner.toLowerCase() })).to.deep.equal(["0x1", "0x3"]);
+    expect(run({ active: "false" })).to.deep.equal(["0x3"]);
+    expect(run({ minExecutions: "4", maxExecutions: "12" })).to.deep.equal(["0x1", "0x2"]);
+  });
+
+  it("Should search goals and responses and filter by last execution", function () {
+    // Active agents mentioning "DAO" that haven't run in a day
+    expect(run({ active: "true", q: "dao", executedBefore: String(now - 86400) })).to.deep.equal(["0x1"]);
+    expect(run({ q: "DAO" })).to.deep.equal(["0x1", "0x2", "0x3"]);
+    expect(run({ q: "dao treasury" })).to.deep.equal(["0x2"]);
+    expect(run({ executedAfter: String(now - 3600) })).to.deep.equal(["0x2"]);
+  });
+
+  it("Should sort by the requested field and order", function () {
+    expect(run({ sort: "executionCount", order: "desc" })).to.deep.equal(["0x4", "0x1", "0x2", "0x3"]);
+    expect(run({ sort: "lastExecution" })).to.deep.equal(["0x3", "0x4", "0x1", "0x2"]);
+    expect(run({ sort: "goal" })).to.deep.equal(["0x4", "0x1", "0x2", "0x3"]);
+    expect(run({ sort: "created", order: "desc" })).to.deep.equal(["0x4", "0x3", "0x2", "0x1"]);
+  });
+
+  it("Should reject invalid parameters", function () {
+    expect(parseAgentQuery({ owner: "not-an-address" }).error).to.equal("owner must be an address");
+    expect(parseAgentQuery({ active: "yes" }).error).to.equal("active must be true or false");
+    expect(parseAgentQuery({ minExecutions: "-1" }).error).to.equal("minExecutions must be a non-negative integer");
+    expect(parseAgentQuery({ sort: "owner" }).error).to.match(/^sort must be one of/);
+    expect(parseAgentQuery({ order: "up" }).error).to.equal("order must be asc or desc");
+  });
+});
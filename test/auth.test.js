@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { AuthManager, parseSiweMessage, buildSiweMessage } = require("../api/auth");
+
+describe("AuthManager", function () {
+  const domain = "localhost:3001";
+  const chainId = 31337;
+  let auth;
+  let user;
+  let other;
+  let apiKeysFile;
+
+  function siweMessage(overrides = {}) {
+    return buildSiweMessage({
+      domain,
+      address: user.address,
+      statement: "Sign in to AgentX",
+      uri: `http://${domain}`,
+      chainId,
+      nonce: auth.createNonce(),
+      ...overrides
+    });
+  }
+
+  beforeEach(async function () {
+    [user, other] = await ethers.getSigners();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "agentx-auth-"));
+    apiKeysFile = path.join(dir, "api-keys.json");
+    auth = new AuthManager({ apiKeysFile });
+  });
+
+  it("Should parse the messages it builds", function () {
+    const message = siweMessage({ expirationTime: "2100-01-01T00:00:00.000Z" });
+    const fields = parseSiweMessage(message);
+
+    expect(fields.domain).to.equal(domain);
+    expect(fields.address).to.equal(user.address);
+    expect(fields.statement).to.equal("Sign in to AgentX");
+    expect(fields.chainId).to.equal(chainId);
+    expect(fields.expirationTime).to.equal("2100-01-01T00:00:00.000Z");
+
+    expect(parseSiweMessage(siweMessage({ statement: "" })).statement).to.equal(undefined);
+    expect(parseSiweMessage("Sign in please")).to.equal(null);
+  });
+
+  it("Should start a session for a valid signed message", async function () {
+    const message = siweMessage();
+    const signature = await user.signMessage(message);
+
+    const { token, address, expiresAt } = auth.login(message, signature, { domain, chainId });
+
+    expect(address).to.equal(user.address);
+    expect(expiresAt).to.be.greaterThan(Date.now());
+    expect(auth.getSession(token).address).to.equal(user.address);
+
+    expect(auth.logout(token)).to.equal(true);
+    expect(auth.getSession(token)).to.equal(null);
+  });
+
+  it("Should reject reused nonces, wrong signers and mismatched messages", async function () {
+    const message = siweMessage();
+    const signature = await user.signMessage(message);
+    auth.login(message, signature, { domain, chainId });
+
+    expect(() => auth.login(message, signature, { domain, chainId })).to.throw("Unknown or expired nonce");
+
+    const forged = siweMessage();
+    expect(() => auth.login(forged, "0x1234", { domain, chainId })).to.throw("Invalid signature");
+    expect(() => auth.login(forged, "0x", { domain, chainId })).to.throw("Invalid signature");
+    const wrongSigner = await other.signMessage(forged);
+    expect(() => auth.login(forged, wrongSigner, { domain, chainId })).to.throw("Signature does not match address");
+
+    const otherDomain = siweMessage({ domain: "evil.example" });
+    const otherDomainSignature = await user.signMessage(otherDomain);
+    expect(() => auth.login(otherDomain, otherDomainSignature, { domain, chainId })).to.throw("expected localhost:3001");
+
+    const otherChain = siweMessage({ chainId: 1 });
+    const otherChainSignature = await user.signMessage(otherChain);
+    expect(() => auth.login(otherChain, otherChainSignature, { domain, chainId })).to.throw("expected 31337");
+
+    const expired = siweMessage({ expirationTime: "2000-01-01T00:00:00.000Z" });
+    const expiredSignature = await user.signMessage(expired);
+    expect(() => auth.login(expired, expiredSignature, { domain, chainId })).to.throw("Message has expired");
+
+    const unknownNonce = buildSiweMessage({ domain, address: user.address, uri: `http://${domain}`, chainId, nonce: "deadbeefdeadbeef" });
+    const unknownNonceSignature = await user.signMessage(unknownNonce);
+    expect(() => auth.login(unknownNonce, unknownNonceSignature, { domain, chainId })).to.throw("Unknown or expired nonce");
+  });
+
+  it("Should expire sessions", async function () {
+    auth = new AuthManager({ apiKeysFile, sessionTtl: -1 });
+    const message = siweMessage();
+    const { token } = auth.login(message, await user.signMessage(message), { domain, chainId });
+
+    expect(auth.getSession(token)).to.equal(null);
+  });
+
+  it("Should look up service accounts by hashed API key", function () {
+    const key = AuthManager.generateApiKey();
+    expect(auth.getApiKeyAccount(key)).to.equal(null);
+
+    fs.writeFileSync(apiKeysFile, JSON.stringify({
+      keys: [{ name: "reporter", address: other.address, keyHash: AuthManager.hashApiKey(key) }]
+    }));
+
+    expect(auth.getApiKeyAccount(key)).to.include({ name: "reporter", address: other.address });
+    expect(auth.getApiKeyAccount(AuthManager.generateApiKey())).to.equal(null);
+    expect(fs.readFileSync(apiKeysFile, "utf8")).to.not.include(key);
+  });
+});
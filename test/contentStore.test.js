@@ -0,0 +1,50 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ContentStore = require("../utils/ContentStore");
+
+describe("ContentStore", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "agentx-content-"));
+  });
+
+  it("Should compute IPFS-compatible CIDv1 identifiers", function () {
+    // Same CID `ipfs add --cid-version 1 --raw-leaves` produces for "hello world"
+    expect(ContentStore.computeCID("hello world"))
+      .to.equal("bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e");
+  });
+
+  it("Should store content and resolve it by CID or URI", async function () {
+    const store = new ContentStore({ dir });
+
+    const { cid, uri, size } = store.put("Full AI response");
+
+    expect(uri).to.equal(`ipfs://${cid}`);
+    expect(size).to.equal(16);
+    expect(store.has(uri)).to.equal(true);
+    expect(await store.get(cid)).to.equal("Full AI response");
+    expect(await store.get(uri)).to.equal("Full AI response");
+
+    // Storing the same content again is a no-op
+    expect(store.put("Full AI response").cid).to.equal(cid);
+  });
+
+  it("Should reject tampered and missing content", async function () {
+    const store = new ContentStore({ dir });
+    const { cid } = store.put("Original response");
+
+    fs.writeFileSync(store.getPath(cid), "Tampered response");
+
+    let error = await store.get(cid).catch(err => err);
+    expect(error.message).to.equal(`Content ${cid} failed verification`);
+
+    const missing = ContentStore.computeCID("Never stored");
+    error = await store.get(missing).catch(err => err);
+    expect(error.message).to.equal(`Content ${missing} not found`);
+
+    expect(() => ContentStore.toCID("ipfs://../etc/passwd")).to.throw("Invalid content identifier");
+  });
+});
@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const MemoryIndex = require("../executor/MemoryIndex");
+const { LocalEmbeddings } = require("../executor/embeddings");
+const {
+  SUMMARY_KEY,
+  getContextBudget,
+  encodeSummary,
+  validateContextConfig,
+  resolveContextConfig,
+  buildContext
+} = require("../utils/context");
+
+describe("Memory context", function () {
+  let agent;
+  const resolveContent = async value => value;
+
+  beforeEach(async function () {
+    const AgentFactory = await ethers.getContractFactory("AgentFactory");
+    const agentFactory = await AgentFactory.deploy();
+    await agentFactory.waitForDeployment();
+
+    await agentFactory.createAgent("Track ETH gas prices");
+    const [owner] = await ethers.getSigners();
+    const [agentAddress] = await agentFactory.getUserAgents(owner.address);
+    agent = await ethers.getContractAt("Agent", agentAddress);
+  });
+
+  it("Should list pinned keys first, then recent memories without executor logs", async function () {
+    await agent.storeMemory("threshold", "30 gwei");
+    await agent.storeMemory("execution_0", "2026-01-01T00:00:00Z: Gas is 12 gwei");
+    await agent.storeMemory("price", "12 gwei");
+    await agent.storeMemory("tmp_scratch", "ignore me");
+    await agent.storeMemory("trend", "falling");
+    // Overwriting a memory makes it the most recent
+    await agent.storeMemory("price", "11 gwei");
+
+    const context = await buildContext(agent, resolveContextConfig({
+      pinned: ["threshold", "missing"],
+      exclude: ["tmp_*"],
+      recent: 2
+    }), { resolveContent });
+
+    expect(context.text).to.equal("threshold: 30 gwei\ntrend: falling\nprice: 11 gwei");
+    expect(context.pinned).to.deep.equal(["threshold"]);
+    expect(context.recent).to.deep.equal(["trend", "price"]);
+    expect(context.omitted).to.deep.equal([]);
+    expect(context.maxTokens).to.equal(1500);
+  });
+
+  it("Should stay within the token budget", async function () {
+    await agent.storeMemory("notes", "x".repeat(400));
+    await agent.storeMemory("price", "12 gwei");
+
+    const context = await buildContext(agent, resolveContextConfig({ maxTokens: 100 }), { resolveContent });
+
+    expect(context.recent).to.deep.equal(["price"]);
+    expect(context.omitted).to.deep.equal(["notes"]);
+    expect(context.tokens).to.be.at.most(100);
+
+    const empty = await buildContext(agent, resolveContextConfig({ recent: 0 }), { resolveContent });
+    expect(empty.text).to.equal("None");
+  });
+
+  it("Should fold memories that no longer fit into the rolling summary once", async function () {
+    for (const key of ["a", "b", "c"]) {
+      await agent.storeMemory(key, `value ${key}`);
+    }
+
+    const settings = resolveContextConfig({ recent: 1, summarize: true });
+    const calls = [];
+    const summarize = async (previous, memories, maxTokens) => {
+      calls.push({ previous, keys: memories.map(memory => memory.key), maxTokens });
+      return `summary of ${memories.map(memory => memory.key).join(", ")}`;
+    };
+
+    // Previews list what would be summarized
+    const preview = await buildContext(agent, settings, { resolveContent });
+    expect(preview.summary).to.deep.equal({ value: "", through: 0, updated: false, folded: [], pending: ["b", "a"] });
+
+    const first = await buildContext(agent, settings, { resolveContent, summarize });
+    expect(calls).to.deep.equal([{ previous: "", keys: ["b", "a"], maxTokens: 375 }]);
+    expect(first.summary).to.include({ value: "summary of b, a", updated: true });
+    expect(first.text).to.equal("Summary of earlier memories: summary of b, a\nc: value c");
+
+    // The executor stores the summary with the response
+    await agent.storeMemory(SUMMARY_KEY, encodeSummary(first.summary));
+    await agent.storeMemory("d", "value d");
+
+    const second = await buildContext(agent, settings, { resolveContent, summarize });
+    expect(calls[1]).to.deep.equal({ previous: "summary of b, a", keys: ["c"], maxTokens: 375 });
+    expect(second.summary.folded).to.deep.equal(["c"]);
+    expect(second.recent).to.deep.equal(["d"]);
+  });
+
+  it("Should add the memories and earlier responses most relevant to the goal", async function () {
+    await agent.storeMemory("gas_alert", "Gas above 80 gwei on Monday");
+    await agent.storeMemory("dao_vote", "Treasury proposal vote ends Friday");
+    await agent.storeMemory("note", "Check again tomorrow");
+    await agent.recordExecution("Gas fees peaked at 95 gwei", ethers.ZeroHash, ethers.ZeroHash, "", "mock-1", [], []);
+
+    // Inline responses are indexed while they are the latest one
+    const index = new MemoryIndex({ dir: fs.mkdtempSync(path.join(os.tmpdir(), "agentx-context-")), embeddings: new LocalEmbeddings() });
+    await index.sync(agent);
+    await agent.recordExecution("Gas prices are back to normal", ethers.ZeroHash, ethers.ZeroHash, "", "mock-1", [], []);
+
+    const search = async (query, k) => {
+      await index.sync(agent);
+      return index.search(await agent.getAddress(), query, { k });
+    };
+
+    const context = await buildContext(agent, resolveContextConfig({ recent: 1, relevant: 2 }), {
+      resolveContent,
+      search,
+      query: "Track ETH gas prices\nGas prices are back to normal"
+    });
+
+    // The latest response is already in the prompt, so it isn't retrieved again
+    expect(context.relevant.map(entry => entry.key || entry.execution)).to.have.members(["gas_alert", 0]);
+    expect(context.recent).to.deep.equal(["note"]);
+    expect(context.omitted).to.deep.equal(["dao_vote"]);
+    expect(context.text.split("\n")).to.have.members([
+      "gas_alert: Gas above 80 gwei on Monday",
+      "Response #0: Gas fees peaked at 95 gwei",
+      "note: Check again tomorrow"
+    ]);
+    expect(context.text.split("\n").pop()).to.equal("note: Check again tomorrow");
+  });
+
+  it("Should validate context settings and budget by model", function () {
+    expect(validateContextConfig({ pinned: ["goal"], exclude: ["log_*"], recent: 10, summarize: true, maxTokens: 2000 })).to.equal(null);
+
+    expect(validateContextConfig("all")).to.equal("context must be an object");
+    expect(validateContextConfig({ window: 5 })).to.match(/^Unknown context field: window/);
+    expect(validateContextConfig({ pinned: "threshold" })).to.match(/^context.pinned must be a list/);
+    expect(validateContextConfig({ exclude: [""] })).to.match(/^context.exclude must be a list/);
+    expect(validateContextConfig({ recent: 51 })).to.equal("context.recent must be an integer between 0 and 50");
+    expect(validateContextConfig({ relevant: 1.5 })).to.equal("context.relevant must be an integer between 0 and 20");
+    expect(validateContextConfig({ summarize: "yes" })).to.equal("context.summarize must be a boolean");
+    expect(validateContextConfig({ maxTokens: 10 })).to.equal("context.maxTokens must be an integer between 100 and 100000");
+
+    expect(getContextBudget("gpt-4")).to.equal(2000);
+    expect(getContextBudget("gpt-4o-2024-08-06")).to.equal(16000);
+    expect(getContextBudget("llama3")).to.equal(1500);
+    expect(resolveContextConfig({ maxTokens: 500 }, "gpt-4o").maxTokens).to.equal(500);
+  });
+});
@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const IndexerDB = require("../indexer/IndexerDB");
+const ContentStore = require("../utils/ContentStore");
+const { parseAgentQuery } = require("../utils/agentQuery");
+const AgentIndexer = require("../indexer");
+
+describe("AgentIndexer", function () {
+  let agentFactory;
+  let owner;
+  let addr1;
+  let file;
+  let contentStore;
+
+  async function createAgent(goal) {
+    await agentFactory.createAgent(goal);
+    const agents = await agentFactory.getUserAgents(owner.address);
+    return ethers.getContractAt("Agent", agents[agents.length - 1]);
+  }
+
+  async function createIndexer(options = {}) {
+    const indexer = new AgentIndexer({
+      db: new IndexerDB({ file }),
+      contentStore,
+      provider: ethers.provider,
+      factoryAddress: await agentFactory.getAddress(),
+      startBlock: 0,
+      ...options
+    });
+
+    await indexer.init();
+    return indexer;
+  }
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "agentx-indexer-"));
+    file = path.join(dir, "db.json");
+    contentStore = new ContentStore({ dir: path.join(dir, "content") });
+
+    const AgentFactory = await ethers.getContractFactory("AgentFactory");
+    agentFactory = await AgentFactory.deploy();
+    await agentFactory.waitForDeployment();
+  });
+
+  it("Should mirror agent state from events", async function () {
+    const agent = await createAgent("Track DeFi yields");
+    const address = await agent.getAddress();
+
+    await agent.updateGoal("Track DeFi and NFT yields");
+    await agent.storeResponse("First response");
+    await agent.storeMemory("a", "1");
+    await agent.storeMemory("b", "2");
+    await agent.storeMemory("c", "3");
+    await agent.storeMemory("a", "1b");
+    await agent.deleteMemory("a");
+    await agent.authorizeExecutor(addr1.address);
+    await agent.setSchedule(0, "*/5 * * * *");
+    await agent.setModelConfig("mock", "mock-1", 100, 50);
+    await agent.setDailyTokenLimit(5000);
+    await agent.setPromptConfig('{"name": "digest"}');
+    await agent.depositCredits({ value: ethers.parseEther("0.5") });
+    await agent.withdrawCredits(ethers.parseEther("0.2"));
+    await agent.setActive(false);
+    await agent.transferOwnership(addr1.address);
+
+    const indexer = await createIndexer();
+    await indexer.sync();
+
+    const indexed = indexer.db.getAgent(address);
+    const [chainOwner, goal, lastResponse, lastExecution, execCount, isActive] = await agent.getAgentInfo();
+    const memories = await agent.getAllMemories();
+
+    expect(indexed.owner).to.equal(chainOwner);
+    expect(indexed.goal).to.equal(goal);
+    expect(indexed.lastResponse).to.equal(lastResponse);
+    expect(indexed.lastExecution).to.equal(Number(lastExecution));
+    expect(indexed.executionCount).to.equal(Number(execCount));
+    expect(indexed.isActive).to.equal(isActive);
+    expect(indexed.memories.map(memory => [memory.key, memory.value]))
+      .to.deep.equal(memories.map(memory => [memory.key, memory.value]));
+    expect(indexed.executors).to.deep.equal([addr1.address]);
+    expect(indexed.schedule).to.deep.equal({ interval: 0, cron: "*/5 * * * *" });
+    expect(indexed.modelConfig).to.deep.equal({ provider: "mock", model: "mock-1", maxTokens: 100, temperature: 0.5 });
+    expect(indexed.dailyTokenLimit).to.equal(5000);
+    expect(indexed.promptConfig).to.equal('{"name": "digest"}');
+    expect(indexed.creditBalance).to.equal(ethers.formatEther(await agent.creditBalance()));
+
+    // Listed by creator, like AgentFactory.getUserAgents
+    expect(indexer.db.getUserAgents(owner.address)).to.deep.equal([address]);
+    expect(indexer.db.getAgentAddresses()).to.deep.equal([address]);
+    expect(indexer.db.isReady(await agentFactory.getAddress())).to.equal(true);
+  });
+
+  it("Should search and filter indexed agents, including off-chain responses", async function () {
+    const daoAgent = await createAgent("Summarize governance proposals");
+    const nftAgent = await createAgent("Track NFT floor prices");
+
+    const { uri } = contentStore.put("The DAO passed two proposals today");
+    await daoAgent.recordExecution(uri, ethers.id("The DAO passed two proposals today"), ethers.ZeroHash, "", "mock-1", [], []);
+    await nftAgent.setActive(false);
+
+    const indexer = await createIndexer();
+    await indexer.sync();
+
+    const { query } = parseAgentQuery({ q: "dao proposals", active: "true" });
+    const result = indexer.db.queryAgents(query);
+
+    expect(result.addresses).to.deep.equal([await daoAgent.getAddress()]);
+    expect(result.totalCount).to.equal(1);
+    expect(indexer.db.getAgent(await daoAgent.getAddress()).lastResponse).to.equal(uri);
+  });
+
+  it("Should roll back blocks that were reorganized away", async function () {
+    const agent = await createAgent("Original goal");
+    const indexer = await createIndexer();
+    await indexer.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await agent.updateGoal("Goal on the abandoned fork");
+    await createAgent("Agent on the abandoned fork");
+    await indexer.sync();
+
+    expect(indexer.db.getAgentCount()).to.equal(2);
+    expect(indexer.db.getAgent(await agent.getAddress()).goal).to.equal("Goal on the abandoned fork");
+
+    // Replace the indexed blocks with a longer fork
+    await network.provider.send("evm_revert", [snapshot]);
+    await agent.updateGoal("Goal on the canonical fork");
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_mine");
+    await indexer.sync();
+
+    expect(indexer.db.getAgentCount()).to.equal(1);
+    expect(indexer.db.getAgent(await agent.getAddress()).goal).to.equal("Goal on the canonical fork");
+  });
+
+  it("Should load agents created before the start block", async function () {
+    const agent = await createAgent("Created before indexing");
+    await agent.storeMemory("topic", "DAO");
+
+    const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    await agent.storeResponse("Indexed from events");
+
+    const indexer = await createIndexer({ startBlock });
+    await indexer.sync();
+
+    const indexed = indexer.db.getAgent(await agent.getAddress());
+    expect(indexed.goal).to.equal("Created before indexing");
+    expect(indexed.memories.map(memory => memory.key)).to.deep.equal(["topic"]);
+    expect(indexed.lastResponse).to.equal("Indexed from events");
+    expect(indexed.executionCount).to.equal(1);
+  });
+});
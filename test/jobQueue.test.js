@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JobQueue = require("../executor/JobQueue");
+
+describe("JobQueue", function () {
+  const agentAddress = "0x856e4424f806D16E8CBC702B3c0F2ede5468eae5";
+  let file;
+
+  beforeEach(function () {
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "agentx-queue-")), "queue.json");
+  });
+
+  it("Should deduplicate jobs by idempotency key", function () {
+    const queue = new JobQueue({ file });
+    
+    const first = queue.enqueue(agentAddress, 3);
+    const second = queue.enqueue(agentAddress, 3);
+    
+    expect(second).to.equal(first);
+    expect(first.id).to.equal(`${agentAddress.toLowerCase()}:3`);
+    expect(queue.getReadyJobs()).to.have.length(1);
+  });
+
+  it("Should retry failed jobs with exponential backoff", function () {
+    const queue = new JobQueue({ file, retryBaseDelay: 1000, retryMaxDelay: 3000 });
+    const { id } = queue.enqueue(agentAddress, 0);
+    
+    queue.markRunning(id);
+    let job = queue.fail(id, new Error("RPC timeout"));
+    expect(job.status).to.equal("pending");
+    expect(job.lastError).to.equal("RPC timeout");
+    expect(job.nextAttemptAt - job.updatedAt).to.be.closeTo(1000, 50);
+    expect(queue.getReadyJobs()).to.have.length(0);
+    
+    queue.markRunning(id);
+    job = queue.fail(id, new Error("RPC timeout"));
+    expect(job.nextAttemptAt - job.updatedAt).to.be.closeTo(2000, 50);
+    
+    queue.markRunning(id);
+    job = queue.fail(id, new Error("RPC timeout"));
+    expect(job.nextAttemptAt - job.updatedAt).to.be.closeTo(3000, 50); // Capped
+  });
+
+  it("Should dead-letter jobs after max attempts and allow retrying them", function () {
+    const queue = new JobQueue({ file, maxAttempts: 2 });
+    const { id } = queue.enqueue(agentAddress, 0);
+    
+    queue.markRunning(id);
+    queue.fail(id, new Error("reverted"));
+    queue.markRunning(id);
+    queue.fail(id, new Error("reverted"));
+    
+    expect(queue.getDeadLetters().map(job => job.id)).to.deep.equal([id]);
+    
+    queue.retryDeadLetter(id);
+    expect(queue.get(id).status).to.equal("pending");
+    expect(queue.get(id).attempts).to.equal(0);
+  });
+
+  it("Should not enqueue a dead-lettered or completed execution again", function () {
+    const queue = new JobQueue({ file, maxAttempts: 1 });
+    const dead = queue.enqueue(agentAddress, 4);
+    
+    // The on-chain execution count doesn't advance for a failed run, so the agent is due with the same key
+    queue.markRunning(dead.id);
+    queue.fail(dead.id, new Error("Agent is paused"));
+    
+    let job = queue.enqueue(agentAddress, 4);
+    expect(job).to.include({ id: dead.id, status: "dead", attempts: 1, lastError: "Agent is paused" });
+    expect(queue.getReadyJobs()).to.have.length(0);
+    
+    queue.retryDeadLetter(dead.id);
+    expect(queue.getReadyJobs().map(ready => ready.id)).to.deep.equal([dead.id]);
+    
+    const completed = queue.enqueue(agentAddress, 5);
+    queue.markRunning(completed.id);
+    queue.saveResult(completed.id, { response: "Stored response" });
+    queue.complete(completed.id, { txHash: "0xabc" });
+    
+    job = queue.enqueue(agentAddress, 5);
+    expect(job).to.include({ id: completed.id, status: "completed", txHash: "0xabc" });
+    expect(job.result.response).to.equal("Stored response");
+    expect(queue.getReadyJobs().map(ready => ready.id)).to.deep.equal([dead.id]);
+  });
+
+  it("Should run a skipped execution again and keep its saved result", function () {
+    const queue = new JobQueue({ file });
+    const { id } = queue.enqueue(agentAddress, 4);
+    
+    // Deactivated after the LLM ran, then reactivated by the owner
+    queue.markRunning(id);
+    queue.saveResult(id, { response: "Saved response" });
+    queue.complete(id, { skipped: "inactive" });
+    
+    const job = queue.enqueue(agentAddress, 4);
+    expect(job).to.include({ status: "pending", attempts: 0 });
+    expect(job).to.not.have.property("skipped");
+    expect(job.result.response).to.equal("Saved response");
+    expect(queue.getReadyJobs().map(ready => ready.id)).to.deep.equal([id]);
+  });
+
+  it("Should defer jobs without using up an attempt", function () {
+    const queue = new JobQueue({ file, maxAttempts: 1 });
+    const { id } = queue.enqueue(agentAddress, 0);
+    const later = Date.now() + 60000;
+    
+    queue.markRunning(id);
+    const job = queue.defer(id, later, "Daily token limit reached");
+    
+    expect(job).to.include({ status: "pending", attempts: 0, nextAttemptAt: later, lastError: "Daily token limit reached" });
+    expect(queue.getReadyJobs()).to.have.length(0);
+    expect(queue.getReadyJobs(later)).to.have.length(1);
+  });
+
+  it("Should persist results and recover running jobs after a crash", function () {
+    const queue = new JobQueue({ file });
+    const { id } = queue.enqueue(agentAddress, 7);
+    
+    queue.markRunning(id);
+    queue.saveResult(id, { response: "Saved response", model: "mock-1" });
+    
+    const restarted = new JobQueue({ file });
+    const job = restarted.get(id);
+    
+    expect(job.status).to.equal("pending");
+    expect(job.result.response).to.equal("Saved response");
+    expect(restarted.getReadyJobs().map(ready => ready.id)).to.deep.equal([id]);
+  });
+});
@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const MemoryIndex = require("../executor/MemoryIndex");
+const { createEmbeddingProvider, LocalEmbeddings } = require("../executor/embeddings");
+
+describe("MemoryIndex", function () {
+  let agent;
+  let agentAddress;
+  let dir;
+
+  beforeEach(async function () {
+    const AgentFactory = await ethers.getContractFactory("AgentFactory");
+    const agentFactory = await AgentFactory.deploy();
+    await agentFactory.waitForDeployment();
+
+    await agentFactory.createAgent("Track ETH gas prices");
+    const [owner] = await ethers.getSigners();
+    [agentAddress] = await agentFactory.getUserAgents(owner.address);
+    agent = await ethers.getContractAt("Agent", agentAddress);
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "agentx-index-"));
+  });
+
+  it("Should embed texts deterministically", async function () {
+    const embeddings = new LocalEmbeddings({ dimensions: 64 });
+    const [first, second, related, unrelated] = await embeddings.embed([
+      "Gas prices are rising",
+      "Gas prices are rising",
+      "gas price spike",
+      "DAO voting schedule"
+    ]);
+    const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+    expect(first).to.have.lengthOf(64);
+    expect(first).to.deep.equal(second);
+    expect(dot(first, first)).to.be.closeTo(1, 1e-9);
+    expect(dot(first, related)).to.be.greaterThan(dot(first, unrelated));
+    expect(embeddings.model).to.equal("hash-64");
+  });
+
+  it("Should select embedding providers from the environment", function () {
+    expect(createEmbeddingProvider({}).name).to.equal("local");
+    expect(createEmbeddingProvider({ EMBEDDING_DIMENSIONS: "128" }).model).to.equal("hash-128");
+    expect(() => createEmbeddingProvider({ EMBEDDING_PROVIDER: "unknown" })).to.throw('Unknown embedding provider "unknown"');
+    expect(() => createEmbeddingProvider({ EMBEDDING_PROVIDER: "openai" })).to.throw('API key not configured for embedding provider "openai"');
+  });
+
+  it("Should index memories and responses and find the most similar", async function () {
+    await agent.storeMemory("gas_alert", "Gas above 80 gwei on Monday");
+    await agent.storeMemory("dao_vote", "Treasury proposal vote ends Friday");
+    await agent.recordExecution("Gas prices spiked during the NFT mint", ethers.ZeroHash, ethers.ZeroHash, "", "mock-1", [], []);
+
+    const index = new MemoryIndex({ dir, embeddings: new LocalEmbeddings() });
+
+    expect(await index.sync(agent)).to.deep.equal({ updated: 3, removed: 0, total: 3 });
+
+    const results = await index.search(agentAddress, "high gas prices", { k: 2 });
+    expect(results.map(result => result.key || result.execution)).to.have.members(["gas_alert", 0]);
+    expect(results[0].score).to.be.greaterThan(0);
+    expect(results[0]).to.not.have.property("vector");
+
+    const responses = await index.search(agentAddress, "gas", { type: "response" });
+    expect(responses).to.have.lengthOf(1);
+    expect(responses[0]).to.include({ type: "response", execution: 0, text: "Gas prices spiked during the NFT mint" });
+  });
+
+  it("Should only embed changes and rebuild for another model", async function () {
+    await agent.storeMemory("gas_alert", "Gas above 80 gwei");
+    await agent.storeMemory("dao_vote", "Vote ends Friday");
+
+    const index = new MemoryIndex({ dir, embeddings: new LocalEmbeddings() });
+    await index.sync(agent);
+
+    await agent.storeMemory("gas_alert", "Gas above 100 gwei");
+    await agent.deleteMemory("dao_vote");
+    expect(await index.sync(agent)).to.deep.equal({ updated: 1, removed: 1, total: 1 });
+    expect(await index.sync(agent)).to.deep.equal({ updated: 0, removed: 0, total: 1 });
+
+    const [result] = await index.search(agentAddress, "gas");
+    expect(result.text).to.equal("gas_alert: Gas above 100 gwei");
+
+    // Vectors of another model are not reused
+    const rebuilt = new MemoryIndex({ dir, embeddings: new LocalEmbeddings({ dimensions: 64 }) });
+    expect(await rebuilt.search(agentAddress, "gas")).to.deep.equal([]);
+    expect(await rebuilt.sync(agent)).to.deep.equal({ updated: 1, removed: 0, total: 1 });
+  });
+});
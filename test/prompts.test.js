@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ContentStore = require("../utils/ContentStore");
+const {
+  DEFAULT_SYSTEM_PROMPT,
+  PROMPT_TEMPLATES,
+  validatePromptConfig,
+  parsePromptConfig,
+  renderTemplate,
+  buildPrompt
+} = require("../utils/prompts");
+
+describe("Prompts", function () {
+  let agent;
+  let store;
+  let options;
+
+  beforeEach(async function () {
+    const AgentFactory = await ethers.getContractFactory("AgentFactory");
+    const agentFactory = await AgentFactory.deploy();
+    await agentFactory.waitForDeployment();
+
+    await agentFactory.createAgent("Track ETH gas prices");
+    const [owner] = await ethers.getSigners();
+    const [agentAddress] = await agentFactory.getUserAgents(owner.address);
+    agent = await ethers.getContractAt("Agent", agentAddress);
+
+    store = new ContentStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), "agentx-prompts-")) });
+    options = { provider: ethers.provider, resolveContent: async value => ContentStore.isContentURI(value) ? store.get(value) : value };
+  });
+
+  it("Should render the default prompt without a config", async function () {
+    await agent.storeMemory("lastPrice", "12 gwei");
+
+    const { name, messages, variables } = await buildPrompt(agent, { ...options, toolNames: ["get_block"] });
+
+    expect(name).to.equal("default");
+    expect(messages[0].content).to.match(new RegExp(`^${DEFAULT_SYSTEM_PROMPT} You can call tools`));
+    expect(messages[1].content).to.contain('Your goal is: "Track ETH gas prices"');
+    expect(messages[1].content).to.contain("Previous response: None");
+    expect(messages[1].content).to.contain("Previous memories:\nlastPrice: 12 gwei");
+    expect(variables.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("Should render a custom template and system prompt stored by content hash", async function () {
+    const config = {
+      name: "gas-report",
+      template: "{{goal}} at block {{ blockNumber }} (run {{executionCount}}). Threshold: {{memory.threshold}}.{{memory.missing}}",
+      systemPrompt: "You are a terse gas analyst."
+    };
+    await agent.storeMemory("threshold", store.put("30 gwei").uri);
+    await agent.setPromptConfig(store.put(JSON.stringify(config)).uri);
+
+    const { name, messages } = await buildPrompt(agent, options);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    expect(name).to.equal("gas-report");
+    expect(messages).to.deep.equal([
+      { role: "system", content: "You are a terse gas analyst." },
+      { role: "user", content: `Track ETH gas prices at block ${blockNumber} (run 0). Threshold: 30 gwei.` }
+    ]);
+
+    // A given config is previewed instead of the stored one
+    const preview = await buildPrompt(agent, { ...options, config: { name: "digest" } });
+    expect(preview.messages[1].content).to.contain("Report only what changed");
+  });
+
+  it("Should not render prototype members as variables", async function () {
+    await agent.setPromptConfig(JSON.stringify({ template: "[{{memory.constructor}}][{{memory.__proto__}}][{{memory.toString}}]" }));
+
+    const { messages, variables } = await buildPrompt(agent, options);
+
+    expect(messages[1].content).to.equal("[][][]");
+    expect(Object.getPrototypeOf(variables.memory)).to.equal(null);
+    expect(renderTemplate("[{{constructor}}][{{memory.hasOwnProperty}}]", { memory: {} })).to.equal("[][]");
+  });
+
+  it("Should refuse invalid stored configs", async function () {
+    await agent.setPromptConfig('{"template": "{{balance}}"}');
+    await expect(buildPrompt(agent, options)).to.be.rejectedWith("Invalid prompt config: Unknown template variable: {{balance}}");
+
+    await agent.setPromptConfig(`ipfs://${ContentStore.computeCID("never stored")}`);
+    await expect(buildPrompt(agent, { ...options, resolveContent: async value => value }))
+      .to.be.rejectedWith("Could not resolve prompt config");
+  });
+
+  it("Should validate prompt configs", function () {
+    expect(validatePromptConfig({})).to.equal(null);
+    expect(validatePromptConfig({ name: "digest" })).to.equal(null);
+    expect(validatePromptConfig({ name: "daily", template: "{{goal}}: {{memory.topic}}", systemPrompt: "Be brief." })).to.equal(null);
+
+    expect(validatePromptConfig([])).to.equal("Prompt config must be an object");
+    expect(validatePromptConfig({ model: "gpt-4" })).to.match(/^Unknown prompt config field: model/);
+    expect(validatePromptConfig({ name: "unknown" })).to.match(/^Unknown prompt template: unknown/);
+    expect(validatePromptConfig({ name: "has spaces", template: "x" })).to.equal("name must be 1-64 letters, digits, dashes or underscores");
+    expect(validatePromptConfig({ template: " " })).to.equal("template must be a non-empty string");
+    expect(validatePromptConfig({ template: "{{goal}} {{owner}}" })).to.match(/^Unknown template variable: \{\{owner\}\}/);
+    expect(validatePromptConfig({ template: "{{goal}" })).to.equal("template has an unclosed {{");
+    expect(validatePromptConfig({ systemPrompt: 42 })).to.equal("systemPrompt must be a non-empty string");
+    expect(validatePromptConfig({ context: { recent: -1 } })).to.equal("context.recent must be an integer between 0 and 50");
+
+    expect(parsePromptConfig("")).to.deep.equal({ config: {} });
+    expect(parsePromptConfig("{")).to.deep.equal({ error: "Prompt config is not valid JSON" });
+    expect(Object.keys(PROMPT_TEMPLATES)).to.deep.equal(["default", "digest"]);
+  });
+});
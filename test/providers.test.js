@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { ProviderRegistry, MockProvider } = require("../executor/providers");
+
+describe("LLM providers", function () {
+  const messages = [
+    { role: "system", content: "You are an autonomous blockchain AI agent." },
+    { role: "user", content: 'You are an autonomous AI agent deployed on the blockchain. Your goal is: "Summarize DAO proposals"' }
+  ];
+
+  describe("MockProvider", function () {
+    it("Should return deterministic responses", async function () {
+      const provider = new MockProvider();
+      
+      const first = await provider.complete({ messages, maxTokens: 500 });
+      const second = await provider.complete({ messages, maxTokens: 500 });
+      
+      expect(first).to.deep.equal(second);
+      expect(first.model).to.equal("mock-1");
+      expect(first.content).to.contain("Summarize DAO proposals");
+      expect(first.usage.totalTokens).to.equal(first.usage.promptTokens + first.usage.completionTokens);
+    });
+
+    it("Should vary responses by model and input", async function () {
+      const provider = new MockProvider();
+      
+      const base = await provider.complete({ messages });
+      const otherModel = await provider.complete({ model: "mock-2", messages });
+      const otherInput = await provider.complete({ messages: [...messages, { role: "user", content: "More context" }] });
+      
+      expect(otherModel.content).to.not.equal(base.content);
+      expect(otherInput.content).to.not.equal(base.content);
+    });
+  });
+
+  describe("ProviderRegistry", function () {
+    it("Should use executor defaults when the agent has no provider", function () {
+      const registry = new ProviderRegistry({ LLM_PROVIDER: "mock", LLM_MAX_TOKENS: "300", LLM_TEMPERATURE: "0.5" });
+      
+      expect(registry.resolve({ provider: "", model: "", maxTokens: 0n, temperature: 0n })).to.deep.equal({
+        provider: "mock",
+        model: "",
+        maxTokens: 300,
+        temperature: 0.5
+      });
+    });
+
+    it("Should resolve on-chain model config", function () {
+      const registry = new ProviderRegistry({ LLM_PROVIDER: "mock" });
+      
+      expect(registry.resolve({ provider: "local", model: "llama3", maxTokens: 0n, temperature: 20n })).to.deep.equal({
+        provider: "local",
+        model: "llama3",
+        maxTokens: 500,
+        temperature: 0.2
+      });
+    });
+
+    it("Should complete with the mock provider", async function () {
+      const registry = new ProviderRegistry({ LLM_PROVIDER: "mock" });
+      const completion = await registry.complete(registry.resolve(), messages);
+      
+      expect(completion.model).to.equal("mock-1");
+      expect(completion.content).to.be.a("string").and.not.be.empty;
+    });
+
+    it("Should reject unknown providers and missing API keys", function () {
+      const registry = new ProviderRegistry({});
+      
+      expect(() => registry.get("unknown")).to.throw('Unknown LLM provider "unknown"');
+      expect(() => registry.get("openai")).to.throw('API key not configured for provider "openai"');
+    });
+
+    it("Should estimate completion costs by model", function () {
+      const registry = new ProviderRegistry({ LLM_PRICES: '{"llama3": {"prompt": 1, "completion": 2}}' });
+      const usage = { promptTokens: 1000, completionTokens: 500, totalTokens: 1500 };
+
+      expect(registry.estimateCost("openai", "gpt-4", usage)).to.equal(0.06);
+      // Dated snapshots use their family's price
+      expect(registry.estimateCost("openai", "gpt-4o-mini-2024-07-18", usage)).to.equal(0.00045);
+      expect(registry.estimateCost("local", "llama3", usage)).to.equal(0.002);
+      expect(registry.estimateCost("local", "mistral", usage)).to.equal(0);
+      expect(registry.estimateCost("openai", "o1", usage)).to.equal(null);
+    });
+  });
+});
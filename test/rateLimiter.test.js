@@ -0,0 +1,33 @@
+const { expect } = require("chai");
+const RateLimiter = require("../api/RateLimiter");
+
+describe("RateLimiter", function () {
+  const now = Date.UTC(2026, 0, 1);
+  const caller = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+
+  it("Should limit requests per caller in a rolling window", function () {
+    const limiter = new RateLimiter({ limit: 2, window: 1000 });
+
+    expect(limiter.consume(caller, now)).to.equal(0);
+    expect(limiter.consume(caller.toLowerCase(), now + 100)).to.equal(0);
+    expect(limiter.consume(caller, now + 400)).to.equal(600);
+    expect(limiter.consume("0x70997970C51812dc3A010C7d01b50e0d17dc79C8", now + 400)).to.equal(0);
+
+    // Rejected requests don't count, so the first one leaving the window frees a slot
+    expect(limiter.consume(caller, now + 1000)).to.equal(0);
+    expect(limiter.consume(caller, now + 1000)).to.equal(100);
+  });
+
+  it("Should limit the total cost of requests", function () {
+    const limiter = new RateLimiter({ limit: 100, window: 1000 });
+
+    expect(limiter.consume(caller, now, 60)).to.equal(0);
+    expect(limiter.consume(caller, now + 200, 30)).to.equal(0);
+    expect(limiter.consume(caller, now + 300, 20)).to.equal(700);
+    expect(limiter.consume(caller, now + 300, 10)).to.equal(0);
+
+    // Both earlier requests have to leave the window to make room
+    expect(limiter.consume(caller, now + 300, 80)).to.equal(900);
+    expect(limiter.consume(caller, now + 1200, 80)).to.equal(0);
+  });
+});
@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const RelayQuota = require("../api/RelayQuota");
+const { buildCallIntent, buildCreateAgentIntent, validateIntent } = require("../utils/intents");
+
+describe("Gasless relay", function () {
+  const chainId = 31337;
+  const factory = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+  const agent = "0xa16E02E87b7454126E5E10d957A927A7F5B5d2be";
+  const now = Date.UTC(2026, 0, 1);
+  const deadline = now / 1000 + 3600;
+  let owner;
+  let other;
+
+  async function signed(signer, intent) {
+    return signer.signTypedData(intent.domain, intent.types, intent.message);
+  }
+
+  beforeEach(async function () {
+    [owner, other] = await ethers.getSigners();
+  });
+
+  describe("validateIntent", function () {
+    const agentInterface = new ethers.Interface(["function updateGoal(string)", "function goal() view returns (string)"]);
+    const data = agentInterface.encodeFunctionData("updateGoal", ["Gasless goal"]);
+
+    function callIntent(overrides = {}) {
+      return buildCallIntent({ signer: owner.address, agent, chainId, data, nonce: 0, deadline, ...overrides });
+    }
+
+    it("Should accept intents signed by their signer", async function () {
+      const intent = callIntent();
+      expect(validateIntent(intent, await signed(owner, intent), { chainId, factory, now })).to.equal(null);
+
+      const create = buildCreateAgentIntent({ owner: owner.address, factory, chainId, goal: "Gasless", nonce: 0, deadline });
+      expect(validateIntent(create, await signed(owner, create), { chainId, factory, now })).to.equal(null);
+    });
+
+    it("Should reject intents that would fail on-chain", async function () {
+      const intent = callIntent();
+      const signature = await signed(owner, intent);
+
+      expect(validateIntent(intent, await signed(other, intent), { chainId, factory, now })).to.equal("Invalid signature");
+      expect(validateIntent({ ...intent, message: { ...intent.message, data: `${data}00` } }, signature, { chainId, factory, now }))
+        .to.equal("Invalid signature");
+      expect(validateIntent(intent, signature, { chainId, factory, now: (deadline + 1) * 1000 })).to.equal("Intent expired");
+      expect(validateIntent(intent, signature, { chainId: 1, factory, now })).to.equal("Intent is for chain 31337, expected 1");
+      expect(validateIntent({ ...intent, primaryType: "Transfer" }, signature, { chainId, factory, now }))
+        .to.equal("primaryType must be Call or CreateAgent");
+      expect(validateIntent(intent, "not a signature", { chainId, factory, now })).to.equal("signature must be a hex string");
+
+      const create = buildCreateAgentIntent({ owner: owner.address, factory: agent, chainId, goal: "Gasless", nonce: 0, deadline });
+      expect(validateIntent(create, await signed(owner, create), { chainId, factory, now })).to.equal("Intent is not for this AgentFactory");
+    });
+
+    it("Should only relay calls that change the agent", async function () {
+      const view = callIntent({ data: agentInterface.encodeFunctionData("goal") });
+      expect(validateIntent(view, await signed(owner, view), { chainId, factory, now }))
+        .to.equal("goal() doesn't change the agent, so it isn't relayed");
+
+      const unknown = callIntent({ data: "0x12345678" });
+      expect(validateIntent(unknown, await signed(owner, unknown), { chainId, factory, now }))
+        .to.equal("message.data must call a function of the agent");
+    });
+  });
+
+  describe("RelayQuota", function () {
+    let file;
+
+    beforeEach(function () {
+      file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "agentx-relay-")), "quota.json");
+    });
+
+    it("Should limit relayed intents per signer in a rolling window", function () {
+      const quota = new RelayQuota({ file, limit: 2, window: 1000 });
+
+      expect(quota.consume(owner.address, now)).to.equal(true);
+      expect(quota.consume(owner.address.toLowerCase(), now + 100)).to.equal(true);
+      expect(quota.consume(owner.address, now + 200)).to.equal(false);
+      expect(quota.consume(other.address, now + 200)).to.equal(true);
+
+      expect(quota.getUsage(owner.address, now + 200))
+        .to.deep.equal({ signer: owner.address, used: 2, limit: 2, remaining: 0, resetsAt: now + 1000 });
+
+      // The first charge leaves the window
+      expect(quota.consume(owner.address, now + 1000)).to.equal(true);
+
+      // Usage survives restarts
+      expect(new RelayQuota({ file, limit: 2, window: 1000 }).getUsage(owner.address, now + 1000).used).to.equal(2);
+    });
+
+    it("Should release charges for intents that were never sent", function () {
+      const quota = new RelayQuota({ file, limit: 1 });
+
+      quota.consume(owner.address, now);
+      quota.release(owner.address, now);
+
+      expect(quota.getUsage(owner.address, now).used).to.equal(0);
+      expect(quota.consume(owner.address, now)).to.equal(true);
+    });
+  });
+});
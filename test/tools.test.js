@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { ToolRegistry, toolCallsFromTranscript, isAllowedHost } = require("../executor/tools");
+
+describe("Executor tools", function () {
+  let agentFactory;
+  let agent;
+  let agentAddress;
+  let context;
+
+  function call(name, args) {
+    return { id: `call_${name}`, name, arguments: JSON.stringify(args) };
+  }
+
+  // Provider that answers with the scripted tool calls, one round at a time, then with text
+  function scriptedLLM(rounds) {
+    const requests = [];
+
+    return {
+      requests,
+      async complete(config, messages, options = {}) {
+        requests.push({ messages: [...messages], options });
+        const toolCalls = options.toolChoice === "none" ? [] : (rounds.shift() || []);
+
+        return {
+          content: toolCalls.length > 0 ? "" : "Done",
+          toolCalls,
+          model: "scripted",
+          usage: { promptTokens: 10, completionTokens: 2, totalTokens: 12 }
+        };
+      }
+    };
+  }
+
+  beforeEach(async function () {
+    const AgentFactory = await ethers.getContractFactory("AgentFactory");
+    agentFactory = await AgentFactory.deploy();
+    await agentFactory.waitForDeployment();
+
+    await agentFactory.createAgent("Watch the treasury");
+    [agentAddress] = await agentFactory.getUserAgents((await ethers.getSigners())[0].address);
+    agent = await ethers.getContractAt("Agent", agentAddress);
+
+    context = { provider: ethers.provider, agentAddress, resolveContent: async value => value, memoryWrites: [] };
+  });
+
+  it("Should read chain state and contract view functions", async function () {
+    const tools = new ToolRegistry({});
+
+    const block = await tools.call(call("get_block", {}), context);
+    expect(block.result.number).to.equal(await ethers.provider.getBlockNumber());
+
+    const state = await tools.call(call("get_agent_state", {}), context);
+    expect(state.result).to.include({ address: agentAddress, goal: "Watch the treasury", executionCount: 0, isActive: true });
+
+    const view = await tools.call(call("call_contract", {
+      address: await agentFactory.getAddress(),
+      signature: "function getAgentCount() view returns (uint256)"
+    }), context);
+    expect(view.result).to.deep.equal({ result: ["1"] });
+  });
+
+  it("Should return tool failures to the model instead of throwing", async function () {
+    const tools = new ToolRegistry({});
+
+    const write = await tools.call(call("call_contract", {
+      address: agentAddress,
+      signature: "function updateGoal(string goal)",
+      args: ["Hijacked"]
+    }), context);
+    expect(write.error).to.equal("Only view and pure functions can be called");
+    expect(await agent.goal()).to.equal("Watch the treasury");
+
+    expect((await tools.call(call("get_balance", { address: "nobody" }), context)).error).to.equal("Invalid address: nobody");
+    expect((await tools.call(call("transfer", {}), context)).error).to.equal('Unknown tool "transfer"');
+    expect((await tools.call({ id: "1", name: "get_block", arguments: "{" }, context)).error)
+      .to.equal("Arguments must be a JSON object");
+  });
+
+  it("Should only fetch allowlisted hosts", async function () {
+    const server = http.createServer((req, res) => res.end(`price of ${req.url}`));
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/eth`;
+
+    try {
+      expect(new ToolRegistry({}).names).to.not.include("http_fetch");
+
+      const tools = new ToolRegistry({ TOOL_HTTP_ALLOWLIST: "127.0.0.1, api.example.com" });
+      const fetched = await tools.call(call("http_fetch", { url }), context);
+      expect(fetched.result).to.include({ status: 200, body: "price of /eth", truncated: false });
+
+      const blocked = await tools.call(call("http_fetch", { url: url.replace("127.0.0.1", "localhost") }), context);
+      expect(blocked.error).to.equal("Host localhost is not allowlisted");
+
+      expect(isAllowedHost("data.api.example.com", ["api.example.com"])).to.equal(true);
+      expect(isAllowedHost("evilapi.example.com", ["api.example.com"])).to.equal(false);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it("Should queue actions the agent's policy allows", async function () {
+    const tools = new ToolRegistry({});
+    const [owner, recipient] = await ethers.getSigners();
+    context.executorAddress = owner.address;
+    context.actions = [];
+
+    const rejected = await tools.call(call("execute_action", { target: recipient.address, value: "0.1" }), context);
+    expect(rejected.error).to.equal("Action would revert: Action not allowed");
+
+    await owner.sendTransaction({ to: agentAddress, value: ethers.parseEther("1") });
+    await agent.setActionPermission(recipient.address, "0x00000000", true);
+    await agent.setSpendingLimits(ethers.parseEther("0.5"), ethers.parseEther("1"));
+
+    expect((await tools.call(call("execute_action", { target: recipient.address, value: "0.6" }), context)).error)
+      .to.equal("Action would revert: Exceeds max action value");
+
+    // Without autonomous actions the call is proposed to the owner
+    const proposed = await tools.call(call("execute_action", { target: recipient.address, value: "0.1" }), context);
+    expect(proposed.result).to.deep.equal({
+      queued: true, requiresApproval: true, target: recipient.address, selector: "0x00000000", value: "0.1"
+    });
+
+    await agent.setAutonomousActions(true);
+    const queued = await tools.call(call("execute_action", { target: recipient.address, value: "0.2" }), context);
+    expect(queued.result.requiresApproval).to.equal(false);
+
+    const action = { target: recipient.address, signature: null, args: [], data: "0x" };
+    expect(context.actions).to.deep.equal([
+      { mode: "propose", ...action, value: ethers.parseEther("0.1").toString() },
+      { mode: "execute", ...action, value: ethers.parseEther("0.2").toString() }
+    ]);
+  });
+
+  it("Should run a conversation and record tool calls in its transcript", async function () {
+    const tools = new ToolRegistry({ EXECUTOR_TOOLS: "get_agent_state,write_memory" });
+    const llm = scriptedLLM([
+      [call("get_agent_state", {}), call("write_memory", { key: "treasury", value: "checked" })],
+      [call("unknown_tool", {})]
+    ]);
+    const messages = [{ role: "user", content: "Check the treasury" }];
+
+    const { completion, messages: transcript, toolCalls } = await tools.run(llm, {}, messages, context);
+
+    expect(completion.content).to.equal("Done");
+    expect(completion.usage).to.deep.equal({ promptTokens: 30, completionTokens: 6, totalTokens: 36 });
+    expect(llm.requests[0].options.tools.map(tool => tool.function.name)).to.deep.equal(["get_agent_state", "write_memory"]);
+    expect(context.memoryWrites).to.deep.equal([{ key: "treasury", value: "checked" }]);
+
+    expect(toolCalls.map(record => record.name)).to.deep.equal(["get_agent_state", "write_memory", "unknown_tool"]);
+    expect(transcript.map(message => message.role)).to.deep.equal(["user", "assistant", "tool", "tool", "assistant", "tool"]);
+
+    // The recorded transcript yields the same calls and results
+    const recorded = toolCallsFromTranscript(JSON.parse(JSON.stringify(transcript)));
+    expect(recorded).to.deep.equal(JSON.parse(JSON.stringify(toolCalls)));
+  });
+
+  it("Should make the model answer after the last round of tool calls", async function () {
+    const tools = new ToolRegistry({ TOOL_MAX_ROUNDS: "2" });
+    const llm = scriptedLLM([[call("get_block", {})], [call("get_block", {})], [call("get_block", {})]]);
+
+    const { toolCalls } = await tools.run(llm, {}, [{ role: "user", content: "Loop" }], context);
+
+    expect(toolCalls).to.have.length(2);
+    expect(llm.requests.map(request => request.options.toolChoice)).to.deep.equal(["auto", "auto", "none"]);
+  });
+
+  it("Should not offer tools when they are disabled", async function () {
+    const tools = new ToolRegistry({ EXECUTOR_TOOLS: "none" });
+    const llm = scriptedLLM([]);
+
+    await tools.run(llm, {}, [{ role: "user", content: "Hello" }], context);
+
+    expect(tools.names).to.deep.equal([]);
+    expect(llm.requests[0].options).to.deep.equal({});
+  });
+});
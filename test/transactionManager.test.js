@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const TransactionManager = require("../utils/TransactionManager");
+
+describe("TransactionManager", function () {
+  let agentFactory, agent;
+  let owner, addr1;
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const AgentFactory = await ethers.getContractFactory("AgentFactory");
+    agentFactory = await AgentFactory.deploy();
+    await agentFactory.waitForDeployment();
+
+    await agentFactory.createAgent("Transaction manager agent");
+    const [agentAddress] = await agentFactory.getUserAgents(owner.address);
+    agent = (await ethers.getContractFactory("Agent")).attach(agentAddress);
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  it("Should serialize nonces for concurrent sends", async function () {
+    const txManager = new TransactionManager(owner);
+    
+    const results = await Promise.all(
+      [0, 1, 2, 3].map(i => txManager.send(agent, "storeMemory", [`key_${i}`, `value_${i}`]))
+    );
+    
+    const nonces = results.map(result => result.nonce).sort((a, b) => a - b);
+    expect(new Set(nonces).size).to.equal(4);
+    expect(nonces[3] - nonces[0]).to.equal(3);
+    expect(results.every(result => result.status === "confirmed")).to.be.true;
+    expect((await agent.getAllMemories()).length).to.equal(4);
+  });
+
+  it("Should report gas usage and fees", async function () {
+    const txManager = new TransactionManager(owner, { maxFeeGwei: "1000" });
+    
+    const result = await txManager.send(agent, "updateGoal", ["Managed goal"]);
+    
+    expect(result.status).to.equal("confirmed");
+    expect(result.replacements).to.equal(0);
+    expect(result.gasUsed).to.be.gt(0n);
+    expect(await agent.goal()).to.equal("Managed goal");
+  });
+
+  it("Should cap fees", async function () {
+    const txManager = new TransactionManager(owner, { maxFeeGwei: "0.000000001", maxPriorityFeeGwei: "0.000000001" });
+    
+    const fees = await txManager.getFees();
+    expect(fees.maxFeePerGas).to.equal(1n);
+    expect(fees.maxPriorityFeePerGas).to.equal(1n);
+  });
+
+  it("Should only replace transactions when every fee can be raised enough", async function () {
+    const gwei = value => ethers.parseUnits(value, "gwei");
+    const txManager = new TransactionManager(owner, { maxFeeGwei: "10", maxPriorityFeeGwei: "2" });
+    
+    expect(txManager.bumpFees({ maxFeePerGas: gwei("5"), maxPriorityFeePerGas: gwei("1") }))
+      .to.deep.equal({ maxFeePerGas: gwei("6"), maxPriorityFeePerGas: gwei("1.2") });
+    expect(txManager.bumpFees({ gasPrice: gwei("5") })).to.deep.equal({ gasPrice: gwei("6") });
+    
+    // A priority fee bump alone, or a bump below 10%, would be rejected as underpriced
+    expect(txManager.bumpFees({ maxFeePerGas: gwei("10"), maxPriorityFeePerGas: gwei("1") })).to.equal(null);
+    expect(txManager.bumpFees({ maxFeePerGas: gwei("9.5"), maxPriorityFeePerGas: gwei("1") })).to.equal(null);
+    expect(txManager.bumpFees({ gasPrice: gwei("10") })).to.equal(null);
+  });
+
+  it("Should cancel stuck transactions and resync the nonce", async function () {
+    const txManager = new TransactionManager(owner, { confirmationTimeout: 1, maxReplacements: 0, pollInterval: 200 });
+    const nonceBefore = await ethers.provider.getTransactionCount(owner.address);
+    
+    await network.provider.send("evm_setAutomine", [false]);
+    
+    let error;
+    try {
+      await txManager.send(agent, "updateGoal", ["Stuck goal"]);
+    } catch (caught) {
+      error = caught;
+    }
+    
+    expect(error.result).to.include({ status: "stuck", nonce: nonceBefore, replacements: 0 });
+    expect(error.result.cancelHash).to.be.a("string");
+    expect(txManager.nextNonce).to.equal(null);
+    
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_setAutomine", [true]);
+    
+    // The cancellation took the nonce, and the next send follows it
+    expect(await ethers.provider.getTransactionReceipt(error.result.cancelHash)).to.not.equal(null);
+    expect(await agent.goal()).to.equal("Transaction manager agent");
+    
+    const result = await txManager.send(agent, "updateGoal", ["Next goal"]);
+    expect(result.nonce).to.equal(nonceBefore + 1);
+    expect(await agent.goal()).to.equal("Next goal");
+  });
+
+  it("Should not consume a nonce when a call reverts during estimation", async function () {
+    const txManager = new TransactionManager(addr1);
+    const nonceBefore = await ethers.provider.getTransactionCount(addr1.address);
+    
+    await expect(txManager.send(agent.connect(addr1), "updateGoal", ["Not the owner"]))
+      .to.be.revertedWith("Only owner can call this function");
+    
+    expect(await ethers.provider.getTransactionCount(addr1.address)).to.equal(nonceBefore);
+    expect(txManager.nextNonce).to.equal(null);
+  });
+
+  it("Should replace stuck transactions with higher fees", async function () {
+    const txManager = new TransactionManager(owner, { confirmationTimeout: 1, maxReplacements: 2, pollInterval: 200 });
+    
+    await network.provider.send("evm_setAutomine", [false]);
+    
+    // Mine only after the first confirmation timeout has triggered a replacement
+    const mined = new Promise(resolve => setTimeout(async () => {
+      await network.provider.send("evm_mine");
+      resolve();
+    }, 1500));
+    
+    const result = await txManager.send(agent, "updateGoal", ["Replaced goal"]);
+    await mined;
+    
+    expect(result.status).to.equal("confirmed");
+    expect(result.replacements).to.equal(1);
+    expect(result.hashes).to.have.length(2);
+    expect(result.hash).to.equal(result.hashes[1]);
+    expect(await agent.goal()).to.equal("Replaced goal");
+  });
+});
@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const UsageLedger = require("../executor/UsageLedger");
+
+describe("UsageLedger", function () {
+  const agentAddress = "0x856e4424f806D16E8CBC702B3c0F2ede5468eae5";
+  const otherAgent = "0xa16E02E87b7454126E5E10d957A927A7F5B5d2be";
+  const owner = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+  const now = Date.UTC(2026, 0, 1, 12);
+  let file;
+
+  function completion(address, executionCount, totalTokens, cost = 0.01) {
+    return {
+      agentAddress: address,
+      owner,
+      executionCount,
+      provider: "openai",
+      model: "gpt-4o",
+      usage: { promptTokens: totalTokens - 10, completionTokens: 10, totalTokens },
+      cost
+    };
+  }
+
+  beforeEach(function () {
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "agentx-usage-")), "usage.json");
+  });
+
+  it("Should record tokens, cost and gas per execution", function () {
+    const ledger = new UsageLedger({ file });
+
+    ledger.recordCompletion("job-1", completion(agentAddress, 0, 1200), now);
+    ledger.recordGas("job-1", { gasUsed: 21000n, effectiveGasPrice: 1000000000n }, now);
+    ledger.recordGas("job-1", { gasUsed: 79000n, effectiveGasPrice: 1000000000n }, now);
+    // Gas of jobs without a completion is not tracked
+    expect(ledger.recordGas("job-2", { gasUsed: 1n, effectiveGasPrice: 1n })).to.equal(null);
+
+    const usage = new UsageLedger({ file }).getAgentUsage(agentAddress, { now });
+
+    expect(usage.totals).to.deep.equal({
+      executions: 1,
+      promptTokens: 1190,
+      completionTokens: 10,
+      totalTokens: 1200,
+      cost: 0.01,
+      unpricedExecutions: 0,
+      gasUsed: "100000",
+      gasCost: "0.0001"
+    });
+    expect(usage.executions[0]).to.include({
+      jobId: "job-1",
+      model: "gpt-4o",
+      totalTokens: 1200,
+      gasUsed: "100000",
+      transactions: 2,
+      timestamp: now / 1000
+    });
+  });
+
+  it("Should count today's tokens against the daily limit", function () {
+    const ledger = new UsageLedger({ file });
+    const yesterday = now - 24 * 60 * 60 * 1000;
+
+    ledger.recordCompletion("job-1", completion(agentAddress, 0, 800), yesterday);
+    ledger.recordCompletion("job-2", completion(agentAddress, 1, 300), now);
+    ledger.recordCompletion("job-3", completion(agentAddress, 2, 200, null), now);
+    ledger.recordCompletion("job-4", completion(otherAgent, 0, 5000), now);
+
+    expect(ledger.getDailyTokens(agentAddress, now)).to.equal(500);
+
+    const { today, totals } = ledger.getAgentUsage(agentAddress, { dailyTokenLimit: 1000, now });
+    expect(today).to.include({ executions: 2, totalTokens: 500, unpricedExecutions: 1, remainingTokens: 500 });
+    expect(today.resetsAt).to.equal(Date.UTC(2026, 0, 2) / 1000);
+    expect(totals.totalTokens).to.equal(1300);
+
+    expect(ledger.getAgentUsage(agentAddress, { now }).today.remainingTokens).to.equal(null);
+  });
+
+  it("Should aggregate usage per owner and keep totals when entries are pruned", function () {
+    const ledger = new UsageLedger({ file, maxEntries: 2 });
+
+    ledger.recordCompletion("job-1", completion(agentAddress, 0, 100), now);
+    ledger.recordCompletion("job-2", completion(agentAddress, 1, 200), now + 1);
+    ledger.recordCompletion("job-3", completion(otherAgent, 0, 400), now + 2);
+    // Recording an execution again replaces its usage instead of adding to it
+    ledger.recordCompletion("job-3", completion(otherAgent, 0, 500), now + 2);
+
+    expect(Object.keys(ledger.entries)).to.deep.equal(["job-2", "job-3"]);
+
+    const usage = ledger.getOwnerUsage(owner, { now });
+    expect(usage.totals).to.include({ executions: 3, totalTokens: 800, cost: 0.03 });
+    expect(usage.agents.map(agent => [agent.agentAddress, agent.totalTokens])).to.deep.equal([
+      [otherAgent, 500],
+      [agentAddress, 300]
+    ]);
+
+    expect(ledger.getOwnerUsage(otherAgent).totals.executions).to.equal(0);
+  });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { WebhookDispatcher, validateWebhook } = require("../api/WebhookDispatcher");
+
+describe("Webhooks", function () {
+  const agent = "0xa16E02E87b7454126E5E10d957A927A7F5B5d2be";
+  const owner = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+  // The test receiver listens on loopback
+  const allowedHosts = ["127.0.0.1"];
+  let file;
+  let receiver;
+  let url;
+  let received;
+  let statuses;
+
+  function activity(type, data) {
+    return {
+      id: "12-0",
+      type,
+      agent,
+      owner,
+      blockNumber: 12,
+      transactionHash: `0x${"ab".repeat(32)}`,
+      timestamp: 1767225600,
+      data
+    };
+  }
+
+  beforeEach(async function () {
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "agentx-webhooks-")), "webhooks.json");
+    received = [];
+    statuses = [];
+
+    // Local receiver answering with the queued status codes, then 200
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => body += chunk);
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(statuses.shift() || 200);
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  afterEach(async function () {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  it("Should deliver subscribed events signed with the webhook secret", async function () {
+    const dispatcher = new WebhookDispatcher({
+      file,
+      allowedHosts,
+      resolveContent: async value => ({ value: "Full response text", uri: value })
+    });
+    const webhook = dispatcher.addWebhook(agent, { url, events: ["ResponseUpdated"], owner });
+
+    await dispatcher.handleActivity(activity("GoalUpdated", { newGoal: "Ignored" }));
+    const [delivery] = await dispatcher.handleActivity(activity("ResponseUpdated", { response: "ipfs://bafyresponse" }));
+
+    expect(received).to.have.length(1);
+    const { headers, body } = received[0];
+    expect(headers["x-agentx-event"]).to.equal("ResponseUpdated");
+    expect(headers["x-agentx-delivery"]).to.equal(delivery.id);
+    expect(headers["x-agentx-signature"])
+      .to.equal(WebhookDispatcher.sign(webhook.secret, headers["x-agentx-timestamp"], body));
+
+    const payload = JSON.parse(body);
+    expect(payload).to.include({ id: delivery.id, event: "ResponseUpdated", agent, blockNumber: 12 });
+    expect(payload.data).to.deep.equal({ response: "Full response text", responseURI: "ipfs://bafyresponse" });
+
+    expect(delivery.status).to.equal("delivered");
+    expect(delivery.responses[0]).to.include({ attempt: 1, statusCode: 200 });
+  });
+
+  it("Should retry failed deliveries with backoff and log every attempt", async function () {
+    const dispatcher = new WebhookDispatcher({ file, allowedHosts, maxAttempts: 3, retryBaseDelay: 1000 });
+    const webhook = dispatcher.addWebhook(agent, { url, owner });
+    statuses.push(500, 503);
+
+    const [delivery] = await dispatcher.handleActivity(activity("AgentDeactivated", {}));
+    expect(delivery.status).to.equal("pending");
+    expect(delivery.nextAttemptAt - delivery.updatedAt).to.be.closeTo(1000, 50);
+
+    // Not due yet
+    await dispatcher.processDue(delivery.updatedAt);
+    expect(received).to.have.length(1);
+
+    await dispatcher.processDue(delivery.nextAttemptAt);
+    expect(delivery.nextAttemptAt - delivery.updatedAt).to.be.closeTo(2000, 50);
+
+    await dispatcher.processDue(delivery.nextAttemptAt);
+    expect(delivery.status).to.equal("delivered");
+    expect(delivery.responses.map(response => response.statusCode)).to.deep.equal([500, 503, 200]);
+    expect(delivery.responses[0].error).to.equal("Receiver responded with 500");
+
+    // The delivery log survives restarts
+    const [logged] = new WebhookDispatcher({ file }).getDeliveries(webhook.id);
+    expect(logged).to.include({ id: delivery.id, status: "delivered", attempts: 3 });
+  });
+
+  it("Should give up after the last attempt", async function () {
+    const dispatcher = new WebhookDispatcher({ file, allowedHosts, maxAttempts: 2, retryBaseDelay: 0 });
+    dispatcher.addWebhook(agent, { url: "http://127.0.0.1:1/unreachable", owner });
+
+    const [delivery] = await dispatcher.handleActivity(activity("GoalUpdated", { newGoal: "New goal" }));
+    await dispatcher.processDue(delivery.nextAttemptAt);
+
+    expect(delivery.status).to.equal("failed");
+    expect(delivery.responses).to.have.length(2);
+    expect(delivery.responses[1].error).to.match(/ECONNREFUSED/);
+  });
+
+  it("Should drop webhooks of earlier owners", async function () {
+    const dispatcher = new WebhookDispatcher({ file, allowedHosts });
+    const newOwner = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    dispatcher.addWebhook(agent, { url, owner });
+
+    // A transfer the dispatcher missed: the previous owner's webhook is skipped
+    expect(await dispatcher.handleActivity({ ...activity("GoalUpdated", { newGoal: "New goal" }), owner: newOwner })).to.deep.equal([]);
+
+    const kept = dispatcher.addWebhook(agent, { url, owner: newOwner });
+    await dispatcher.handleActivity({ ...activity("OwnershipTransferred", { previousOwner: owner, newOwner }), owner: newOwner });
+
+    expect(dispatcher.getWebhooks(agent).map(webhook => webhook.id)).to.deep.equal([kept.id]);
+    expect(received).to.have.length(0);
+  });
+
+  it("Should not deliver to private addresses unless allowed", async function () {
+    const dispatcher = new WebhookDispatcher({ file, allowedHosts, maxAttempts: 1 });
+    dispatcher.addWebhook(agent, { url: "http://169.254.169.254/latest/meta-data", owner });
+
+    const [delivery] = await dispatcher.handleActivity(activity("AgentActivated", {}));
+    expect(delivery.status).to.equal("failed");
+    expect(delivery.responses[0].error).to.match(/^url must point to a public host \(169.254.169.254 is private/);
+
+    // Names are checked against the addresses they resolve to
+    const lookup = hostname => new Promise(resolve => dispatcher.lookup(hostname, { all: true }, resolve));
+    expect((await lookup("localhost")).message).to.equal("localhost resolves to a private address");
+    expect(await new Promise(resolve => new WebhookDispatcher({ file, allowedHosts: ["localhost"] }).lookup("localhost", {}, resolve)))
+      .to.equal(null);
+  });
+
+  it("Should validate webhook registrations", function () {
+    expect(validateWebhook({ url }, allowedHosts)).to.equal(null);
+    expect(validateWebhook({ url: "https://example.com/hooks", events: ["GoalUpdated", "AgentActivated"] })).to.equal(null);
+    expect(validateWebhook({ url: "not a url" })).to.equal("url must be a valid URL");
+    expect(validateWebhook({ url: "ftp://example.com/hook" })).to.equal("url must use http or https");
+    expect(validateWebhook({ url, events: [] }, allowedHosts)).to.equal("events must be a non-empty array");
+    expect(validateWebhook({ url, events: ["MemoryStored"] }, allowedHosts)).to.match(/^Unknown webhook event: MemoryStored/);
+
+    for (const host of ["127.0.0.1", "localhost", "169.254.169.254", "10.0.0.8", "192.168.1.1", "[::1]", "[fe80::1]", "[::ffff:127.0.0.1]"]) {
+      expect(validateWebhook({ url: `http://${host}/hooks` })).to.match(/^url must point to a public host/);
+    }
+  });
+});
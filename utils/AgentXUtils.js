@@ -1,30 +1,45 @@
 const { ethers } = require("ethers");
+const TransactionManager = require("./TransactionManager");
+const ContentStore = require("./ContentStore");
+const { applyAgentQuery } = require("./agentQuery");
+const { buildCallIntent, buildCreateAgentIntent } = require("./intents");
+const { selectorOf } = require("./actions");
+const { parsePromptConfig, encodePromptConfig, resolvePromptConfig } = require("./prompts");
+const { toolCallsFromTranscript } = require("../executor/tools");
 require("dotenv").config();
 
 // Import contract ABIs
 const AgentFactoryABI = require("../artifacts/contracts/AgentFactory.sol/AgentFactory.json").abi;
 const AgentABI = require("../artifacts/contracts/Agent.sol/Agent.json").abi;
 
+// Proposals read per call when filtering them by status
+const PROPOSAL_PAGE_SIZE = 100;
+
 class AgentXUtils {
-  constructor() {
+  // Signs with PRIVATE_KEY unless another key is given (e.g. a service account's)
+  constructor({ privateKey = process.env.PRIVATE_KEY } = {}) {
+    this.privateKey = privateKey;
     this.provider = null;
     this.wallet = null;
+    this.txManager = null;
     this.agentFactory = null;
     this.deploymentInfo = null;
+    this.contentStore = new ContentStore();
+    this.index = null;
     
     this.init();
   }
   
   async init() {
     const rpcUrl = process.env.MONARD_RPC_URL || "https://rpc.monard.network";
-    const privateKey = process.env.PRIVATE_KEY;
     
-    if (!privateKey) {
+    if (!this.privateKey) {
       throw new Error("PRIVATE_KEY environment variable not set");
     }
     
     this.provider = new ethers.JsonRpcProvider(rpcUrl);
-    this.wallet = new ethers.Wallet(privateKey, this.provider);
+    this.wallet = new ethers.Wallet(this.privateKey, this.provider);
+    this.txManager = TransactionManager.forWallet(this.wallet);
     
     // Load deployment info
     try {
@@ -42,38 +57,194 @@ class AgentXUtils {
     }
   }
   
-  // Create a new agent
-  async createAgent(goal) {
+  // Serve agent reads from the indexer's local database while it is up to date (see indexer/)
+  useIndex(index) {
+    this.index = index;
+  }
+  
+  readIndex() {
+    return this.index && this.index.isReady(this.deploymentInfo?.agentFactory) ? this.index : null;
+  }
+  
+  // Create a new agent (optionally authorizing off-chain executors up front)
+  async createAgent(goal, executors = []) {
     if (!this.agentFactory) {
       throw new Error("AgentFactory not initialized. Deploy contracts first.");
     }
     
     console.log(`🤖 Creating new agent with goal: "${goal}"`);
     
-    const tx = await this.agentFactory.createAgent(goal);
-    const receipt = await tx.wait();
+    const tx = executors.length > 0
+      ? await this.txManager.send(this.agentFactory, "createAgentWithExecutors", [goal, executors])
+      : await this.txManager.send(this.agentFactory, "createAgent", [goal]);
+    const agentAddress = this.findCreatedAgent(tx.receipt);
+    
+    if (agentAddress) {
+      console.log(`✅ Agent created at: ${agentAddress}`);
+      console.log(`📊 Transaction hash: ${tx.hash}`);
+      
+      return agentAddress;
+    }
     
-    // Find the agent created event
-    const event = receipt.logs.find(log => {
+    throw new Error("Failed to create agent");
+  }
+  
+  // Get the address from a receipt's AgentCreated event, or null
+  findCreatedAgent(receipt) {
+    for (const log of receipt.logs) {
       try {
         const parsed = this.agentFactory.interface.parseLog(log);
-        return parsed.name === "AgentCreated";
+        
+        if (parsed?.name === "AgentCreated") {
+          return parsed.args.agent;
+        }
       } catch {
-        return false;
+        // Not a factory event
       }
+    }
+    
+    return null;
+  }
+  
+  // Prepare an unsigned createAgent transaction for `from` to sign with their own wallet
+  async prepareCreateAgent(from, goal, executors = []) {
+    if (!this.agentFactory) {
+      throw new Error("AgentFactory not initialized. Deploy contracts first.");
+    }
+    
+    return executors.length > 0
+      ? this.prepareTransaction(from, this.agentFactory, "createAgentWithExecutors", [goal, executors])
+      : this.prepareTransaction(from, this.agentFactory, "createAgent", [goal]);
+  }
+  
+  // Prepare an unsigned agent call, e.g. prepareAgentTransaction(owner, agent, "updateGoal", ["New goal"])
+  async prepareAgentTransaction(from, agentAddress, method, args = [], value = 0n) {
+    return this.prepareTransaction(from, this.getAgentContract(agentAddress), method, args, value);
+  }
+  
+  // Encode the call and fill in what a wallet needs to sign it (value in wei). Gas is
+  // estimated as `from`, so calls `from` isn't allowed to make fail here with the revert reason.
+  async prepareTransaction(from, contract, method, args = [], value = 0n) {
+    const to = await contract.getAddress();
+    const data = contract.interface.encodeFunctionData(method, args);
+    
+    const [estimate, network, nonce, fees] = await Promise.all([
+      this.provider.estimateGas({ from, to, data, value }),
+      this.provider.getNetwork(),
+      this.provider.getTransactionCount(from, "pending"),
+      this.txManager.getFees()
+    ]);
+    const gasLimit = estimate + (estimate * this.txManager.gasLimitBufferPercent) / 100n;
+    
+    return {
+      from,
+      to,
+      data,
+      value: value.toString(),
+      chainId: Number(network.chainId),
+      nonce,
+      gasLimit: gasLimit.toString(),
+      ...Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()]))
+    };
+  }
+  
+  // Broadcast a transaction the user signed with their own wallet and wait for it
+  // (check the target with isAgentXContract first)
+  async relayTransaction(signedTransaction) {
+    const tx = ethers.Transaction.from(signedTransaction);
+    const response = await this.provider.broadcastTransaction(signedTransaction);
+    console.log(`📡 Relayed transaction from ${tx.from}: ${response.hash}`);
+    
+    const receipt = await this.txManager.waitForAny([response.hash]);
+    const result = { hash: response.hash, from: tx.from, to: tx.to, nonce: tx.nonce };
+    
+    if (!receipt) {
+      return { ...result, status: "pending" };
+    }
+    
+    return {
+      ...result,
+      status: receipt.status === 1 ? "confirmed" : "reverted",
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      agentAddress: this.findCreatedAgent(receipt)
+    };
+  }
+  
+  // Prepare an EIP-712 intent to create an agent owned by `owner`, for a relayer to submit gaslessly
+  async prepareCreateAgentIntent(owner, goal, executors = [], deadline = intentDeadline()) {
+    if (!this.agentFactory) {
+      throw new Error("AgentFactory not initialized. Deploy contracts first.");
+    }
+    
+    const [nonce, network] = await Promise.all([this.agentFactory.nonces(owner), this.provider.getNetwork()]);
+    
+    return buildCreateAgentIntent({
+      owner,
+      factory: this.deploymentInfo.agentFactory,
+      chainId: network.chainId,
+      goal,
+      executors,
+      nonce,
+      deadline
     });
+  }
+  
+  // Prepare an EIP-712 intent for an agent call signed by `signer`, e.g. prepareAgentIntent(owner, agent, "setActive", [false])
+  async prepareAgentIntent(signer, agentAddress, method, args = [], deadline = intentDeadline()) {
+    const agent = this.getAgentContract(agentAddress);
+    const [nonce, network] = await Promise.all([agent.nonces(signer), this.provider.getNetwork()]);
     
-    if (event) {
-      const parsed = this.agentFactory.interface.parseLog(event);
-      const agentAddress = parsed.args.agent;
+    return buildCallIntent({
+      signer,
+      agent: agentAddress,
+      chainId: network.chainId,
+      data: agent.interface.encodeFunctionData(method, args),
+      nonce,
+      deadline
+    });
+  }
+  
+  // Submit a signed intent, paying its gas. Returns the transaction result and,
+  // for CreateAgent intents, the new agent's address.
+  async relayIntent(intent, signature) {
+    const { primaryType, domain, message } = intent;
+    
+    if (primaryType === "CreateAgent") {
+      console.log(`🎟️  Relaying agent creation for ${message.owner}`);
       
-      console.log(`✅ Agent created at: ${agentAddress}`);
-      console.log(`📊 Transaction hash: ${tx.hash}`);
+      const tx = await this.txManager.send(
+        this.agentFactory,
+        "createAgentBySig",
+        [message.owner, message.goal, message.executors, message.deadline, signature]
+      );
       
-      return agentAddress;
+      return { ...tx, agentAddress: this.findCreatedAgent(tx.receipt) };
     }
     
-    throw new Error("Failed to create agent");
+    if (primaryType === "Call") {
+      console.log(`🎟️  Relaying call from ${intent.signer} to agent ${domain.verifyingContract}`);
+      
+      const agent = this.getAgentContract(domain.verifyingContract);
+      const tx = await this.txManager.send(agent, "executeBySig", [intent.signer, message.data, message.deadline, signature]);
+      
+      return { ...tx, agentAddress: domain.verifyingContract };
+    }
+    
+    throw new Error(`Unknown intent type: ${primaryType}`);
+  }
+  
+  // Whether an address is the AgentFactory or one of its agents
+  async isAgentXContract(address) {
+    if (!this.agentFactory) {
+      return false;
+    }
+    
+    if (address.toLowerCase() === this.deploymentInfo.agentFactory.toLowerCase()) {
+      return true;
+    }
+    
+    return this.agentFactory.isValidAgent(address);
   }
   
   // Get agent instance
@@ -81,6 +252,11 @@ class AgentXUtils {
     return new ethers.Contract(agentAddress, AgentABI, this.wallet);
   }
   
+  // Get an agent's current on-chain owner (always read from the chain, for authorization)
+  async getAgentOwner(agentAddress) {
+    return this.getAgentContract(agentAddress).owner();
+  }
+  
   // Get user's agents
   async getUserAgents(userAddress = null) {
     if (!this.agentFactory) {
@@ -88,7 +264,8 @@ class AgentXUtils {
     }
     
     const address = userAddress || this.wallet.address;
-    const agents = await this.agentFactory.getUserAgents(address);
+    const index = this.readIndex();
+    const agents = index ? index.getUserAgents(address) : await this.agentFactory.getUserAgents(address);
     
     console.log(`📋 Found ${agents.length} agents for ${address}`);
     
@@ -101,8 +278,9 @@ class AgentXUtils {
       throw new Error("AgentFactory not initialized");
     }
     
-    const totalCount = await this.agentFactory.getAgentCount();
-    const agents = await this.agentFactory.getAgents(offset, limit);
+    const index = this.readIndex();
+    const totalCount = index ? index.getAgentCount() : await this.agentFactory.getAgentCount();
+    const agents = index ? index.getAgentAddresses(offset, limit) : await this.agentFactory.getAgents(offset, limit);
     
     console.log(`📊 Retrieved ${agents.length} agents (${offset}-${offset + agents.length} of ${totalCount})`);
     
@@ -113,15 +291,64 @@ class AgentXUtils {
     };
   }
   
-  // Get agent details
-  async getAgentInfo(agentAddress) {
+  // List agents matching a parsed listing query (see agentQuery.js), with details
+  async searchAgents(query, offset = 0, limit = 50) {
+    const index = this.readIndex();
+    
+    if (index) {
+      const { addresses, totalCount } = index.queryAgents(query, offset, limit);
+      const agents = await Promise.all(addresses.map(address => this.getAgentInfo(address)));
+      
+      return { agents, totalCount, hasMore: (offset + agents.length) < totalCount };
+    }
+    
+    // Without the index, every agent has to be loaded over RPC before filtering
+    const totalCount = Number(await this.agentFactory.getAgentCount());
+    const agents = [];
+    
+    for (let start = 0; start < totalCount; start += 100) {
+      const addresses = await this.agentFactory.getAgents(start, 100);
+      
+      for (const address of addresses) {
+        try {
+          agents.push(await this.getAgentInfo(address, { memoryLimit: 0 }));
+        } catch (error) {
+          console.error(`Error getting info for agent ${address}:`, error);
+        }
+      }
+    }
+    
+    const matches = applyAgentQuery(agents, query);
+    const page = await Promise.all(
+      matches.slice(offset, offset + limit).map(agent => this.getAgentInfo(agent.address))
+    );
+    
+    return { agents: page, totalCount: matches.length, hasMore: (offset + page.length) < matches.length };
+  }
+  
+  // Get agent details (memories are paginated, first 100 by default).
+  // Pass fresh to bypass the index, e.g. right after a write.
+  async getAgentInfo(agentAddress, { memoryOffset = 0, memoryLimit = 100, fresh = false } = {}) {
+    const index = !fresh && this.readIndex();
+    const indexed = index && index.getAgent(agentAddress, { memoryOffset, memoryLimit });
+    
+    if (indexed) {
+      return this.resolveAgentContent(indexed);
+    }
+    
     const agent = this.getAgentContract(agentAddress);
     const agentInfo = await agent.getAgentInfo();
-    const memories = await agent.getAllMemories();
+    const memories = await agent.getMemories(memoryOffset, memoryLimit);
+    const executors = await agent.getExecutors();
+    const [interval, cronSchedule] = await agent.getSchedule();
+    const modelConfig = await agent.getModelConfig();
+    const creditBalance = await agent.creditBalance();
+    const dailyTokenLimit = await agent.dailyTokenLimit();
+    const promptConfig = await agent.promptConfig();
     
     const [owner, goal, lastResponse, lastExecution, execCount, isActive, memoryCount] = agentInfo;
     
-    return {
+    return this.resolveAgentContent({
       address: agentAddress,
       owner,
       goal,
@@ -130,22 +357,96 @@ class AgentXUtils {
       executionCount: Number(execCount),
       isActive,
       memoryCount: Number(memoryCount),
-      memories: memories.map(memory => ({
-        key: memory.key,
-        value: memory.value,
-        timestamp: Number(memory.timestamp)
-      }))
+      executors: [...executors],
+      schedule: {
+        interval: Number(interval),
+        cron: cronSchedule
+      },
+      modelConfig: {
+        provider: modelConfig.provider,
+        model: modelConfig.model,
+        maxTokens: Number(modelConfig.maxTokens),
+        temperature: Number(modelConfig.temperature) / 100
+      },
+      dailyTokenLimit: Number(dailyTokenLimit),
+      promptConfig,
+      creditBalance: ethers.formatEther(creditBalance),
+      memories: memories.map(formatMemory)
+    });
+  }
+  
+  // Get agent memories (paginated)
+  async getAgentMemories(agentAddress, offset = 0, limit = 100) {
+    const index = this.readIndex();
+    const indexed = index && index.getMemories(agentAddress, offset, limit);
+    
+    if (indexed) {
+      return { ...indexed, memories: await this.resolveMemories(indexed.memories) };
+    }
+    
+    const agent = this.getAgentContract(agentAddress);
+    const [, , , , , , memoryCount] = await agent.getAgentInfo();
+    const memories = await agent.getMemories(offset, limit);
+    
+    return {
+      memories: await this.resolveMemories(memories),
+      totalCount: Number(memoryCount),
+      hasMore: (offset + memories.length) < Number(memoryCount)
+    };
+  }
+  
+  // Store content off-chain and return its CID and ipfs:// URI
+  storeContent(content) {
+    return this.contentStore.put(content);
+  }
+  
+  // Resolve an ipfs:// URI to its verified content; inline values are returned as-is.
+  // Content that cannot be resolved keeps its URI as the value and reports the error.
+  async resolveContent(value, expectedHash = null) {
+    if (!ContentStore.isContentURI(value)) {
+      return { value, uri: null };
+    }
+    
+    try {
+      const content = await this.contentStore.get(value);
+      
+      if (expectedHash && ethers.id(content) !== expectedHash) {
+        throw new Error(`Content ${value} does not match on-chain hash ${expectedHash}`);
+      }
+      
+      return { value: content, uri: value };
+    } catch (error) {
+      console.warn(`⚠️  Could not resolve ${value}: ${error.message}`);
+      return { value, uri: value, error: error.message };
+    }
+  }
+  
+  // Resolve the off-chain response and memory values of an agent info object
+  async resolveAgentContent(info) {
+    const { value, uri } = await this.resolveContent(info.lastResponse);
+    
+    return {
+      ...info,
+      lastResponse: value,
+      lastResponseURI: uri,
+      memories: await this.resolveMemories(info.memories)
     };
   }
   
+  async resolveMemories(memories) {
+    return Promise.all(memories.map(async (memory) => {
+      const { value, uri } = await this.resolveContent(memory.value);
+      return { ...formatMemory(memory), value, uri };
+    }));
+  }
+  
   // Update agent goal
   async updateAgentGoal(agentAddress, newGoal) {
     const agent = this.getAgentContract(agentAddress);
     
     console.log(`🎯 Updating agent goal to: "${newGoal}"`);
     
-    const tx = await agent.updateGoal(newGoal);
-    await tx.wait();
+    const tx = await this.txManager.send(agent, "updateGoal", [newGoal]);
     
     console.log(`✅ Goal updated successfully`);
     console.log(`📊 Transaction hash: ${tx.hash}`);
@@ -157,8 +458,7 @@ class AgentXUtils {
     
     console.log(`💾 Storing memory: ${key} = ${value}`);
     
-    const tx = await agent.storeMemory(key, value);
-    await tx.wait();
+    const tx = await this.txManager.send(agent, "storeMemory", [key, value]);
     
     console.log(`✅ Memory stored successfully`);
     console.log(`📊 Transaction hash: ${tx.hash}`);
@@ -170,26 +470,458 @@ class AgentXUtils {
     
     console.log(`📝 Storing response for agent ${agentAddress}`);
     
-    const tx = await agent.storeResponse(response);
-    await tx.wait();
+    const tx = await this.txManager.send(agent, "storeResponse", [response]);
     
     console.log(`✅ Response stored successfully`);
     console.log(`📊 Transaction hash: ${tx.hash}`);
   }
   
+  // Delete agent memory
+  async deleteAgentMemory(agentAddress, key) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`🗑️  Deleting memory: ${key}`);
+    
+    const tx = await this.txManager.send(agent, "deleteMemory", [key]);
+    
+    console.log(`✅ Memory deleted successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Record an execution atomically: response, execution record and memory updates (for executor).
+  // With offChain, the response and prompt are kept in the content store and only their URIs and hashes go on-chain.
+  async recordAgentExecution(agentAddress, response, { prompt = null, promptHash = ethers.ZeroHash, model = "", memories = {}, offChain = true } = {}) {
+    const agent = this.getAgentContract(agentAddress);
+    const keys = Object.keys(memories);
+    const values = keys.map(key => memories[key]);
+    
+    let responseValue = response;
+    let responseHash = ethers.ZeroHash;
+    let promptURI = "";
+    
+    if (offChain) {
+      responseValue = this.storeContent(response).uri;
+      responseHash = ethers.id(response);
+      
+      if (prompt) {
+        promptURI = this.storeContent(prompt).uri;
+        promptHash = ethers.id(prompt);
+      }
+    }
+    
+    console.log(`📝 Recording execution for agent ${agentAddress} with ${keys.length} memories`);
+    
+    const tx = await this.txManager.send(agent, "recordExecution", [responseValue, responseHash, promptHash, promptURI, model, keys, values]);
+    
+    console.log(`✅ Execution recorded successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Get agent execution records (paginated, newest first), optionally resolving off-chain responses
+  async getAgentExecutions(agentAddress, offset = 0, limit = 50, { resolve = false } = {}) {
+    const agent = this.getAgentContract(agentAddress);
+    const totalCount = Number(await agent.executionCount());
+    
+    const end = Math.max(totalCount - offset, 0);
+    const start = Math.max(end - limit, 0);
+    const records = end > start ? await agent.getExecutions(start, end - start) : [];
+    const executions = [...records].reverse().map(formatExecution);
+    
+    if (resolve) {
+      await Promise.all(executions.filter(execution => execution.responseURI).map(async (execution) => {
+        const { value, error } = await this.resolveContent(execution.responseURI, execution.responseHash);
+        execution.response = error ? null : value;
+        execution.verified = !error;
+      }));
+      
+      // The recorded prompt is the executor's full conversation, including tool calls and their results
+      await Promise.all(executions.filter(execution => execution.promptURI).map(async (execution) => {
+        const { value, error } = await this.resolveContent(execution.promptURI, execution.promptHash);
+        execution.toolCalls = error ? null : parseToolCalls(value);
+      }));
+    }
+    
+    return {
+      executions,
+      totalCount,
+      hasMore: start > 0
+    };
+  }
+  
+  // Set agent execution schedule (interval in seconds and/or cron expression)
+  async setAgentSchedule(agentAddress, interval = 0, cron = "") {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`⏰ Setting agent schedule: ${cron ? `cron "${cron}"` : `every ${interval}s`}`);
+    
+    const tx = await this.txManager.send(agent, "setSchedule", [interval, cron]);
+    
+    console.log(`✅ Schedule updated successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Set the LLM provider, model and parameters used by the executor (temperature as 0-2 float)
+  async setAgentModelConfig(agentAddress, { provider = "", model = "", maxTokens = 0, temperature = 0 }) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`🧠 Setting model config: ${provider || "executor default"}${model ? ` (${model})` : ""}`);
+    
+    const tx = await this.txManager.send(agent, "setModelConfig", [provider, model, maxTokens, Math.round(temperature * 100)]);
+    
+    console.log(`✅ Model config updated successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Cap the LLM tokens executors may spend on the agent per UTC day (0 removes the cap)
+  async setDailyTokenLimit(agentAddress, limit) {
+    const agent = this.getAgentContract(agentAddress);
+
+    console.log(`🪙 Setting daily token limit: ${limit || "unlimited"}`);
+
+    const tx = await this.txManager.send(agent, "setDailyTokenLimit", [limit]);
+
+    console.log(`✅ Daily token limit updated successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Value to write on-chain for a prompt config: its JSON, or with offChain the
+  // ipfs:// URI of the JSON in the content store (empty for the defaults)
+  storePromptConfig(config, { offChain = false } = {}) {
+    const value = encodePromptConfig(config);
+    return offChain && value ? this.contentStore.put(value).uri : value;
+  }
+  
+  // Set the agent's prompt template and system prompt (a validated config, see utils/prompts)
+  async setPromptConfig(agentAddress, config, { offChain = false } = {}) {
+    const agent = this.getAgentContract(agentAddress);
+    const stored = this.storePromptConfig(config, { offChain });
+    
+    console.log(`📝 Setting prompt config: ${stored ? resolvePromptConfig(config).name : "executor default"}`);
+    
+    const tx = await this.txManager.send(agent, "setPromptConfig", [stored]);
+    
+    console.log(`✅ Prompt config updated successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+    
+    return stored;
+  }
+  
+  // The agent's prompt config as stored, and the template and system prompt it selects.
+  // An invalid or unresolvable config is reported as `error` (the executor won't run the agent).
+  async getPromptConfig(agentAddress) {
+    const { promptConfig, modelConfig } = await this.getAgentInfo(agentAddress, { memoryLimit: 0 });
+    const { value, uri, error: resolveError } = await this.resolveContent(promptConfig);
+    const { config, error } = resolveError ? { error: `Could not resolve ${uri}` } : parsePromptConfig(value);
+    
+    return {
+      agentAddress,
+      uri,
+      config: config || null,
+      ...(error ? { error } : resolvePromptConfig(config, modelConfig.model))
+    };
+  }
+  
+  // Authorize an off-chain executor for an agent
+  async authorizeExecutor(agentAddress, executorAddress) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`🔑 Authorizing executor ${executorAddress}`);
+    
+    const tx = await this.txManager.send(agent, "authorizeExecutor", [executorAddress]);
+    
+    console.log(`✅ Executor authorized successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Revoke an off-chain executor
+  async revokeExecutor(agentAddress, executorAddress) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`🔒 Revoking executor ${executorAddress}`);
+    
+    const tx = await this.txManager.send(agent, "revokeExecutor", [executorAddress]);
+    
+    console.log(`✅ Executor revoked successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Check whether an address may write responses and memories to an agent
+  async canExecute(agentAddress, executorAddress = null) {
+    const agent = this.getAgentContract(agentAddress);
+    return agent.canExecute(executorAddress || this.wallet.address);
+  }
+  
   // Activate/deactivate agent
   async setAgentActive(agentAddress, isActive) {
     const agent = this.getAgentContract(agentAddress);
     
     console.log(`${isActive ? '▶️' : '⏸️'} ${isActive ? 'Activating' : 'Deactivating'} agent`);
     
-    const tx = await agent.setActive(isActive);
-    await tx.wait();
+    const tx = await this.txManager.send(agent, "setActive", [isActive]);
     
     console.log(`✅ Agent ${isActive ? 'activated' : 'deactivated'} successfully`);
     console.log(`📊 Transaction hash: ${tx.hash}`);
   }
   
+  // Calls the agent may make, its spending caps and the balance they can spend,
+  // which excludes execution credits (values in ether)
+  async getActionPolicy(agentAddress) {
+    const agent = this.getAgentContract(agentAddress);
+    const allowedActions = await agent.getAllowedActions();
+    const [maxActionValue, dailySpendLimit, spent, periodEnd] = await agent.getSpending();
+    const balance = await this.provider.getBalance(agentAddress) - await agent.creditBalance();
+    
+    return {
+      agentAddress,
+      autonomousActions: await agent.autonomousActions(),
+      allowedActions: allowedActions.map(action => ({ target: action.target, selector: action.selector })),
+      maxActionValue: ethers.formatEther(maxActionValue),
+      dailySpendLimit: ethers.formatEther(dailySpendLimit),
+      spentToday: ethers.formatEther(spent),
+      periodEnd: Number(periodEnd),
+      balance: ethers.formatEther(balance)
+    };
+  }
+  
+  // Allow or disallow a call the agent can make (selector "0x00000000" for plain value transfers)
+  async setActionPermission(agentAddress, target, selector, allowed) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`${allowed ? '✅ Allowing' : '🚫 Disallowing'} action ${selector} on ${target}`);
+    
+    const tx = await this.txManager.send(agent, "setActionPermission", [target, selector, allowed]);
+    
+    console.log(`✅ Action permission updated successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Cap the value of the agent's actions, in ether per action and per day
+  async setSpendingLimits(agentAddress, maxActionValue, dailySpendLimit) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`💸 Setting spending limits: ${maxActionValue} ETH per action, ${dailySpendLimit} ETH per day`);
+    
+    const tx = await this.txManager.send(agent, "setSpendingLimits", [
+      ethers.parseEther(String(maxActionValue)),
+      ethers.parseEther(String(dailySpendLimit))
+    ]);
+    
+    console.log(`✅ Spending limits updated successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Make an allowed call from the agent's address (value in ether)
+  async executeAgentAction(agentAddress, target, data, value = "0") {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`⚡ Executing action on ${target}`);
+    
+    const tx = await this.txManager.send(agent, "executeAction", [target, data, ethers.parseEther(String(value))]);
+    
+    console.log(`✅ Action executed successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+    return tx;
+  }
+  
+  // Let executors act without approval, or make their actions proposals for the owner
+  async setAutonomousActions(agentAddress, enabled) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`${enabled ? '🤖 Enabling' : '🙋 Disabling'} autonomous actions`);
+    
+    const tx = await this.txManager.send(agent, "setAutonomousActions", [enabled]);
+    
+    console.log(`✅ Autonomous actions ${enabled ? 'enabled' : 'disabled'} successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Propose an allowed call for the owner to approve (value in ether, expiresAt in seconds)
+  async proposeAgentAction(agentAddress, target, data, value = "0", expiresAt) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`📨 Proposing action on ${target}`);
+    
+    const tx = await this.txManager.send(agent, "proposeAction", [target, data, ethers.parseEther(String(value)), expiresAt]);
+    const proposed = tx.receipt.logs
+      .map(log => agent.interface.parseLog(log))
+      .find(event => event && event.name === "ActionProposed");
+    
+    console.log(`✅ Action proposed successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+    return { id: Number(proposed.args.id), txHash: tx.hash };
+  }
+  
+  // Get action proposals (newest first), optionally only those with a status
+  // (pending, expired, executed or rejected). Only the requested page is read,
+  // except that filtering by status reads pages of proposals until it is filled;
+  // totalCount is then null unless every proposal was read.
+  async getAgentProposals(agentAddress, offset = 0, limit = 50, { status = null } = {}) {
+    const agent = this.getAgentContract(agentAddress);
+    const count = Number(await agent.getProposalCount());
+    const { timestamp } = await this.provider.getBlock("latest");
+    
+    // Proposals are stored oldest first, so the newest-first page [offset, offset + limit)
+    // ends `offset` proposals before the last one
+    const readNewest = async (skip, size) => {
+      const end = Math.max(count - skip, 0);
+      const start = Math.max(end - size, 0);
+      const records = end > start ? await agent.getProposals(start, end - start) : [];
+      
+      return [...records].reverse().map(record => formatProposal(record, timestamp));
+    };
+    
+    if (!status) {
+      return {
+        proposals: await readNewest(offset, limit),
+        totalCount: count,
+        hasMore: offset + limit < count
+      };
+    }
+    
+    // One more match than the page holds tells whether there are more
+    const matches = [];
+    let read = 0;
+    
+    while (read < count && matches.length <= offset + limit) {
+      const page = await readNewest(read, PROPOSAL_PAGE_SIZE);
+      matches.push(...page.filter(proposal => proposal.status === status));
+      read += page.length;
+    }
+    
+    return {
+      proposals: matches.slice(offset, offset + limit),
+      totalCount: read === count ? matches.length : null,
+      hasMore: offset + limit < matches.length
+    };
+  }
+  
+  // Approve a pending proposal, which executes its call
+  async approveProposal(agentAddress, id) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`👍 Approving proposal #${id}`);
+    
+    const tx = await this.txManager.send(agent, "approveProposal", [id]);
+    
+    console.log(`✅ Proposal approved and executed successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+    return tx;
+  }
+  
+  async rejectProposal(agentAddress, id) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`👎 Rejecting proposal #${id}`);
+    
+    const tx = await this.txManager.send(agent, "rejectProposal", [id]);
+    
+    console.log(`✅ Proposal rejected successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+    return tx;
+  }
+  
+  // Prepay execution fees (amount in ether)
+  async depositCredits(agentAddress, amount) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`💰 Depositing ${amount} ETH of execution credits`);
+    
+    const tx = await this.txManager.send(agent, "depositCredits", [], { value: ethers.parseEther(String(amount)) });
+    
+    console.log(`✅ Credits deposited successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Withdraw unused execution credits to the owner (amount in ether)
+  async withdrawCredits(agentAddress, amount) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`💸 Withdrawing ${amount} ETH of execution credits`);
+    
+    const tx = await this.txManager.send(agent, "withdrawCredits", [ethers.parseEther(String(amount))]);
+    
+    console.log(`✅ Credits withdrawn successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Publish the fee this wallet charges agents per execution (in ether)
+  async setExecutionFee(fee) {
+    if (!this.agentFactory) {
+      throw new Error("AgentFactory not initialized");
+    }
+    
+    console.log(`🏷️  Setting execution fee: ${fee} ETH`);
+    
+    const tx = await this.txManager.send(this.agentFactory, "setExecutionFee", [ethers.parseEther(String(fee))]);
+    
+    console.log(`✅ Execution fee updated successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Fees (in wei) the given executors charge per execution, keyed by lowercase address
+  async getExecutionFees(executors) {
+    const unique = [...new Set(executors.map(executor => executor.toLowerCase()))];
+    const fees = await Promise.all(unique.map(executor => this.agentFactory.executionFees(executor)));
+    
+    return Object.fromEntries(unique.map((executor, i) => [executor, fees[i]]));
+  }
+  
+  // Highest fees (in wei) an agent agreed to pay the given executors, keyed by lowercase address
+  async getMaxExecutionFees(agentAddress, executors) {
+    const agent = this.getAgentContract(agentAddress);
+    const maxFees = await Promise.all(executors.map(executor => agent.maxExecutionFee(executor)));
+    
+    return Object.fromEntries(executors.map((executor, i) => [executor.toLowerCase(), maxFees[i]]));
+  }
+  
+  // Let an executor charge the agent up to the given fee (in ether) per execution
+  async setMaxExecutionFee(agentAddress, executor, maxFee) {
+    const agent = this.getAgentContract(agentAddress);
+    
+    console.log(`🏷️  Approving execution fees up to ${maxFee} ETH for ${executor}`);
+    
+    const tx = await this.txManager.send(agent, "setMaxExecutionFee", [executor, ethers.parseEther(String(maxFee))]);
+    
+    console.log(`✅ Maximum execution fee updated successfully`);
+    console.log(`📊 Transaction hash: ${tx.hash}`);
+  }
+  
+  // Credit balance of an agent and how many executions it pays each of its executors for
+  async getAgentCredits(agentAddress) {
+    const agent = this.getAgentContract(agentAddress);
+    const [creditBalance, executors] = await Promise.all([agent.creditBalance(), agent.getExecutors()]);
+    const [fees, maxFees] = await Promise.all([
+      this.getExecutionFees([...executors]),
+      this.getMaxExecutionFees(agentAddress, [...executors])
+    ]);
+    
+    return { agentAddress, ...creditStatus(ethers.formatEther(creditBalance), executors, fees, maxFees) };
+  }
+  
+  // Active agents none of whose executors will run them until they are topped up
+  async getOutOfCreditAgents() {
+    const agents = [];
+    
+    for (let offset = 0, hasMore = true; hasMore; offset += 100) {
+      const page = await this.getAllAgents(offset, 100);
+      agents.push(...await Promise.all(page.agents.map(address => this.getAgentInfo(address))));
+      hasMore = page.hasMore;
+    }
+    
+    return this.findOutOfCreditAgents(agents);
+  }
+  
+  // The out of credit agents among those given (in getAgentInfo shape)
+  async findOutOfCreditAgents(agents) {
+    const active = agents.filter(info => info.isActive);
+    const fees = await this.getExecutionFees(active.flatMap(info => info.executors));
+    const maxFees = await Promise.all(active.map(info => this.getMaxExecutionFees(info.address, info.executors)));
+    
+    return active
+      .map((info, i) => ({ agentAddress: info.address, owner: info.owner, ...creditStatus(info.creditBalance, info.executors, fees, maxFees[i]) }))
+      .filter(credits => credits.outOfCredit);
+  }
+  
   // Get network info
   async getNetworkInfo() {
     const network = await this.provider.getNetwork();
@@ -205,4 +937,89 @@ class AgentXUtils {
   }
 }
 
+// Default expiry for signed intents (INTENT_TTL seconds from now)
+function intentDeadline() {
+  return Math.floor(Date.now() / 1000) + (parseInt(process.env.INTENT_TTL) || 3600);
+}
+
+function formatMemory(memory) {
+  return {
+    key: memory.key,
+    value: memory.value,
+    timestamp: Number(memory.timestamp)
+  };
+}
+
+// Tool calls of a recorded executor conversation ([] for other prompt content)
+function parseToolCalls(promptContent) {
+  try {
+    const messages = JSON.parse(promptContent);
+    return Array.isArray(messages) ? toolCallsFromTranscript(messages) : [];
+  } catch {
+    return [];
+  }
+}
+
+function formatExecution(record) {
+  return {
+    index: Number(record.index),
+    timestamp: Number(record.timestamp),
+    date: new Date(Number(record.timestamp) * 1000).toISOString(),
+    promptHash: record.promptHash,
+    responseHash: record.responseHash,
+    model: record.model,
+    executor: record.executor,
+    promptURI: record.promptURI || null,
+    responseURI: record.responseURI || null
+  };
+}
+
+// An agent is out of credit when it can't pay any of its executors that charge a fee,
+// including executors that now charge more than the agent agreed to pay
+function creditStatus(creditBalance, executors, fees, maxFees) {
+  const balance = ethers.parseEther(creditBalance);
+  const charges = executors.map(address => {
+    const fee = fees[address.toLowerCase()] ?? 0n;
+    const maxFee = maxFees[address.toLowerCase()] ?? 0n;
+    
+    // The agent rejects responses from executors charging more than it agreed to pay
+    return {
+      address,
+      fee: ethers.formatEther(fee),
+      maxFee: ethers.formatEther(maxFee),
+      executionsRemaining: fee > maxFee ? 0 : fee > 0n ? Number(balance / fee) : null
+    };
+  });
+  
+  return {
+    creditBalance,
+    executors: charges,
+    outOfCredit: charges.length > 0 && charges.every(charge => charge.executionsRemaining === 0)
+  };
+}
+
+// Agent.ProposalStatus values, by index
+const PROPOSAL_STATUS_NAMES = ["pending", "executed", "rejected"];
+
+// Pending proposals past their expiry (at the given chain time) are reported as expired
+function formatProposal(record, now) {
+  let status = PROPOSAL_STATUS_NAMES[Number(record.status)];
+  
+  if (status === "pending" && Number(record.expiresAt) < now) {
+    status = "expired";
+  }
+  
+  return {
+    id: Number(record.id),
+    proposer: record.proposer,
+    target: record.target,
+    selector: selectorOf(record.data),
+    value: ethers.formatEther(record.value),
+    data: record.data,
+    expiresAt: Number(record.expiresAt),
+    createdAt: Number(record.timestamp),
+    status
+  };
+}
+
 module.exports = AgentXUtils;
@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+require("dotenv").config();
+
+const DEFAULT_CONTENT_DIR = path.join(__dirname, "../data/content");
+const URI_PREFIX = "ipfs://";
+
+// CIDv1 prefix bytes: version 1, raw codec (0x55), sha2-256 multihash (0x12) of 32 bytes
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+/**
+ * Content-addressed storage for prompts and responses that are too large or
+ * too expensive to keep on-chain.
+ *
+ * Content is stored on the local filesystem under its IPFS CIDv1 (raw codec,
+ * sha2-256, base32), so the same CID resolves on any IPFS gateway. The API
+ * server serves the store at `/ipfs/:cid` as a local stand-in for a gateway;
+ * set `IPFS_GATEWAY_URL` to resolve content missing from the local store.
+ * Content read back from anywhere is verified against its CID.
+ */
+class ContentStore {
+  constructor({
+    dir = process.env.CONTENT_STORE_DIR || DEFAULT_CONTENT_DIR,
+    gatewayUrl = process.env.IPFS_GATEWAY_URL || null
+  } = {}) {
+    this.dir = dir;
+    this.gatewayUrl = gatewayUrl ? gatewayUrl.replace(/\/$/, "") : null;
+  }
+
+  static computeCID(content) {
+    const digest = crypto.createHash("sha256").update(Buffer.from(content, "utf8")).digest();
+    return `b${base32Encode(Buffer.concat([CID_PREFIX, digest]))}`;
+  }
+
+  static isContentURI(value) {
+    return typeof value === "string" && value.startsWith(URI_PREFIX);
+  }
+
+  static toCID(cidOrUri) {
+    const cid = ContentStore.isContentURI(cidOrUri) ? cidOrUri.slice(URI_PREFIX.length) : cidOrUri;
+
+    if (!/^b[a-z2-7]+$/.test(cid)) {
+      throw new Error(`Invalid content identifier: ${cidOrUri}`);
+    }
+
+    return cid;
+  }
+
+  // Store content and return its CID and URI (idempotent)
+  put(content) {
+    const cid = ContentStore.computeCID(content);
+    const file = this.getPath(cid);
+
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(file, content, "utf8");
+    }
+
+    return {
+      cid,
+      uri: `${URI_PREFIX}${cid}`,
+      size: Buffer.byteLength(content, "utf8")
+    };
+  }
+
+  has(cidOrUri) {
+    return fs.existsSync(this.getPath(ContentStore.toCID(cidOrUri)));
+  }
+
+  // Resolve content by CID or ipfs:// URI, verifying it matches its CID
+  async get(cidOrUri) {
+    const cid = ContentStore.toCID(cidOrUri);
+    const file = this.getPath(cid);
+    let content;
+
+    if (fs.existsSync(file)) {
+      content = fs.readFileSync(file, "utf8");
+    } else if (this.gatewayUrl) {
+      const response = await axios.get(`${this.gatewayUrl}/ipfs/${cid}`, {
+        responseType: "text",
+        transformResponse: data => data,
+        timeout: 10000
+      });
+      content = response.data;
+    } else {
+      throw new Error(`Content ${cid} not found`);
+    }
+
+    if (ContentStore.computeCID(content) !== cid) {
+      throw new Error(`Content ${cid} failed verification`);
+    }
+
+    // Cache verified remote content locally
+    if (!fs.existsSync(file)) {
+      this.put(content);
+    }
+
+    return content;
+  }
+
+  getPath(cid) {
+    return path.join(this.dir, cid);
+  }
+}
+
+// RFC 4648 base32, lowercase, no padding (the IPFS "b" multibase)
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+module.exports = ContentStore;
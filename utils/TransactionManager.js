@@ -0,0 +1,271 @@
+const { ethers } = require("ethers");
+require("dotenv").config();
+
+// One manager per wallet address, so every component in a process shares the same nonce sequence
+const managers = new Map();
+
+// Nodes reject a replacement unless it raises every fee by at least this much
+const MIN_REPLACEMENT_BUMP_PERCENT = 10n;
+
+/**
+ * Sends contract transactions for a single wallet.
+ *
+ * - Nonces are assigned locally and serialized, so concurrent sends never collide.
+ * - Fees use EIP-1559 (falling back to legacy gas price) and are capped.
+ * - Transactions that are not mined within the confirmation timeout are
+ *   replaced with the same nonce and bumped fees. When they are given up on,
+ *   they are cancelled if the fee caps leave room, and the next send takes its
+ *   nonce from the node again.
+ * - Every send resolves to a final status report, or throws with it attached.
+ */
+class TransactionManager {
+  constructor(wallet, options = {}) {
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.maxFeePerGas = ethers.parseUnits(String(options.maxFeeGwei || process.env.TX_MAX_FEE_GWEI || "500"), "gwei");
+    this.maxPriorityFeePerGas = ethers.parseUnits(String(options.maxPriorityFeeGwei || process.env.TX_MAX_PRIORITY_FEE_GWEI || "50"), "gwei");
+    this.confirmationTimeout = (options.confirmationTimeout || parseInt(process.env.TX_CONFIRMATION_TIMEOUT) || 120) * 1000;
+    this.maxReplacements = options.maxReplacements ?? (parseInt(process.env.TX_MAX_REPLACEMENTS) || 3);
+    this.feeBumpPercent = BigInt(options.feeBumpPercent || parseInt(process.env.TX_FEE_BUMP_PERCENT) || 20);
+    this.gasLimitBufferPercent = 20n;
+    this.pollInterval = options.pollInterval || 2000;
+
+    this.nextNonce = null;
+    this.lock = Promise.resolve();
+  }
+
+  // Get the shared manager for a wallet
+  static forWallet(wallet, options = {}) {
+    const key = wallet.address.toLowerCase();
+
+    if (!managers.has(key)) {
+      managers.set(key, new TransactionManager(wallet, options));
+    }
+
+    return managers.get(key);
+  }
+
+  // Send a contract method call, e.g. send(agent, "updateGoal", ["New goal"])
+  async send(contract, method, args = [], overrides = {}) {
+    const txRequest = await contract[method].populateTransaction(...args, overrides);
+    return this.sendTransaction(txRequest, method);
+  }
+
+  async sendTransaction(txRequest, label = "transaction") {
+    // Estimate before reserving a nonce so a reverting call never leaves a gap
+    const gasLimit = txRequest.gasLimit ?? await this.estimateGas(txRequest);
+    const fees = await this.getFees();
+
+    const response = await this.withLock(async () => {
+      const nonce = await this.reserveNonce();
+
+      try {
+        return await this.wallet.sendTransaction({ ...txRequest, nonce, gasLimit, ...fees });
+      } catch (error) {
+        // Our view of the nonce is out of sync with the node; resync on next send
+        this.nextNonce = null;
+        throw error;
+      }
+    });
+
+    console.log(`📤 Sent ${label} (nonce ${response.nonce}): ${response.hash}`);
+
+    return this.waitForConfirmation(response, { ...txRequest, gasLimit }, fees, label);
+  }
+
+  async estimateGas(txRequest) {
+    const estimate = await this.wallet.estimateGas(txRequest);
+    return estimate + (estimate * this.gasLimitBufferPercent) / 100n;
+  }
+
+  // EIP-1559 fees capped by configuration, or a capped legacy gas price
+  async getFees() {
+    const feeData = await this.provider.getFeeData();
+
+    if (feeData.maxFeePerGas != null) {
+      const maxPriorityFeePerGas = min(feeData.maxPriorityFeePerGas ?? 0n, this.maxPriorityFeePerGas);
+      const maxFeePerGas = min(feeData.maxFeePerGas, this.maxFeePerGas);
+
+      return {
+        maxFeePerGas: maxFeePerGas > maxPriorityFeePerGas ? maxFeePerGas : maxPriorityFeePerGas,
+        maxPriorityFeePerGas
+      };
+    }
+
+    return { gasPrice: min(feeData.gasPrice, this.maxFeePerGas) };
+  }
+
+  // Fees for replacing a pending transaction, or null if the caps leave too little room
+  // to raise every fee enough (e.g. a priority fee bump alone is rejected as underpriced)
+  bumpFees(fees) {
+    const bump = (value, cap) => min(value + (value * this.feeBumpPercent) / 100n, cap);
+    const bumped = fees.gasPrice != null
+      ? { gasPrice: bump(fees.gasPrice, this.maxFeePerGas) }
+      : {
+        maxFeePerGas: bump(fees.maxFeePerGas, this.maxFeePerGas),
+        maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas, min(this.maxPriorityFeePerGas, this.maxFeePerGas))
+      };
+
+    const replaceable = Object.keys(bumped)
+      .every(key => bumped[key] * 100n >= fees[key] * (100n + MIN_REPLACEMENT_BUMP_PERCENT));
+
+    return replaceable ? bumped : null;
+  }
+
+  async reserveNonce() {
+    if (this.nextNonce === null) {
+      this.nextNonce = await this.provider.getTransactionCount(this.wallet.address, "pending");
+    }
+
+    return this.nextNonce++;
+  }
+
+  resetNonce() {
+    this.nextNonce = null;
+  }
+
+  // Run a function while holding this wallet's send lock
+  withLock(fn) {
+    const result = this.lock.then(fn);
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  // Wait for the transaction, replacing it with higher fees while it stays stuck
+  async waitForConfirmation(response, txRequest, fees, label) {
+    const hashes = [response.hash];
+    let currentFees = fees;
+
+    for (let replacements = 0; ; replacements++) {
+      const receipt = await this.waitForAny(hashes);
+
+      if (receipt) {
+        return this.report(receipt, { label, nonce: response.nonce, hashes, replacements });
+      }
+
+      if (replacements >= this.maxReplacements) {
+        const cancelHash = await this.cancel(response.nonce, currentFees, label);
+
+        // Sends queued behind the stuck nonce would wait on it too; take the next
+        // nonce from the node, which has either the cancellation or the stuck transaction
+        await this.withLock(async () => this.resetNonce());
+
+        const error = new Error(`${label} not mined after ${replacements} replacements (nonce ${response.nonce})`);
+        error.result = { status: "stuck", label, nonce: response.nonce, hash: hashes[hashes.length - 1], hashes, replacements, cancelHash };
+        throw error;
+      }
+
+      const bumpedFees = this.bumpFees(currentFees);
+
+      if (!bumpedFees) {
+        console.log(`⏳ ${label} stuck at fee cap (nonce ${response.nonce}), waiting...`);
+        continue;
+      }
+
+      try {
+        const replacement = await this.wallet.sendTransaction({
+          ...txRequest,
+          nonce: response.nonce,
+          ...bumpedFees
+        });
+
+        hashes.push(replacement.hash);
+        currentFees = bumpedFees;
+        console.log(`⛽ Replaced stuck ${label} (nonce ${response.nonce}) with higher fees: ${replacement.hash}`);
+      } catch (error) {
+        // The nonce was consumed in the meantime, so one of our hashes was mined
+        const minedReceipt = await this.findReceipt(hashes);
+
+        if (minedReceipt) {
+          return this.report(minedReceipt, { label, nonce: response.nonce, hashes, replacements });
+        }
+
+        throw error;
+      }
+    }
+  }
+
+  // Replace a stuck transaction with a 0-value send to ourselves, so it can't be
+  // mined later; returns the cancellation's hash, or null if it couldn't be sent
+  async cancel(nonce, fees, label) {
+    const cancelFees = this.bumpFees(fees);
+
+    if (!cancelFees) {
+      console.log(`⚠️  Can't cancel stuck ${label} (nonce ${nonce}) within the fee cap`);
+      return null;
+    }
+
+    try {
+      const cancellation = await this.wallet.sendTransaction({
+        to: this.wallet.address,
+        value: 0n,
+        nonce,
+        gasLimit: 21000n,
+        ...cancelFees
+      });
+
+      console.log(`🚫 Cancelling stuck ${label} (nonce ${nonce}): ${cancellation.hash}`);
+      return cancellation.hash;
+    } catch (error) {
+      // Most likely mined in the meantime
+      console.log(`⚠️  Could not cancel stuck ${label} (nonce ${nonce}): ${error.shortMessage || error.message}`);
+      return null;
+    }
+  }
+
+  // Poll for a receipt of any submitted version until the confirmation timeout
+  async waitForAny(hashes) {
+    const deadline = Date.now() + this.confirmationTimeout;
+
+    for (;;) {
+      const receipt = await this.findReceipt(hashes);
+
+      if (receipt || Date.now() >= deadline) {
+        return receipt;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, Math.min(this.pollInterval, this.confirmationTimeout)));
+    }
+  }
+
+  async findReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+
+      if (receipt) {
+        return receipt;
+      }
+    }
+
+    return null;
+  }
+
+  report(receipt, { label, nonce, hashes, replacements }) {
+    const result = {
+      status: receipt.status === 1 ? "confirmed" : "reverted",
+      label,
+      hash: receipt.hash,
+      nonce,
+      hashes,
+      replacements,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      effectiveGasPrice: receipt.gasPrice,
+      receipt
+    };
+
+    if (result.status === "reverted") {
+      const error = new Error(`${label} reverted in block ${receipt.blockNumber}: ${receipt.hash}`);
+      error.result = result;
+      throw error;
+    }
+
+    return result;
+  }
+}
+
+function min(a, b) {
+  return a < b ? a : b;
+}
+
+module.exports = TransactionManager;
@@ -0,0 +1,98 @@
+const { ethers } = require("ethers");
+
+// Selector of plain value transfers (calls without calldata) in agent action allowlists
+const TRANSFER_SELECTOR = "0x00000000";
+
+// Statuses of action proposals; pending proposals past their expiry are reported as expired
+const PROPOSAL_STATUSES = ["pending", "expired", "executed", "rejected"];
+
+/**
+ * Selector of a function given as a 4-byte hex selector, a signature such as
+ * "transfer(address,uint256)" or "transfer" for plain value transfers.
+ * Returns null if the value is none of these.
+ */
+function toSelector(value) {
+  if (typeof value !== "string" || !value.trim()) {
+    return null;
+  }
+
+  if (value === "transfer") {
+    return TRANSFER_SELECTOR;
+  }
+
+  if (/^0x[0-9a-fA-F]{8}$/.test(value)) {
+    return value.toLowerCase();
+  }
+
+  try {
+    return ethers.FunctionFragment.from(value).selector;
+  } catch {
+    return null;
+  }
+}
+
+// Selector an agent action is checked against
+function selectorOf(data) {
+  return data && data.length >= 10 ? data.substring(0, 10).toLowerCase() : TRANSFER_SELECTOR;
+}
+
+/**
+ * Calldata for an action given as `{ data }` or `{ signature, args }` (neither
+ * for a plain value transfer). Returns `{ data }` or `{ error }`.
+ */
+function encodeAction({ data, signature, args = [] }) {
+  if (data !== undefined) {
+    return ethers.isHexString(data) ? { data } : { error: "data must be a hex string" };
+  }
+
+  if (signature === undefined || signature === null) {
+    return { data: "0x" };
+  }
+
+  let fragment;
+  try {
+    fragment = ethers.FunctionFragment.from(signature);
+  } catch {
+    return { error: `Invalid function signature: ${signature}` };
+  }
+
+  try {
+    return { data: new ethers.Interface([fragment]).encodeFunctionData(fragment, args) };
+  } catch (error) {
+    return { error: `Invalid arguments for ${fragment.format()}: ${error.shortMessage || error.message}` };
+  }
+}
+
+/**
+ * Validate an action request body (`{ target, value, data | signature, args }`,
+ * value in ether). Returns `{ target, data, value }` with the value in wei, or
+ * `{ error }`.
+ */
+function parseAction(body) {
+  const { target, value = "0" } = body;
+
+  if (!target || !ethers.isAddress(target)) {
+    return { error: "A valid target address is required" };
+  }
+
+  const { data, error } = encodeAction(body);
+
+  if (error) {
+    return { error };
+  }
+
+  try {
+    return { target, data, value: ethers.parseEther(String(value)) };
+  } catch {
+    return { error: "value must be an amount in ether" };
+  }
+}
+
+module.exports = {
+  TRANSFER_SELECTOR,
+  PROPOSAL_STATUSES,
+  toSelector,
+  selectorOf,
+  encodeAction,
+  parseAction
+};
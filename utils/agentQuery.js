@@ -0,0 +1,126 @@
+const { ethers } = require("ethers");
+
+const SORT_FIELDS = ["created", "lastExecution", "executionCount", "memoryCount", "goal"];
+const SORT_ORDERS = ["asc", "desc"];
+
+/**
+ * Parse agent listing query parameters (strings from the query string) into
+ * filters and sort options. Returns `{ query }`, or `{ error }` with a message
+ * for the first invalid parameter.
+ *
+ * - owner: current owner address
+ * - active: "true" or "false"
+ * - minExecutions / maxExecutions: execution count range (inclusive)
+ * - executedAfter / executedBefore: last execution window (unix seconds, inclusive)
+ * - q: case-insensitive full-text search; every word must appear in the goal or last response
+ * - sort: created (factory order, default), lastExecution, executionCount, memoryCount or goal
+ * - order: asc (default) or desc
+ */
+function parseAgentQuery(params = {}) {
+  const query = { sort: params.sort || "created", order: params.order || "asc" };
+
+  if (params.owner !== undefined) {
+    if (!ethers.isAddress(params.owner)) {
+      return { error: "owner must be an address" };
+    }
+    query.owner = params.owner.toLowerCase();
+  }
+
+  if (params.active !== undefined) {
+    if (params.active !== "true" && params.active !== "false") {
+      return { error: "active must be true or false" };
+    }
+    query.active = params.active === "true";
+  }
+
+  for (const name of ["minExecutions", "maxExecutions", "executedAfter", "executedBefore"]) {
+    if (params[name] !== undefined) {
+      const value = Number(params[name]);
+
+      if (!Number.isInteger(value) || value < 0) {
+        return { error: `${name} must be a non-negative integer` };
+      }
+      query[name] = value;
+    }
+  }
+
+  if (params.q !== undefined && String(params.q).trim()) {
+    query.terms = String(params.q).toLowerCase().split(/\s+/).filter(Boolean);
+  }
+
+  if (!SORT_FIELDS.includes(query.sort)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(", ")}` };
+  }
+
+  if (!SORT_ORDERS.includes(query.order)) {
+    return { error: "order must be asc or desc" };
+  }
+
+  return { query };
+}
+
+// Whether an agent (in getAgentInfo shape, with resolved lastResponse) matches the query filters
+function matchesAgentQuery(agent, query) {
+  if (query.owner && agent.owner.toLowerCase() !== query.owner) {
+    return false;
+  }
+
+  if (query.active !== undefined && agent.isActive !== query.active) {
+    return false;
+  }
+
+  if (query.minExecutions !== undefined && agent.executionCount < query.minExecutions) {
+    return false;
+  }
+
+  if (query.maxExecutions !== undefined && agent.executionCount > query.maxExecutions) {
+    return false;
+  }
+
+  if (query.executedAfter !== undefined && agent.lastExecution < query.executedAfter) {
+    return false;
+  }
+
+  if (query.executedBefore !== undefined && agent.lastExecution > query.executedBefore) {
+    return false;
+  }
+
+  if (query.terms) {
+    const text = `${agent.goal}\n${agent.lastResponse || ""}`.toLowerCase();
+    return query.terms.every(term => text.includes(term));
+  }
+
+  return true;
+}
+
+// Filter and sort agents listed in factory order; returns a new array
+function applyAgentQuery(agents, query) {
+  const direction = query.order === "desc" ? -1 : 1;
+  const matches = agents
+    .map((agent, position) => ({ agent, position }))
+    .filter(({ agent }) => matchesAgentQuery(agent, query));
+
+  matches.sort((a, b) => {
+    let result;
+
+    if (query.sort === "created") {
+      result = a.position - b.position;
+    } else if (query.sort === "goal") {
+      result = a.agent.goal.localeCompare(b.agent.goal);
+    } else {
+      result = a.agent[query.sort] - b.agent[query.sort];
+    }
+
+    // Ties keep factory order regardless of direction
+    return result * direction || a.position - b.position;
+  });
+
+  return matches.map(({ agent }) => agent);
+}
+
+module.exports = {
+  SORT_FIELDS,
+  parseAgentQuery,
+  matchesAgentQuery,
+  applyAgentQuery
+};
@@ -0,0 +1,311 @@
+// Memory the executor keeps its rolling summary of older memories in
+const SUMMARY_KEY = "context_summary";
+
+// Execution logs earlier executors stored as memories; left out of the context unless pinned
+const EXECUTOR_LOG_PATTERNS = ["execution_*"];
+
+const DEFAULT_RECENT = 5;
+const MAX_RECENT = 50;
+const MAX_RELEVANT = 20;
+const MAX_KEYS = 20;
+const MIN_BUDGET = 100;
+const MAX_BUDGET = 100000;
+
+// At most this many tokens (and a quarter of the budget) go to the summary
+const MAX_SUMMARY_TOKENS = 400;
+
+// Tokens of memory context per model, matched like LLM prices: a model uses the
+// longest name it starts with. Other models get DEFAULT_CONTEXT_BUDGET.
+const MODEL_CONTEXT_BUDGETS = {
+  "gpt-4": 2000,
+  "gpt-4-turbo": 16000,
+  "gpt-4o": 16000,
+  "gpt-4o-mini": 16000,
+  "gpt-3.5-turbo": 4000
+};
+const DEFAULT_CONTEXT_BUDGET = 1500;
+
+const CONTEXT_FIELDS = ["pinned", "exclude", "recent", "relevant", "summarize", "maxTokens"];
+
+const PAGE_SIZE = 100;
+
+// Rough token count (about four characters per token), close enough for budgeting
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+function getContextBudget(model = "") {
+  const name = Object.keys(MODEL_CONTEXT_BUDGETS)
+    .filter(candidate => model === candidate || model.startsWith(`${candidate}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return name ? MODEL_CONTEXT_BUDGETS[name] : DEFAULT_CONTEXT_BUDGET;
+}
+
+// Key patterns match exactly, with * for any characters
+function matchesPattern(key, pattern) {
+  const source = pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(`^${source}$`).test(key);
+}
+
+function isKeyList(value) {
+  return Array.isArray(value) && value.length <= MAX_KEYS && value.every(key => typeof key === "string" && key.trim());
+}
+
+/**
+ * Validate the `context` field of a prompt config: which memories go into
+ * {{memories}}. Returns an error message or null.
+ */
+function validateContextConfig(context) {
+  if (!context || typeof context !== "object" || Array.isArray(context)) {
+    return "context must be an object";
+  }
+
+  const unknownField = Object.keys(context).find(field => !CONTEXT_FIELDS.includes(field));
+
+  if (unknownField) {
+    return `Unknown context field: ${unknownField}. Valid fields: ${CONTEXT_FIELDS.join(", ")}`;
+  }
+
+  const { pinned, exclude, recent, relevant, summarize, maxTokens } = context;
+
+  if (pinned !== undefined && !isKeyList(pinned)) {
+    return `context.pinned must be a list of at most ${MAX_KEYS} memory keys`;
+  }
+
+  if (exclude !== undefined && !isKeyList(exclude)) {
+    return `context.exclude must be a list of at most ${MAX_KEYS} key patterns`;
+  }
+
+  if (recent !== undefined && (!Number.isInteger(recent) || recent < 0 || recent > MAX_RECENT)) {
+    return `context.recent must be an integer between 0 and ${MAX_RECENT}`;
+  }
+
+  if (relevant !== undefined && (!Number.isInteger(relevant) || relevant < 0 || relevant > MAX_RELEVANT)) {
+    return `context.relevant must be an integer between 0 and ${MAX_RELEVANT}`;
+  }
+
+  if (summarize !== undefined && typeof summarize !== "boolean") {
+    return "context.summarize must be a boolean";
+  }
+
+  if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < MIN_BUDGET || maxTokens > MAX_BUDGET)) {
+    return `context.maxTokens must be an integer between ${MIN_BUDGET} and ${MAX_BUDGET}`;
+  }
+
+  return null;
+}
+
+// Context settings with defaults filled in; the budget defaults to the model's
+function resolveContextConfig(context = {}, model = "") {
+  return {
+    pinned: context.pinned || [],
+    exclude: [...EXECUTOR_LOG_PATTERNS, ...(context.exclude || [])],
+    recent: context.recent ?? DEFAULT_RECENT,
+    relevant: context.relevant || 0,
+    summarize: context.summarize === true,
+    maxTokens: context.maxTokens || getContextBudget(model)
+  };
+}
+
+// The summary memory holds `{ summary, through }`: memories older than `through`
+// have been folded into it. Other values are read as a summary written by hand.
+function parseSummary(memory) {
+  if (!memory) {
+    return { value: "", through: 0 };
+  }
+
+  try {
+    const { summary, through } = JSON.parse(memory.value);
+
+    if (typeof summary === "string" && Number.isInteger(through)) {
+      return { value: summary, through };
+    }
+  } catch {
+    // Not written by an executor
+  }
+
+  return { value: memory.value, through: memory.timestamp };
+}
+
+function encodeSummary({ value, through }) {
+  return JSON.stringify({ summary: value, through });
+}
+
+async function loadMemories(agent) {
+  const memories = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await agent.getMemories(offset, PAGE_SIZE);
+
+    memories.push(...page.map(({ key, value, timestamp }) => ({ key, value, timestamp: Number(timestamp) })));
+
+    if (page.length < PAGE_SIZE) {
+      return memories;
+    }
+  }
+}
+
+/**
+ * Select the agent's memories for a prompt within a token budget: pinned keys
+ * first, then the most recent memories, leaving out execution logs and
+ * excluded keys. With `relevant` set, the older memories and earlier responses
+ * most similar to `query` are added, ranked by the `search(query, k)` callback
+ * (a MemoryIndex search). With `summarize` on, memories that no longer fit are
+ * folded into a rolling summary by the `summarize(previous, memories,
+ * maxTokens)` callback, which returns the new summary; the caller stores it
+ * under SUMMARY_KEY with encodeSummary. Without the callbacks, nothing is
+ * retrieved and the stored summary is used as it is.
+ */
+async function buildContext(agent, context, { resolveContent, summarize, search, query = "" }) {
+  const resolve = async memory => ({ ...memory, value: await resolveContent(memory.value) });
+  const memories = await loadMemories(agent);
+  const stored = memories.find(memory => memory.key === SUMMARY_KEY);
+  const previous = parseSummary(stored && await resolve(stored));
+  const summaryBudget = context.summarize || stored ? Math.min(MAX_SUMMARY_TOKENS, Math.floor(context.maxTokens / 4)) : 0;
+  let remaining = context.maxTokens - summaryBudget;
+
+  const line = memory => `${memory.key}: ${memory.value}`;
+  const fits = text => {
+    const tokens = estimateTokens(text);
+
+    if (tokens > remaining) {
+      return false;
+    }
+
+    remaining -= tokens;
+    return true;
+  };
+
+  const pinned = [];
+  const omitted = [];
+
+  for (const key of context.pinned) {
+    const memory = memories.find(candidate => candidate.key === key);
+
+    if (memory) {
+      const resolved = await resolve(memory);
+      (fits(line(resolved)) ? pinned : omitted).push(resolved);
+    }
+  }
+
+  // Newest first; memories keep their slot when overwritten, so order by timestamp
+  const candidates = memories
+    .map((memory, index) => ({ memory, index }))
+    .filter(({ memory }) => memory.key !== SUMMARY_KEY && !context.pinned.includes(memory.key))
+    .filter(({ memory }) => !context.exclude.some(pattern => matchesPattern(memory.key, pattern)))
+    .sort((a, b) => b.memory.timestamp - a.memory.timestamp || b.index - a.index)
+    .map(({ memory }) => memory);
+
+  const recent = [];
+  let next = 0;
+
+  while (next < candidates.length && recent.length < context.recent) {
+    const resolved = await resolve(candidates[next]);
+
+    if (!fits(line(resolved))) {
+      break;
+    }
+
+    recent.unshift(resolved);
+    next++;
+  }
+
+  const dropped = candidates.slice(next);
+  const relevant = context.relevant > 0 && search
+    ? await findRelevant(agent, context, { search, query, dropped, skipped: memories.length - dropped.length, resolve, fits })
+    : [];
+
+  omitted.push(...dropped.filter(memory => !relevant.some(entry => entry.key === memory.key)));
+
+  // Fold what is older than the recent memories and newer than the last fold;
+  // memories sharing a timestamp with the recent ones wait for the next one
+  const through = recent.length > 0 ? recent[0].timestamp : Math.max(0, ...dropped.map(memory => memory.timestamp)) + 1;
+  const pending = context.summarize
+    ? dropped.filter(memory => memory.timestamp >= previous.through && memory.timestamp < through)
+    : [];
+  let summary = previous.value;
+  let updated = false;
+
+  if (pending.length > 0 && summarize) {
+    summary = await summarize(summary, await Promise.all(pending.map(resolve)), summaryBudget);
+    updated = true;
+  }
+
+  summary = summary.slice(0, summaryBudget * 4);
+
+  const lines = [
+    ...pinned.map(line),
+    ...(summary ? [`Summary of earlier memories: ${summary}`] : []),
+    ...relevant.map(entry => entry.text),
+    ...recent.map(line)
+  ];
+
+  return {
+    text: lines.join("\n") || "None",
+    pinned: pinned.map(memory => memory.key),
+    relevant: relevant.map(({ text, ...entry }) => entry),
+    recent: recent.map(memory => memory.key),
+    omitted: omitted.map(memory => memory.key),
+    summary: {
+      value: summary,
+      through: updated ? through : previous.through,
+      updated,
+      folded: updated ? pending.map(memory => memory.key) : [],
+      pending: updated ? [] : pending.map(memory => memory.key)
+    },
+    tokens: estimateTokens(lines.join("\n")),
+    maxTokens: context.maxTokens
+  };
+}
+
+// The older memories and earlier responses the search ranks highest for the query, as long as they fit
+async function findRelevant(agent, context, { search, query, dropped, skipped, resolve, fits }) {
+  // The latest response is already in the prompt as {{lastResponse}}
+  const latestExecution = Number(await agent.executionCount()) - 1;
+
+  // Enough results to fill `relevant` even if every memory that isn't a candidate ranks first
+  const results = await search(query, context.relevant + skipped + 1);
+  const relevant = [];
+
+  for (const result of results) {
+    if (relevant.length >= context.relevant || result.score <= 0) {
+      break;
+    }
+
+    if (result.type === "memory") {
+      // Pinned, recent, excluded and summary memories are not candidates
+      const memory = dropped.find(candidate => candidate.key === result.key);
+
+      if (memory) {
+        const resolved = await resolve(memory);
+        const text = `${resolved.key}: ${resolved.value}`;
+
+        if (fits(text)) {
+          relevant.push({ type: "memory", key: memory.key, score: result.score, text });
+        }
+      }
+    } else if (result.execution !== latestExecution) {
+      const text = `Response #${result.execution}: ${result.text}`;
+
+      if (fits(text)) {
+        relevant.push({ type: "response", execution: result.execution, score: result.score, text });
+      }
+    }
+  }
+
+  return relevant;
+}
+
+module.exports = {
+  SUMMARY_KEY,
+  EXECUTOR_LOG_PATTERNS,
+  MODEL_CONTEXT_BUDGETS,
+  estimateTokens,
+  getContextBudget,
+  encodeSummary,
+  validateContextConfig,
+  resolveContextConfig,
+  loadMemories,
+  buildContext
+};
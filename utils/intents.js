@@ -0,0 +1,159 @@
+const { ethers } = require("ethers");
+const AgentABI = require("../artifacts/contracts/Agent.sol/Agent.json").abi;
+
+// EIP-712 types of the signed intents accepted by Agent.executeBySig and
+// AgentFactory.createAgentBySig (see contracts/SignedIntents.sol)
+
+const AGENT_DOMAIN_NAME = "AgentX Agent";
+const FACTORY_DOMAIN_NAME = "AgentX Factory";
+
+const CALL_TYPES = {
+  Call: [
+    { name: "data", type: "bytes" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+const CREATE_AGENT_TYPES = {
+  CreateAgent: [
+    { name: "owner", type: "address" },
+    { name: "goal", type: "string" },
+    { name: "executors", type: "address[]" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+const agentInterface = new ethers.Interface(AgentABI);
+
+function intentDomain(name, chainId, verifyingContract) {
+  return { name, version: "1", chainId: Number(chainId), verifyingContract };
+}
+
+// Typed data for a call to an agent, ready for eth_signTypedData_v4 / ethers signTypedData
+function buildCallIntent({ signer, agent, chainId, data, nonce, deadline }) {
+  return {
+    signer,
+    domain: intentDomain(AGENT_DOMAIN_NAME, chainId, agent),
+    types: CALL_TYPES,
+    primaryType: "Call",
+    message: { data, nonce: nonce.toString(), deadline: deadline.toString() }
+  };
+}
+
+// Typed data for creating an agent owned by the signer
+function buildCreateAgentIntent({ owner, factory, chainId, goal, executors = [], nonce, deadline }) {
+  return {
+    signer: owner,
+    domain: intentDomain(FACTORY_DOMAIN_NAME, chainId, factory),
+    types: CREATE_AGENT_TYPES,
+    primaryType: "CreateAgent",
+    message: { owner, goal, executors, nonce: nonce.toString(), deadline: deadline.toString() }
+  };
+}
+
+// Calls that change nothing (view functions) would only burn the relayer's gas
+function validateCallData(data) {
+  const fragment = typeof data === "string" && ethers.isHexString(data) && data.length >= 10
+    ? agentInterface.getFunction(data.slice(0, 10))
+    : null;
+
+  if (!fragment) {
+    return "message.data must call a function of the agent";
+  }
+
+  if (fragment.constant) {
+    return `${fragment.name}() doesn't change the agent, so it isn't relayed`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a signed intent off-chain before relaying it, so bad requests never
+ * cost gas: known type, domain of this chain (and factory), a call to a
+ * state-changing agent function, a signature by the signer (the owner for
+ * CreateAgent) and an unexpired deadline. The nonce and whether the signer may
+ * call the agent are left to the contract. Returns an error message, or null
+ * if the intent is valid.
+ */
+function validateIntent(intent, signature, { chainId, factory, now = Date.now() }) {
+  if (!intent || typeof intent !== "object" || !intent.domain || !intent.message) {
+    return "intent with domain and message is required";
+  }
+
+  if (typeof signature !== "string" || !ethers.isHexString(signature)) {
+    return "signature must be a hex string";
+  }
+
+  const { primaryType, domain, message } = intent;
+  const isCall = primaryType === "Call";
+
+  if (!isCall && primaryType !== "CreateAgent") {
+    return "primaryType must be Call or CreateAgent";
+  }
+
+  if (!ethers.isAddress(domain.verifyingContract)) {
+    return "domain.verifyingContract must be an address";
+  }
+
+  if (domain.name !== (isCall ? AGENT_DOMAIN_NAME : FACTORY_DOMAIN_NAME) || domain.version !== "1") {
+    return "Unknown intent domain";
+  }
+
+  if (Number(domain.chainId) !== Number(chainId)) {
+    return `Intent is for chain ${domain.chainId}, expected ${chainId}`;
+  }
+
+  if (!isCall && domain.verifyingContract.toLowerCase() !== factory.toLowerCase()) {
+    return "Intent is not for this AgentFactory";
+  }
+
+  if (isCall) {
+    const callError = validateCallData(message.data);
+
+    if (callError) {
+      return callError;
+    }
+  }
+
+  const expectedSigner = isCall ? intent.signer : message.owner;
+
+  if (!ethers.isAddress(expectedSigner)) {
+    return isCall ? "signer must be an address" : "message.owner must be an address";
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(
+      intentDomain(domain.name, chainId, domain.verifyingContract),
+      isCall ? CALL_TYPES : CREATE_AGENT_TYPES,
+      message,
+      signature
+    );
+  } catch (error) {
+    return `Malformed intent: ${error.shortMessage || error.message}`;
+  }
+
+  if (signer.toLowerCase() !== expectedSigner.toLowerCase()) {
+    return "Invalid signature";
+  }
+
+  if (Number(message.deadline) * 1000 < now) {
+    return "Intent expired";
+  }
+
+  return null;
+}
+
+module.exports = {
+  AGENT_DOMAIN_NAME,
+  FACTORY_DOMAIN_NAME,
+  CALL_TYPES,
+  CREATE_AGENT_TYPES,
+  intentDomain,
+  buildCallIntent,
+  buildCreateAgentIntent,
+  validateIntent
+};
@@ -0,0 +1,253 @@
+const ContentStore = require("./ContentStore");
+const { validateContextConfig, resolveContextConfig, buildContext } = require("./context");
+
+const MAX_TEMPLATE_LENGTH = 8000;
+const MAX_SYSTEM_PROMPT_LENGTH = 4000;
+
+const DEFAULT_SYSTEM_PROMPT = "You are an autonomous blockchain AI agent. Provide helpful, concise responses that help achieve the given goal.";
+
+// Built-in templates an agent can select by name
+const PROMPT_TEMPLATES = {
+  default: `You are an autonomous AI agent deployed on the blockchain. Your goal is: "{{goal}}"
+
+Previous response: {{lastResponse}}
+Execution count: {{executionCount}}
+
+Previous memories:
+{{memories}}
+
+Please provide a response that helps achieve your goal. Be concise and actionable. If this is a recurring task, provide an update or summary.`,
+  digest: `You are an autonomous AI agent deployed on the blockchain. Your goal is: "{{goal}}"
+
+This is execution {{executionCount}}, at block {{blockNumber}}. Your previous report was:
+{{lastResponse}}
+
+Memories:
+{{memories}}
+
+Report only what changed since your previous report, as a short list. If nothing changed, say so in one sentence.`
+};
+
+// Template variables, besides {{memory.<key>}} for the value of any memory
+const PROMPT_VARIABLES = ["goal", "lastResponse", "executionCount", "memories", "blockNumber", "agentAddress"];
+
+const CONFIG_FIELDS = ["name", "template", "systemPrompt", "context"];
+
+// Names of the {{variables}} used in a template, in order of first use
+function templateVariables(template) {
+  const names = [...template.matchAll(/\{\{\s*([^{}]*?)\s*\}\}/g)].map(match => match[1]);
+  return [...new Set(names)];
+}
+
+function isTemplateVariable(name) {
+  return PROMPT_VARIABLES.includes(name) || /^memory\..+/.test(name);
+}
+
+/**
+ * Validate a prompt configuration before it is written on-chain:
+ * `{ name, template, systemPrompt, context }`, all optional. Without a
+ * template, name selects a built-in template; with one, it only labels it.
+ * context selects the memories listed by {{memories}}. Returns an error
+ * message or null.
+ */
+function validatePromptConfig(config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return "Prompt config must be an object";
+  }
+
+  const unknownField = Object.keys(config).find(field => !CONFIG_FIELDS.includes(field));
+
+  if (unknownField) {
+    return `Unknown prompt config field: ${unknownField}. Valid fields: ${CONFIG_FIELDS.join(", ")}`;
+  }
+
+  const { name, template, systemPrompt, context } = config;
+
+  if (name !== undefined && (typeof name !== "string" || !/^[A-Za-z0-9_-]{1,64}$/.test(name))) {
+    return "name must be 1-64 letters, digits, dashes or underscores";
+  }
+
+  if (template !== undefined) {
+    if (typeof template !== "string" || !template.trim()) {
+      return "template must be a non-empty string";
+    }
+
+    if (template.length > MAX_TEMPLATE_LENGTH) {
+      return `template must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+    }
+
+    const unknownVariable = templateVariables(template).find(variable => !isTemplateVariable(variable));
+
+    if (unknownVariable !== undefined) {
+      return `Unknown template variable: {{${unknownVariable}}}. Valid variables: ${PROMPT_VARIABLES.join(", ")}, memory.<key>`;
+    }
+
+    if (template.replace(/\{\{\s*([^{}]*?)\s*\}\}/g, "").includes("{{")) {
+      return "template has an unclosed {{";
+    }
+  } else if (name !== undefined && !PROMPT_TEMPLATES[name]) {
+    return `Unknown prompt template: ${name}. Built-in templates: ${Object.keys(PROMPT_TEMPLATES).join(", ")}`;
+  }
+
+  if (systemPrompt !== undefined) {
+    if (typeof systemPrompt !== "string" || !systemPrompt.trim()) {
+      return "systemPrompt must be a non-empty string";
+    }
+
+    if (systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+      return `systemPrompt must be at most ${MAX_SYSTEM_PROMPT_LENGTH} characters`;
+    }
+  }
+
+  if (context !== undefined) {
+    return validateContextConfig(context);
+  }
+
+  return null;
+}
+
+// Parse and validate an agent's stored prompt config (empty for the defaults). Returns `{ config }` or `{ error }`.
+function parsePromptConfig(value) {
+  if (!value) {
+    return { config: {} };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(value);
+  } catch {
+    return { error: "Prompt config is not valid JSON" };
+  }
+
+  const error = validatePromptConfig(config);
+  return error ? { error } : { config };
+}
+
+// Value stored on-chain for a config: its JSON, or empty for the defaults
+function encodePromptConfig(config = {}) {
+  return Object.keys(config).length > 0 ? JSON.stringify(config) : "";
+}
+
+// The template, system prompt and context settings a config selects, with defaults filled in
+function resolvePromptConfig(config = {}, model = "") {
+  const name = config.name || (config.template ? "custom" : "default");
+
+  return {
+    name,
+    template: config.template || PROMPT_TEMPLATES[name],
+    systemPrompt: config.systemPrompt || DEFAULT_SYSTEM_PROMPT,
+    context: resolveContextConfig(config.context, model)
+  };
+}
+
+// Only own properties are rendered, so {{constructor}} or {{memory.__proto__}} can't reach the prototype
+function renderTemplate(template, variables) {
+  return template.replace(/\{\{\s*([^{}]*?)\s*\}\}/g, (match, name) => {
+    const [scope, key] = name.startsWith("memory.") ? [variables.memory || {}, name.slice("memory.".length)] : [variables, name];
+    const value = Object.hasOwn(scope, key) ? scope[key] : undefined;
+    return value === undefined ? "" : String(value);
+  });
+}
+
+/**
+ * Build the messages an execution of the agent sends to the LLM. Uses the
+ * agent's on-chain prompt config unless one is given, and reads the template's
+ * variables from the chain; ipfs:// values are resolved with `resolveContent`
+ * (returning the content, or the URI if it can't be resolved). The memory
+ * context budget defaults to `model`'s, `search` retrieves relevant memories
+ * and `summarize` updates the rolling summary (see buildContext). Throws if
+ * the stored config is invalid.
+ */
+async function buildPrompt(agent, { provider, resolveContent, config, model, summarize, search, toolNames = [] }) {
+  if (config === undefined) {
+    config = await loadPromptConfig(agent, resolveContent);
+  }
+
+  const prompt = resolvePromptConfig(config, model);
+  const variables = await loadVariables(agent, prompt.template, { provider, resolveContent });
+
+  // Retrieve what relates to the goal and where the agent left off
+  const context = await buildContext(agent, prompt.context, {
+    resolveContent,
+    summarize,
+    search,
+    query: `${variables.goal}\n${variables.lastResponse}`
+  });
+  variables.memories = context.text;
+
+  // Tools are offered by the executor, so every system prompt mentions them
+  const toolHint = toolNames.length > 0
+    ? " You can call tools to read on-chain data, fetch allowlisted URLs, store memories and act on-chain before answering."
+    : "";
+
+  return {
+    name: prompt.name,
+    variables,
+    context: {
+      pinned: context.pinned,
+      relevant: context.relevant,
+      recent: context.recent,
+      omitted: context.omitted,
+      summary: context.summary,
+      tokens: context.tokens,
+      maxTokens: context.maxTokens
+    },
+    messages: [
+      { role: "system", content: `${prompt.systemPrompt}${toolHint}` },
+      { role: "user", content: renderTemplate(prompt.template, variables) }
+    ]
+  };
+}
+
+async function loadPromptConfig(agent, resolveContent) {
+  const stored = await agent.promptConfig();
+  const value = ContentStore.isContentURI(stored) ? await resolveContent(stored) : stored;
+
+  if (ContentStore.isContentURI(value)) {
+    throw new Error(`Could not resolve prompt config ${stored}`);
+  }
+
+  const { config, error } = parsePromptConfig(value);
+
+  if (error) {
+    throw new Error(`Invalid prompt config: ${error}`);
+  }
+
+  return config;
+}
+
+async function loadVariables(agent, template, { provider, resolveContent }) {
+  const [, goal, lastResponse, , execCount] = await agent.getAgentInfo();
+
+  // Memories the template refers to by key (empty if not stored); no prototype, as keys are user-chosen
+  const memory = Object.create(null);
+
+  for (const variable of templateVariables(template).filter(name => name.startsWith("memory."))) {
+    const key = variable.slice("memory.".length);
+    const [value] = await agent.getMemory(key);
+    memory[key] = value ? await resolveContent(value) : "";
+  }
+
+  return {
+    goal,
+    lastResponse: (await resolveContent(lastResponse)) || "None",
+    executionCount: Number(execCount),
+    memories: "", // Filled in from the memory context
+    blockNumber: await provider.getBlockNumber(),
+    agentAddress: await agent.getAddress(),
+    memory
+  };
+}
+
+module.exports = {
+  DEFAULT_SYSTEM_PROMPT,
+  PROMPT_TEMPLATES,
+  PROMPT_VARIABLES,
+  templateVariables,
+  validatePromptConfig,
+  parsePromptConfig,
+  encodePromptConfig,
+  resolvePromptConfig,
+  renderTemplate,
+  buildPrompt
+};
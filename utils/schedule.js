@@ -0,0 +1,55 @@
+const { CronTime } = require("cron");
+
+// Default gap between executions when an agent has no schedule of its own
+const DEFAULT_EXECUTION_INTERVAL = parseInt(process.env.EXECUTION_INTERVAL) || 3600;
+
+// Validate a schedule before it is written on-chain. Returns an error message or null.
+function validateSchedule({ interval = 0, cron = "" }) {
+  if (!Number.isInteger(interval) || interval < 0) {
+    return "interval must be a non-negative integer number of seconds";
+  }
+
+  if (typeof cron !== "string") {
+    return "cron must be a string";
+  }
+
+  if (cron.trim()) {
+    try {
+      new CronTime(cron.trim());
+    } catch (error) {
+      return `Invalid cron expression: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+// Get the unix timestamp (seconds) at which an agent is next due to run
+function getNextExecutionTime(schedule, lastExecution, defaultInterval = DEFAULT_EXECUTION_INTERVAL) {
+  const cron = (schedule.cron || "").trim();
+
+  // With a cron expression, the interval is only the minimum gap between runs
+  if (cron) {
+    const next = new CronTime(cron).getNextDateFrom(new Date(lastExecution * 1000));
+    return Math.max(Math.floor(next.toSeconds()), lastExecution + (schedule.interval || 0));
+  }
+
+  const interval = schedule.interval > 0 ? schedule.interval : defaultInterval;
+  return lastExecution + interval;
+}
+
+// Check whether an agent should run now. Agents that have never run are always due.
+function isExecutionDue(schedule, lastExecution, executionCount, now = Math.floor(Date.now() / 1000), defaultInterval = DEFAULT_EXECUTION_INTERVAL) {
+  if (executionCount === 0) {
+    return true;
+  }
+
+  return now >= getNextExecutionTime(schedule, lastExecution, defaultInterval);
+}
+
+module.exports = {
+  DEFAULT_EXECUTION_INTERVAL,
+  validateSchedule,
+  getNextExecutionTime,
+  isExecutionDue
+};